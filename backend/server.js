@@ -8,6 +8,25 @@ require('dotenv').config();
 const authRoutes = require('./src/routes/auth');
 const ticketRoutes = require('./src/routes/tickets');
 const userRoutes = require('./src/routes/users');
+const slaPolicyRoutes = require('./src/routes/slaPolicies');
+const inboundEmailRoutes = require('./src/routes/inboundEmail');
+const eventRoutes = require('./src/routes/events');
+const teamRoutes = require('./src/routes/teams');
+const viewRoutes = require('./src/routes/views');
+const csatRoutes = require('./src/routes/csat');
+const articleRoutes = require('./src/routes/articles');
+const macroRoutes = require('./src/routes/macros');
+const automationRoutes = require('./src/routes/automations');
+const webhookRoutes = require('./src/routes/webhooks');
+const alertRoutes = require('./src/routes/alerts');
+const serviceAccountRoutes = require('./src/routes/serviceAccounts');
+const { startSlaMonitor } = require('./src/services/slaService');
+const { registerNotificationHandlers } = require('./src/services/notificationService');
+const { startMaildirPoller } = require('./src/services/emailIngestion');
+const { registerRealtimeHandlers } = require('./src/services/realtime');
+const { registerCsatHandlers } = require('./src/services/csatService');
+const { registerAutomationHandlers, startAutomationScheduler } = require('./src/services/automationEngine');
+const { registerWebhookHandlers, startWebhookWorker } = require('./src/services/webhookService');
 
 const app = express();
 
@@ -39,13 +58,38 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/servicede
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  startSlaMonitor();
+  startMaildirPoller();
+  startAutomationScheduler();
+  startWebhookWorker();
+})
 .catch((error) => console.error('MongoDB connection error:', error));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tickets', ticketRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/sla-policies', slaPolicyRoutes);
+app.use('/api/inbound-email', inboundEmailRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/teams', teamRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/csat', csatRoutes);
+app.use('/api/articles', articleRoutes);
+app.use('/api/macros', macroRoutes);
+app.use('/api/automations', automationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/service-accounts', serviceAccountRoutes);
+
+// Ticket event subscribers
+registerNotificationHandlers();
+registerRealtimeHandlers();
+registerCsatHandlers();
+registerAutomationHandlers();
+registerWebhookHandlers();
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
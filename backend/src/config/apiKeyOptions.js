@@ -0,0 +1,21 @@
+// Allowed values for service account API keys, shared by the model,
+// validators and authentication middleware
+
+// What a key may be used for. A key only reaches routes that accept one of
+// its scopes, and still needs the permissions of its service account's role.
+const API_KEY_SCOPES = [
+  'tickets:read',     // list, search, export and read tickets
+  'tickets:create',   // open and import tickets
+  'tickets:comment',  // comment on tickets
+  'tickets:update',   // edit, transition, assign and bulk-update tickets
+  'users:read',       // list and inspect user accounts
+  'users:manage'      // edit and deactivate user accounts
+];
+
+// Requests per minute for keys without their own limit
+const DEFAULT_API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT) || 120;
+
+module.exports = {
+  API_KEY_SCOPES,
+  DEFAULT_API_KEY_RATE_LIMIT
+};
@@ -0,0 +1,45 @@
+// Allowed values for automation rules, shared by the model, validators and engine
+
+// Ticket events that run rules; 'time' rules are run by the scheduler instead
+const AUTOMATION_TRIGGERS = ['created', 'updated', 'commented', 'time'];
+
+// Ticket fields rule conditions can test
+const CONDITION_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'category',
+  'impact',
+  'urgency',
+  'source',
+  'tags',
+  'assignedTo',
+  'team',
+  'sla.breached'
+];
+
+// `changed` only applies to 'updated' rules: the field was part of the update
+const CONDITION_OPERATORS = ['is', 'isNot', 'in', 'notIn', 'contains', 'notContains', 'isEmpty', 'isNotEmpty', 'changed'];
+
+// Operators that take no value (`changed` optionally takes the new value)
+const VALUELESS_OPERATORS = ['isEmpty', 'isNotEmpty', 'changed'];
+
+// Ticket timestamps a time rule's delay can count from
+const DELAY_REFERENCES = ['statusChangedAt', 'createdAt', 'updatedAt'];
+
+// Who a rule can assign tickets to besides a user ID
+const ASSIGN_TARGETS = ['team-lead', 'unassigned'];
+
+// Who a rule can notify besides a user ID
+const NOTIFY_TARGETS = ['requester', 'assignee', 'team-lead'];
+
+module.exports = {
+  AUTOMATION_TRIGGERS,
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  VALUELESS_OPERATORS,
+  DELAY_REFERENCES,
+  ASSIGN_TARGETS,
+  NOTIFY_TARGETS
+};
@@ -0,0 +1,98 @@
+// Roles and the permissions each one grants
+
+const ROLES = ['requester', 'agent', 'team_lead', 'admin', 'auditor'];
+
+// Role names stored on older accounts and the role they now mean
+const ROLE_ALIASES = {
+  user: 'requester'
+};
+
+// Roles that work tickets and can be assigned them
+const SUPPORT_ROLES = ['agent', 'team_lead'];
+
+const PERMISSIONS = [
+  'ticket:create',          // open tickets
+  'ticket:comment',         // comment on tickets the user can see
+  'ticket:view-all',        // see every ticket, not only own/assigned ones
+  'ticket:view-team',       // see tickets in the queues of the user's teams
+  'ticket:view-internal',   // read internal comments and their history
+  'ticket:internal-comment', // write internal comments
+  'ticket:update',          // edit any field and drive the full workflow
+  'ticket:assign',          // assign tickets to staff
+  'ticket:import',          // bulk-import tickets from other systems
+  'stats:view',             // ticket statistics and reports
+  'user:view',              // list and inspect user accounts
+  'user:manage',            // edit, deactivate and change roles of users
+  'sla:manage',             // configure SLA policies
+  'team:manage',            // create teams, set routing rules and membership
+  'kb:write',               // write knowledge base drafts and see unpublished articles
+  'kb:publish',             // publish, archive and edit published articles
+  'macro:share',            // create and edit macros shared with all support staff
+  'automation:manage',      // configure automation rules
+  'webhook:manage',         // configure outbound webhooks and inspect their deliveries
+  'service-account:manage'  // create service accounts and issue or revoke their API keys
+];
+
+const REQUESTER_PERMISSIONS = ['ticket:create', 'ticket:comment'];
+
+const AGENT_PERMISSIONS = [
+  ...REQUESTER_PERMISSIONS,
+  'ticket:view-team',
+  'ticket:view-internal',
+  'ticket:internal-comment',
+  'ticket:update',
+  'kb:write'
+];
+
+const ROLE_PERMISSIONS = {
+  requester: REQUESTER_PERMISSIONS,
+  agent: AGENT_PERMISSIONS,
+  team_lead: [
+    ...AGENT_PERMISSIONS,
+    'ticket:view-all',
+    'ticket:assign',
+    'stats:view',
+    'user:view',
+    'kb:publish',
+    'macro:share'
+  ],
+  admin: PERMISSIONS,
+  // Read-only oversight: sees everything, changes nothing
+  auditor: [
+    'ticket:view-all',
+    'ticket:view-internal',
+    'stats:view',
+    'user:view'
+  ]
+};
+
+const normalizeRole = (role) => ROLE_ALIASES[role] || role;
+
+// Permissions granted to a user through their role
+const getPermissions = (user) => {
+  if (!user) return [];
+  return ROLE_PERMISSIONS[normalizeRole(user.role)] || [];
+};
+
+const hasPermission = (user, permission) => getPermissions(user).includes(permission);
+
+// Roles that grant a permission, for building queries
+const rolesWithPermission = (permission) => {
+  const roles = ROLES.filter(role => ROLE_PERMISSIONS[role].includes(permission));
+  Object.entries(ROLE_ALIASES).forEach(([alias, role]) => {
+    if (roles.includes(role)) roles.push(alias);
+  });
+  return roles;
+};
+
+module.exports = {
+  ROLES,
+  ROLE_ALIASES,
+  SUPPORT_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  normalizeRole,
+  getPermissions,
+  hasPermission,
+  rolesWithPermission
+};
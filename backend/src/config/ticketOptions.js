@@ -0,0 +1,30 @@
+// Allowed values for ticket fields, shared by models and validators
+
+const TICKET_CATEGORIES = [
+  'Technical Issue',
+  'Software Installation',
+  'Hardware Problem',
+  'Network Issue',
+  'Account Access',
+  'Email Problem',
+  'Printer Issue',
+  'Mobile Device',
+  'Security Concern',
+  'Training Request',
+  'General Inquiry',
+  'Other'
+];
+
+const TICKET_PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+const TICKET_STATUSES = ['Open', 'In Progress', 'Waiting for Response', 'Resolved', 'Closed'];
+
+// Fields ticket lists may be sorted by; each has a supporting index on Ticket
+const TICKET_SORT_FIELDS = ['createdAt', 'updatedAt', 'ticketNumber', 'title', 'status', 'priority', 'category'];
+
+module.exports = {
+  TICKET_CATEGORIES,
+  TICKET_PRIORITIES,
+  TICKET_STATUSES,
+  TICKET_SORT_FIELDS
+};
@@ -0,0 +1,18 @@
+// Allowed values for webhooks, shared by the model, validators and delivery service
+
+// Events a webhook can subscribe to. ticket.resolved is sent alongside
+// ticket.updated when a ticket moves to Resolved.
+const WEBHOOK_EVENTS = [
+  'ticket.created',
+  'ticket.updated',
+  'ticket.commented',
+  'ticket.assigned',
+  'ticket.resolved'
+];
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const alertIntake = require('../services/alertIntake');
+
+// Constant-time comparison of the alert intake secret
+const isValidSecret = (provided) => {
+  const expected = process.env.ALERT_INTAKE_SECRET;
+  if (!expected || !provided) return false;
+
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+  return expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+};
+
+// Monitoring tools send the secret as a bearer token (Alertmanager's
+// http_config.authorization) or in X-Alert-Secret
+const providedSecret = (req) => {
+  const header = req.get('Authorization');
+  if (header && header.startsWith('Bearer ')) return header.slice('Bearer '.length);
+  return req.get('X-Alert-Secret');
+};
+
+// Build an intake handler for one payload format
+const receiveAlerts = (parsePayload) => async (req, res) => {
+  try {
+    if (!process.env.ALERT_INTAKE_SECRET) {
+      return res.status(503).json({
+        message: 'Alert intake is not configured'
+      });
+    }
+
+    if (!isValidSecret(providedSecret(req))) {
+      return res.status(401).json({
+        message: 'Invalid alert intake secret'
+      });
+    }
+
+    const requester = await alertIntake.findAlertRequester();
+    if (!requester) {
+      return res.status(503).json({
+        message: 'ALERT_REQUESTER_EMAIL must name an active user account'
+      });
+    }
+
+    const alerts = parsePayload(req.body);
+    if (alerts.length === 0) {
+      return res.status(400).json({
+        message: 'No alerts in the payload'
+      });
+    }
+
+    const results = await alertIntake.ingestAlerts(alerts, requester);
+
+    // A failure is reported as a server error so the sender retries; repeats
+    // of alerts that did go through are added to their tickets as comments
+    let statusCode = 200;
+    if (results.some(result => result.status === 'failed')) statusCode = 500;
+    else if (results.some(result => result.status === 'created')) statusCode = 201;
+
+    res.status(statusCode).json({
+      results: results.map(result => ({
+        fingerprint: result.fingerprint,
+        status: result.status,
+        reason: result.reason,
+        ticketId: result.ticket ? result.ticket._id : undefined,
+        ticketNumber: result.ticket ? result.ticket.ticketNumber : undefined
+      }))
+    });
+
+  } catch (error) {
+    if (error.name === 'AlertError') {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Alert intake error:', error);
+    res.status(500).json({
+      message: 'Failed to process alerts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Generic JSON alerts
+const receiveGenericAlerts = receiveAlerts(alertIntake.parseGenericPayload);
+
+// Prometheus Alertmanager webhook
+const receiveAlertmanagerAlerts = receiveAlerts(alertIntake.parseAlertmanagerPayload);
+
+module.exports = {
+  receiveGenericAlerts,
+  receiveAlertmanagerAlerts
+};
@@ -0,0 +1,372 @@
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const ArticleVersion = require('../models/ArticleVersion');
+const Ticket = require('../models/Ticket');
+const { validationResult } = require('express-validator');
+const knowledgeBase = require('../services/knowledgeBase');
+const { getTicketAccess } = require('../services/ticketAccess');
+const { hasPermission } = require('../config/permissions');
+const {
+  parsePagination,
+  paginateFind,
+  offsetOf,
+  offsetMeta
+} = require('../services/pagination');
+
+// Fields articles may be sorted by; each has a supporting index on Article
+const ARTICLE_SORT_FIELDS = ['updatedAt', 'createdAt', 'title'];
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Send service and pagination errors as JSON; returns false for anything else
+const sendKnownError = (res, error) => {
+  if (!['ArticleError', 'PaginationError'].includes(error.name)) return false;
+  res.status(error.statusCode).json({
+    message: error.message
+  });
+  return true;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// List and search articles. Requesters only see published articles.
+const getArticles = async (req, res) => {
+  try {
+    const { search, category, tags, status } = req.query;
+
+    const filter = knowledgeBase.buildArticleVisibilityFilter(req.user);
+    if (category) filter.category = { $in: toList(category) };
+    if (tags) filter.tags = { $in: toList(tags).map(tag => tag.toLowerCase()) };
+    if (status && !filter.status) filter.status = { $in: toList(status) };
+
+    const text = search && search.trim();
+    const pagination = parsePagination(req.query, {
+      sortFields: text ? ['relevance', ...ARTICLE_SORT_FIELDS] : ARTICLE_SORT_FIELDS,
+      defaultSortBy: text ? 'relevance' : 'updatedAt'
+    });
+
+    let articles;
+    let meta;
+
+    if (text && pagination.sortBy === 'relevance') {
+      const offset = offsetOf(pagination);
+      const result = await knowledgeBase.searchArticles(filter, text, { skip: offset, limit: pagination.limit });
+      articles = result.articles;
+      meta = offsetMeta(pagination, offset, articles.length, result.total);
+    } else {
+      if (text) filter.$text = { $search: text };
+      const page = await paginateFind(Article, filter, pagination, query => query
+        .select('-body')
+        .populate('author', 'username fullName'));
+      articles = page.docs;
+      meta = page.pagination;
+    }
+
+    res.json({
+      articles,
+      pagination: meta
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Get articles error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch articles',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get article by ID
+const getArticleById = async (req, res) => {
+  try {
+    const article = mongoose.isValidObjectId(req.params.id) ?
+      await Article.findById(req.params.id)
+        .populate('author', 'username fullName')
+        .populate('updatedBy', 'username fullName') :
+      null;
+
+    if (!article || !knowledgeBase.canViewArticle(req.user, article)) {
+      return res.status(404).json({
+        message: 'Article not found'
+      });
+    }
+
+    // The source ticket is only shown to staff who write articles
+    if (hasPermission(req.user, 'kb:write')) {
+      await article.populate('sourceTicket', 'ticketNumber title');
+    } else {
+      article.sourceTicket = undefined;
+    }
+
+    res.json({ article });
+
+  } catch (error) {
+    console.error('Get article error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch article',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Create article (requires kb:write; publishing directly requires kb:publish)
+const createArticle = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const article = await knowledgeBase.createArticle(req.body, req.user);
+
+    res.status(201).json({
+      message: 'Article created successfully',
+      article
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Create article error:', error);
+    res.status(500).json({
+      message: 'Failed to create article',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Update article (requires kb:write). Send the `version` you edited to be
+// told about conflicting edits instead of overwriting them.
+const updateArticle = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const article = mongoose.isValidObjectId(req.params.id) ? await Article.findById(req.params.id) : null;
+    if (!article) {
+      return res.status(404).json({
+        message: 'Article not found'
+      });
+    }
+
+    await knowledgeBase.updateArticle(article, req.body, req.user, { expectedVersion: req.body.version });
+
+    res.json({
+      message: 'Article updated successfully',
+      article
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Update article error:', error);
+    res.status(500).json({
+      message: 'Failed to update article',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Archive article (requires kb:publish); versions and ticket links are kept
+const deleteArticle = async (req, res) => {
+  try {
+    const article = mongoose.isValidObjectId(req.params.id) ? await Article.findById(req.params.id) : null;
+    if (!article) {
+      return res.status(404).json({
+        message: 'Article not found'
+      });
+    }
+
+    article.status = 'archived';
+    article.updatedBy = req.user._id;
+    await article.save();
+
+    res.json({
+      message: 'Article archived successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete article error:', error);
+    res.status(500).json({
+      message: 'Failed to archive article',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// List the versions of an article, newest first (requires kb:write)
+const getArticleVersions = async (req, res) => {
+  try {
+    const article = mongoose.isValidObjectId(req.params.id) ? await Article.findById(req.params.id).select('_id') : null;
+    if (!article) {
+      return res.status(404).json({
+        message: 'Article not found'
+      });
+    }
+
+    const versions = await ArticleVersion.find({ article: article._id })
+      .select('-body')
+      .populate('editedBy', 'username fullName')
+      .sort({ version: -1 });
+
+    res.json({ versions });
+
+  } catch (error) {
+    console.error('Get article versions error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch article versions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the full content of one article version (requires kb:write)
+const getArticleVersion = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+
+    const articleVersion = mongoose.isValidObjectId(id) ?
+      await ArticleVersion.findOne({ article: id, version: parseInt(version, 10) })
+        .populate('editedBy', 'username fullName') :
+      null;
+
+    if (!articleVersion) {
+      return res.status(404).json({
+        message: 'Article version not found'
+      });
+    }
+
+    res.json({ version: articleVersion });
+
+  } catch (error) {
+    console.error('Get article version error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch article version',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Ticket links
+
+// Load a ticket the current user may manage, or send the error response
+const loadManageableTicket = async (req, res) => {
+  const ticket = mongoose.isValidObjectId(req.params.id) ? await Ticket.findById(req.params.id) : null;
+  if (!ticket) {
+    res.status(404).json({
+      message: 'Ticket not found'
+    });
+    return null;
+  }
+
+  if (!getTicketAccess(req.user, ticket).canManage) {
+    res.status(403).json({
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return ticket;
+};
+
+// Link an article to a ticket (support staff on tickets they can manage)
+const linkTicketArticle = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const ticket = await loadManageableTicket(req, res);
+    if (!ticket) return;
+
+    const article = await Article.findById(req.body.articleId);
+    if (!article || !knowledgeBase.canViewArticle(req.user, article)) {
+      return res.status(404).json({
+        message: 'Article not found'
+      });
+    }
+
+    await knowledgeBase.linkArticle(ticket, article, req.user.id);
+    await ticket.populate('articles', 'title status category');
+
+    res.json({
+      message: 'Article linked successfully',
+      articles: ticket.articles
+    });
+
+  } catch (error) {
+    console.error('Link article error:', error);
+    res.status(500).json({
+      message: 'Failed to link article',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Remove an article link from a ticket
+const unlinkTicketArticle = async (req, res) => {
+  try {
+    const ticket = await loadManageableTicket(req, res);
+    if (!ticket) return;
+
+    await knowledgeBase.unlinkArticle(ticket, req.params.articleId, req.user.id);
+    await ticket.populate('articles', 'title status category');
+
+    res.json({
+      message: 'Article unlinked successfully',
+      articles: ticket.articles
+    });
+
+  } catch (error) {
+    console.error('Unlink article error:', error);
+    res.status(500).json({
+      message: 'Failed to unlink article',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Draft a new article from a ticket's resolution and link it (requires kb:write)
+const promoteTicketResolution = async (req, res) => {
+  try {
+    const ticket = await loadManageableTicket(req, res);
+    if (!ticket) return;
+
+    const article = await knowledgeBase.promoteResolution(ticket, req.user);
+
+    res.status(201).json({
+      message: 'Draft article created from the ticket resolution',
+      article
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Promote resolution error:', error);
+    res.status(500).json({
+      message: 'Failed to create article from resolution',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  ARTICLE_SORT_FIELDS,
+  getArticles,
+  getArticleById,
+  createArticle,
+  updateArticle,
+  deleteArticle,
+  getArticleVersions,
+  getArticleVersion,
+  linkTicketArticle,
+  unlinkTicketArticle,
+  promoteTicketResolution
+};
@@ -1,12 +1,22 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
+const tokenService = require('../services/tokenService');
+const { sendAccountEmail } = require('../services/notificationService');
+const { getPermissions } = require('../config/permissions');
+
+// Email a fresh verification link; skipped while a recent one is still cooling down
+const sendVerificationEmail = async (user) => {
+  const issued = await tokenService.createUserToken(user, 'email-verification');
+  if (issued) {
+    await sendAccountEmail(user, 'emailVerification', issued);
+  }
+  return Boolean(issued);
+};
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '24h'
-  });
+// Run account email work without the response waiting on it, so neither its
+// timing nor a mail failure tells the client whether the account exists
+const inBackground = (label, task) => {
+  task().catch(error => console.error(`${label} error:`, error));
 };
 
 // Register new user
@@ -43,17 +53,17 @@ const register = async (req, res) => {
       password,
       fullName,
       department,
-      phone
+      phone,
+      isEmailVerified: false
     });
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Login stays blocked until the address is verified
+    inBackground('Verification email', () => sendVerificationEmail(user));
 
     res.status(201).json({
-      message: 'User registered successfully',
-      token,
+      message: 'User registered successfully. Please check your email to verify your account.',
       user: {
         id: user._id,
         username: user.username,
@@ -116,21 +126,30 @@ const login = async (req, res) => {
       });
     }
 
+    if (!user.isEmailVerified) {
+      return res.status(403).json({
+        message: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
     // Update last login
     await user.updateLastLogin();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const { accessToken, refreshToken } = await tokenService.issueSession(user, tokenService.requestMeta(req));
 
     res.json({
       message: 'Login successful',
-      token,
+      token: accessToken,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         fullName: user.fullName,
         role: user.role,
+        permissions: getPermissions(user),
         department: user.department,
         lastLogin: user.lastLogin
       }
@@ -163,10 +182,12 @@ const getProfile = async (req, res) => {
         email: user.email,
         fullName: user.fullName,
         role: user.role,
+        permissions: getPermissions(user),
         department: user.department,
         phone: user.phone,
         isActive: user.isActive,
         lastLogin: user.lastLogin,
+        notificationPreferences: user.notificationPreferences,
         createdAt: user.createdAt
       }
     });
@@ -192,12 +213,21 @@ const updateProfile = async (req, res) => {
       });
     }
 
-    const { fullName, department, phone } = req.body;
+    const { fullName, department, phone, notificationPreferences } = req.body;
     const userId = req.user.id;
 
+    const updates = { fullName, department, phone };
+
+    // Update individual preferences so omitted ones keep their value
+    if (notificationPreferences) {
+      Object.entries(notificationPreferences).forEach(([key, value]) => {
+        updates[`notificationPreferences.${key}`] = value;
+      });
+    }
+
     const updatedUser = await User.findByIdAndUpdate(
       userId,
-      { fullName, department, phone },
+      updates,
       { new: true, runValidators: true }
     );
 
@@ -216,7 +246,8 @@ const updateProfile = async (req, res) => {
         fullName: updatedUser.fullName,
         role: updatedUser.role,
         department: updatedUser.department,
-        phone: updatedUser.phone
+        phone: updatedUser.phone,
+        notificationPreferences: updatedUser.notificationPreferences
       }
     });
 
@@ -263,8 +294,14 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other session and start a fresh one for this client
+    const revokedUser = await tokenService.revokeAllSessions(user._id, 'password-changed');
+    const { accessToken, refreshToken } = await tokenService.issueSession(revokedUser, tokenService.requestMeta(req));
+
     res.json({
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      token: accessToken,
+      refreshToken
     });
 
   } catch (error) {
@@ -276,9 +313,248 @@ const changePassword = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access/refresh token pair
+const refreshToken = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const session = await tokenService.rotateRefreshToken(req.body.refreshToken, tokenService.requestMeta(req));
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: session.accessToken,
+      refreshToken: session.refreshToken
+    });
+
+  } catch (error) {
+    if (error instanceof tokenService.TokenError) {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      message: 'Failed to refresh token',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Log out the current device by revoking its refresh token
+const logout = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await tokenService.revokeRefreshToken(req.body.refreshToken);
+
+    res.json({
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Failed to log out',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Log out of all devices
+const logoutAll = async (req, res) => {
+  try {
+    await tokenService.revokeAllSessions(req.user.id);
+
+    res.json({
+      message: 'Logged out of all devices'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      message: 'Failed to log out of all devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Email a password reset link. The response never reveals whether the
+// address belongs to an account.
+const forgotPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    inBackground('Password reset email', async () => {
+      const user = await User.findOne({ email });
+      if (user && user.isActive && !user.isServiceAccount) {
+        const issued = await tokenService.createUserToken(user, 'password-reset');
+        if (issued) {
+          await sendAccountEmail(user, 'passwordReset', issued);
+        }
+      }
+    });
+
+    res.json({
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      message: 'Failed to process password reset request',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Set a new password using an emailed reset token
+const resetPassword = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const user = await tokenService.consumeUserToken(token, 'password-reset');
+
+    user.password = newPassword;
+    // Receiving the reset email proves ownership of the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await tokenService.revokeAllSessions(user._id, 'password-reset');
+
+    res.json({
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    if (error instanceof tokenService.TokenError) {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      message: 'Failed to reset password',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Confirm an email address using an emailed verification token
+const verifyEmail = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await tokenService.consumeUserToken(req.body.token, 'email-verification');
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Email verified successfully. You can now log in.'
+    });
+
+  } catch (error) {
+    if (error instanceof tokenService.TokenError) {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      message: 'Failed to verify email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Send another verification email
+const resendVerification = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    inBackground('Verification email', async () => {
+      const user = await User.findOne({ email });
+      if (user && user.isActive && !user.isEmailVerified) {
+        await sendVerificationEmail(user);
+      }
+    });
+
+    res.json({
+      message: 'If the account exists and is not yet verified, a new verification email has been sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      message: 'Failed to resend verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  refreshToken,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getProfile,
   updateProfile,
   changePassword
@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const AutomationRule = require('../models/AutomationRule');
+const AutomationRun = require('../models/AutomationRun');
+const { validationResult } = require('express-validator');
+const automationEngine = require('../services/automationEngine');
+const { parsePagination, paginateFind } = require('../services/pagination');
+
+const RULE_FIELDS = ['name', 'description', 'isActive', 'dryRun', 'trigger', 'conditions', 'delay', 'actions'];
+
+const pickRuleFields = (body) => {
+  const fields = {};
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const findRule = (id) => (mongoose.isValidObjectId(id) ? AutomationRule.findById(id) : null);
+
+// Send validation, rule and pagination errors as JSON; returns false for anything else
+const sendKnownError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+    });
+    return true;
+  }
+  if (!['AutomationError', 'PaginationError'].includes(error.name)) return false;
+  res.status(error.statusCode).json({
+    message: error.message
+  });
+  return true;
+};
+
+// Get all automation rules in the order they run (requires automation:manage)
+const getAutomations = async (req, res) => {
+  try {
+    const { trigger, isActive } = req.query;
+
+    const filter = {};
+    if (trigger) filter.trigger = trigger;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const rules = await AutomationRule.find(filter)
+      .populate('createdBy', 'username fullName')
+      .sort({ trigger: 1, createdAt: 1 });
+
+    res.json({ rules });
+
+  } catch (error) {
+    console.error('Get automations error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch automation rules',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get automation rule by ID (requires automation:manage)
+const getAutomationById = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Automation rule not found'
+      });
+    }
+
+    await rule.populate('createdBy', 'username fullName');
+    await rule.populate('updatedBy', 'username fullName');
+    res.json({ rule });
+
+  } catch (error) {
+    console.error('Get automation error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch automation rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Create automation rule (requires automation:manage). Comments the rule
+// writes appear in the name of the admin who created it.
+const createAutomation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = new AutomationRule({
+      ...pickRuleFields(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    automationEngine.validateRule(rule);
+    await rule.save();
+
+    res.status(201).json({
+      message: 'Automation rule created successfully',
+      rule
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Create automation error:', error);
+    res.status(500).json({
+      message: 'Failed to create automation rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Update automation rule (requires automation:manage)
+const updateAutomation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await findRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Automation rule not found'
+      });
+    }
+
+    rule.set(pickRuleFields(req.body));
+    rule.updatedBy = req.user._id;
+
+    automationEngine.validateRule(rule);
+    await rule.save();
+
+    res.json({
+      message: 'Automation rule updated successfully',
+      rule
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Update automation error:', error);
+    res.status(500).json({
+      message: 'Failed to update automation rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete automation rule (requires automation:manage); its run log expires on its own
+const deleteAutomation = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Automation rule not found'
+      });
+    }
+
+    await rule.deleteOne();
+
+    res.json({
+      message: 'Automation rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete automation error:', error);
+    res.status(500).json({
+      message: 'Failed to delete automation rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Show which tickets a rule would act on right now and what it would do,
+// without changing anything. Pass `ticketId` to check a single ticket.
+const dryRunAutomation = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await findRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Automation rule not found'
+      });
+    }
+
+    const results = await automationEngine.previewRule(rule, { ticketId: req.body.ticketId });
+
+    res.json({
+      matched: results.length,
+      results
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Dry-run automation error:', error);
+    res.status(500).json({
+      message: 'Failed to dry-run automation rule',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Recent runs of a rule, newest first, including dry-run mode entries
+const getAutomationRuns = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await findRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Automation rule not found'
+      });
+    }
+
+    const pagination = parsePagination(req.query, { sortFields: ['createdAt'] });
+    const filter = { rule: rule._id };
+    if (req.query.result) filter.result = req.query.result;
+
+    const page = await paginateFind(AutomationRun, filter, pagination, query => query
+      .populate('ticket', 'ticketNumber title status'));
+
+    res.json({
+      runs: page.docs,
+      pagination: page.pagination
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Get automation runs error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch automation runs',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getAutomations,
+  getAutomationById,
+  createAutomation,
+  updateAutomation,
+  deleteAutomation,
+  dryRunAutomation,
+  getAutomationRuns
+};
@@ -0,0 +1,69 @@
+const { validationResult } = require('express-validator');
+const csatService = require('../services/csatService');
+
+// Show what a survey link is about (public; the token is the credential)
+const getSurvey = async (req, res) => {
+  try {
+    const survey = await csatService.getSurvey(req.params.token);
+
+    res.json({ survey });
+
+  } catch (error) {
+    if (error.name === 'SurveyError') {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Get survey error:', error);
+    res.status(500).json({
+      message: 'Failed to load survey',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Answer a survey: a 1-5 rating and an optional comment. Works once per link.
+const submitSurvey = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { rating, comment } = req.body;
+    const { reopened } = await csatService.submitResponse(req.params.token, {
+      rating: Number(rating),
+      comment
+    });
+
+    res.json({
+      message: reopened ?
+        'Thank you for your feedback. We have reopened your ticket and will follow up.' :
+        'Thank you for your feedback',
+      reopened
+    });
+
+  } catch (error) {
+    if (error.name === 'SurveyError') {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Submit survey error:', error);
+    res.status(500).json({
+      message: 'Failed to submit survey',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getSurvey,
+  submitSurvey
+};
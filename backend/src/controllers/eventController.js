@@ -0,0 +1,11 @@
+const { addClient } = require('../services/realtime');
+
+// Stream ticket events to the current user over Server-Sent Events. The
+// stream ends when the access token expires; clients reconnect with a new one.
+const streamEvents = (req, res) => {
+  addClient(req.user, req, res, { expiresAt: req.tokenExpiresAt });
+};
+
+module.exports = {
+  streamEvents
+};
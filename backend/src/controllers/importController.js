@@ -0,0 +1,55 @@
+const { parseRecords, importTickets: runImport } = require('../services/ticketImport');
+
+// Import tickets from CSV or JSON (requires ticket:import).
+// Send CSV as text/csv, or JSON as { tickets: [...] } / { csv: "..." }.
+// `dryRun` and `onExisting` (skip | update) may be given in the query or body.
+const importTickets = async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+    const options = { ...req.query, ...body };
+
+    let records;
+    if (typeof req.body === 'string') {
+      records = parseRecords(req.body, 'csv');
+    } else if (req.body && typeof req.body.csv === 'string') {
+      records = parseRecords(req.body.csv, 'csv');
+    } else {
+      records = parseRecords(req.body, 'json');
+    }
+
+    if (records.length === 0) {
+      return res.status(400).json({
+        message: 'No records to import'
+      });
+    }
+
+    const result = await runImport(records, {
+      dryRun: options.dryRun === true || options.dryRun === 'true',
+      onExisting: options.onExisting || 'skip',
+      actorId: req.user.id,
+      sourceName: options.sourceName || 'API import'
+    });
+
+    res.status(result.dryRun ? 200 : 201).json({
+      message: result.dryRun ? 'Dry run completed' : 'Import completed',
+      ...result
+    });
+
+  } catch (error) {
+    if (error.name === 'ImportError') {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Import tickets error:', error);
+    res.status(500).json({
+      message: 'Failed to import tickets',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  importTickets
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const { ingestMessage } = require('../services/emailIngestion');
+
+// Constant-time comparison of the webhook secret
+const isValidSecret = (provided) => {
+  const expected = process.env.INBOUND_EMAIL_SECRET;
+  if (!expected || !provided) return false;
+
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(provided);
+  return expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+};
+
+// Receive a raw email from the mail gateway webhook
+const receiveEmail = async (req, res) => {
+  try {
+    if (!process.env.INBOUND_EMAIL_SECRET) {
+      return res.status(503).json({
+        message: 'Inbound email is not configured'
+      });
+    }
+
+    if (!isValidSecret(req.get('X-Inbound-Email-Secret'))) {
+      return res.status(401).json({
+        message: 'Invalid inbound email secret'
+      });
+    }
+
+    // Accept either a raw message body or JSON of the form { raw: "..." }
+    const rawMessage = typeof req.body === 'string' ? req.body : req.body && req.body.raw;
+    if (!rawMessage) {
+      return res.status(400).json({
+        message: 'Raw email message is required'
+      });
+    }
+
+    const result = await ingestMessage(rawMessage);
+
+    const statusCodes = { created: 201, commented: 200, duplicate: 200, rejected: 422 };
+    res.status(statusCodes[result.status]).json({
+      status: result.status,
+      reason: result.reason,
+      ticketId: result.ticket ? result.ticket._id : undefined,
+      ticketNumber: result.ticket ? result.ticket.ticketNumber : undefined,
+      skippedAttachments: result.skippedAttachments
+    });
+
+  } catch (error) {
+    console.error('Inbound email error:', error);
+    res.status(500).json({
+      message: 'Failed to process inbound email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  receiveEmail
+};
@@ -0,0 +1,350 @@
+const mongoose = require('mongoose');
+const Macro = require('../models/Macro');
+const Ticket = require('../models/Ticket');
+const { validationResult } = require('express-validator');
+const macroService = require('../services/macroService');
+const { canViewTicket } = require('../services/ticketAccess');
+const { hasPermission } = require('../config/permissions');
+
+const MACRO_FIELDS = ['name', 'description', 'scope', 'comment', 'actions'];
+
+const pickMacroFields = (body) => {
+  const fields = {};
+  MACRO_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Reject macros that do nothing or use unknown placeholders. Sends the
+// response and returns false when the macro is unusable.
+const checkMacro = (res, macro) => {
+  const message = macro.comment && macro.comment.message;
+  const actions = macro.actions || {};
+  const hasAction = Boolean(actions.status || actions.priority || actions.assignTo ||
+    (actions.addTags && actions.addTags.length > 0) ||
+    (actions.removeTags && actions.removeTags.length > 0));
+
+  if (!message && !hasAction) {
+    res.status(400).json({
+      message: 'A macro needs a comment or at least one action'
+    });
+    return false;
+  }
+
+  const unknown = macroService.findUnknownPlaceholders(message);
+  if (unknown.length > 0) {
+    res.status(400).json({
+      message: `Unknown placeholders: ${unknown.join(', ')}`,
+      placeholders: Object.keys(macroService.PLACEHOLDERS)
+    });
+    return false;
+  }
+
+  return true;
+};
+
+const findMacro = (id) => (mongoose.isValidObjectId(id) ? Macro.findById(id) : null);
+
+// Get the macros the user can use: their own and the shared ones
+const getMacros = async (req, res) => {
+  try {
+    const { scope } = req.query;
+
+    const filter = macroService.buildMacroVisibilityFilter(req.user);
+    if (scope) filter.scope = scope;
+
+    const macros = await Macro.find(filter)
+      .populate('owner', 'username fullName')
+      .sort({ scope: 1, name: 1 });
+
+    res.json({
+      macros,
+      placeholders: Object.keys(macroService.PLACEHOLDERS)
+    });
+
+  } catch (error) {
+    console.error('Get macros error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch macros',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get macro by ID
+const getMacroById = async (req, res) => {
+  try {
+    const macro = await findMacro(req.params.id);
+
+    if (!macro || !macroService.canUseMacro(req.user, macro)) {
+      return res.status(404).json({
+        message: 'Macro not found'
+      });
+    }
+
+    await macro.populate('owner', 'username fullName');
+    res.json({ macro });
+
+  } catch (error) {
+    console.error('Get macro error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch macro',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Create macro; shared macros require macro:share
+const createMacro = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickMacroFields(req.body);
+
+    if (fields.scope === 'shared' && !hasPermission(req.user, 'macro:share')) {
+      return res.status(403).json({
+        message: 'Sharing macros requires the macro:share permission'
+      });
+    }
+
+    if (!checkMacro(res, fields)) return;
+
+    const macro = new Macro({
+      ...fields,
+      owner: req.user._id
+    });
+    await macro.save();
+
+    res.status(201).json({
+      message: 'Macro created successfully',
+      macro
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Create macro error:', error);
+    res.status(500).json({
+      message: 'Failed to create macro',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Update macro (owner, or macro:share for shared macros)
+const updateMacro = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const macro = await findMacro(req.params.id);
+    if (!macro) {
+      return res.status(404).json({
+        message: 'Macro not found'
+      });
+    }
+
+    const updates = pickMacroFields(req.body);
+    const sharing = updates.scope === 'shared' && macro.scope !== 'shared';
+
+    if (!macroService.canEditMacro(req.user, macro) || (sharing && !hasPermission(req.user, 'macro:share'))) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    macro.set(updates);
+    if (!checkMacro(res, macro)) return;
+    await macro.save();
+
+    res.json({
+      message: 'Macro updated successfully',
+      macro
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Update macro error:', error);
+    res.status(500).json({
+      message: 'Failed to update macro',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete macro (owner, or macro:share for shared macros)
+const deleteMacro = async (req, res) => {
+  try {
+    const macro = await findMacro(req.params.id);
+    if (!macro) {
+      return res.status(404).json({
+        message: 'Macro not found'
+      });
+    }
+
+    if (!macroService.canEditMacro(req.user, macro)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    await macro.deleteOne();
+
+    res.json({
+      message: 'Macro deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete macro error:', error);
+    res.status(500).json({
+      message: 'Failed to delete macro',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Load the macro and ticket named in a preview/apply request, or send the
+// error response
+const loadMacroAndTicket = async (req, res, macroId, ticketId) => {
+  const macro = await findMacro(macroId);
+  if (!macro || !macroService.canUseMacro(req.user, macro)) {
+    res.status(404).json({
+      message: 'Macro not found'
+    });
+    return {};
+  }
+
+  const ticket = mongoose.isValidObjectId(ticketId) ? await Ticket.findById(ticketId) : null;
+  if (!ticket) {
+    res.status(404).json({
+      message: 'Ticket not found'
+    });
+    return {};
+  }
+
+  if (!canViewTicket(req.user, ticket)) {
+    res.status(403).json({
+      message: 'Access denied'
+    });
+    return {};
+  }
+
+  return { macro, ticket };
+};
+
+// Show what a macro would do to a ticket without changing anything
+const previewMacro = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { macro, ticket } = await loadMacroAndTicket(req, res, req.params.id, req.body.ticketId);
+    if (!macro) return;
+
+    const actions = await macroService.buildActions(macro, ticket, req.user);
+
+    res.json({ actions });
+
+  } catch (error) {
+    if (error.name === 'BulkActionError') {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Preview macro error:', error);
+    res.status(500).json({
+      message: 'Failed to preview macro',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Apply a macro to a ticket: add its comment and make its changes in one
+// step, with the same permission checks as doing each by hand
+const applyMacro = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { macro, ticket } = await loadMacroAndTicket(req, res, req.body.macroId, req.params.id);
+    if (!macro) return;
+
+    const result = await macroService.applyMacro(macro, ticket, req.user);
+    if (result.result === 'failed') {
+      return res.status(result.statusCode).json({
+        message: result.error
+      });
+    }
+
+    await ticket.populate('createdBy', 'username fullName email department');
+    await ticket.populate('assignedTo', 'username fullName email department');
+    await ticket.populate('comments.user', 'username fullName');
+
+    res.json({
+      message: result.result === 'updated' ? 'Macro applied successfully' : 'Macro made no changes',
+      changes: result.changes,
+      ticket
+    });
+
+  } catch (error) {
+    if (error.name === 'BulkActionError') {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Apply macro error:', error);
+    res.status(500).json({
+      message: 'Failed to apply macro',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getMacros,
+  getMacroById,
+  createMacro,
+  updateMacro,
+  deleteMacro,
+  previewMacro,
+  applyMacro
+};
@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { validationResult } = require('express-validator');
+const apiKeyService = require('../services/apiKeyService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const findServiceAccount = (id) => (mongoose.isValidObjectId(id) ?
+  User.findOne({ _id: id, isServiceAccount: true }).select('-password') :
+  null);
+
+// Send validation errors as JSON; returns false for anything else
+const sendKnownError = (res, error) => {
+  if (error.name !== 'ValidationError') return false;
+  res.status(400).json({
+    message: 'Validation failed',
+    errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+  });
+  return true;
+};
+
+// Get all service accounts (requires service-account:manage)
+const getServiceAccounts = async (req, res) => {
+  try {
+    const serviceAccounts = await User.find({ isServiceAccount: true })
+      .select('-password')
+      .sort({ username: 1 });
+
+    res.json({ serviceAccounts });
+
+  } catch (error) {
+    console.error('Get service accounts error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch service accounts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get a service account with its API keys, newest first (requires service-account:manage)
+const getServiceAccountById = async (req, res) => {
+  try {
+    const serviceAccount = await findServiceAccount(req.params.id);
+    if (!serviceAccount) {
+      return res.status(404).json({
+        message: 'Service account not found'
+      });
+    }
+
+    const apiKeys = await ApiKey.find({ serviceAccount: serviceAccount._id })
+      .populate('createdBy revokedBy', 'username fullName')
+      .sort({ createdAt: -1 });
+
+    res.json({ serviceAccount, apiKeys });
+
+  } catch (error) {
+    console.error('Get service account error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch service account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Create service account (requires service-account:manage). It has no
+// password and receives no email notifications; edit or deactivate it
+// through PUT/DELETE /api/users/:id.
+const createServiceAccount = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { username, email, fullName, role, department } = req.body;
+
+    // Check if user already exists
+    const existingUser = await User.findOne({
+      $or: [{ email }, { username }]
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        message: existingUser.email === email ?
+          'Email already registered' :
+          'Username already taken'
+      });
+    }
+
+    const serviceAccount = new User({
+      username,
+      email,
+      fullName,
+      role,
+      department,
+      isServiceAccount: true,
+      notificationPreferences: {
+        ticketCreated: false,
+        ticketAssigned: false,
+        commentAdded: false,
+        statusChanged: false,
+        ticketResolved: false,
+        csatSurvey: false
+      }
+    });
+    await serviceAccount.save();
+
+    res.status(201).json({
+      message: 'Service account created successfully',
+      serviceAccount
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Create service account error:', error);
+    res.status(500).json({
+      message: 'Failed to create service account',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Issue an API key (requires service-account:manage). The key is only
+// returned in this response.
+const createServiceAccountKey = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const serviceAccount = await findServiceAccount(req.params.id);
+    if (!serviceAccount) {
+      return res.status(404).json({
+        message: 'Service account not found'
+      });
+    }
+
+    const { name, scopes, expiresAt, expiresInDays, rateLimit } = req.body;
+
+    let expiry = null;
+    if (expiresAt) expiry = new Date(expiresAt);
+    else if (expiresInDays) expiry = new Date(Date.now() + parseInt(expiresInDays) * DAY);
+
+    if (expiry && expiry <= new Date()) {
+      return res.status(400).json({
+        message: 'Expiry must be in the future'
+      });
+    }
+
+    const { key, apiKey } = await apiKeyService.createApiKey(serviceAccount, {
+      name,
+      scopes,
+      expiresAt: expiry,
+      rateLimit: rateLimit ? parseInt(rateLimit) : null
+    }, req.user._id);
+
+    res.status(201).json({
+      message: 'API key created successfully. Store it now; it cannot be shown again.',
+      key,
+      apiKey
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      message: 'Failed to create API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Revoke an API key; it stops working immediately (requires service-account:manage)
+const revokeServiceAccountKey = async (req, res) => {
+  try {
+    const apiKey = mongoose.isValidObjectId(req.params.id) && mongoose.isValidObjectId(req.params.keyId) ?
+      await ApiKey.findOne({ _id: req.params.keyId, serviceAccount: req.params.id }) :
+      null;
+    if (!apiKey) {
+      return res.status(404).json({
+        message: 'API key not found'
+      });
+    }
+
+    await apiKeyService.revokeApiKey(apiKey, req.user._id);
+
+    res.json({
+      message: 'API key revoked successfully',
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      message: 'Failed to revoke API key',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getServiceAccounts,
+  getServiceAccountById,
+  createServiceAccount,
+  createServiceAccountKey,
+  revokeServiceAccountKey
+};
@@ -0,0 +1,201 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const { validationResult } = require('express-validator');
+
+const POLICY_FIELDS = [
+  'name',
+  'description',
+  'priorities',
+  'categories',
+  'firstResponseMinutes',
+  'resolutionMinutes',
+  'businessHours',
+  'holidays',
+  'isActive'
+];
+
+const pickPolicyFields = (body) => {
+  const fields = {};
+  POLICY_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Get all SLA policies (requires sla:manage)
+const getSlaPolicies = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const policies = await SlaPolicy.find(filter).sort({ name: 1 });
+
+    res.json({ policies });
+
+  } catch (error) {
+    console.error('Get SLA policies error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch SLA policies',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get SLA policy by ID (requires sla:manage)
+const getSlaPolicyById = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        message: 'SLA policy not found'
+      });
+    }
+
+    res.json({ policy });
+
+  } catch (error) {
+    console.error('Get SLA policy error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch SLA policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Create SLA policy (requires sla:manage)
+const createSlaPolicy = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existingPolicy = await SlaPolicy.findOne({ name: req.body.name });
+    if (existingPolicy) {
+      return res.status(409).json({
+        message: 'An SLA policy with this name already exists'
+      });
+    }
+
+    const policy = new SlaPolicy(pickPolicyFields(req.body));
+    await policy.save();
+
+    res.status(201).json({
+      message: 'SLA policy created successfully',
+      policy
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Create SLA policy error:', error);
+    res.status(500).json({
+      message: 'Failed to create SLA policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Update SLA policy (requires sla:manage)
+// Deadlines already stamped on tickets are kept; changes apply to new tickets
+// and to tickets whose priority or category changes afterwards.
+const updateSlaPolicy = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const policy = await SlaPolicy.findById(id);
+    if (!policy) {
+      return res.status(404).json({
+        message: 'SLA policy not found'
+      });
+    }
+
+    const updates = pickPolicyFields(req.body);
+    if (updates.name && updates.name !== policy.name) {
+      const existingPolicy = await SlaPolicy.findOne({ name: updates.name, _id: { $ne: id } });
+      if (existingPolicy) {
+        return res.status(409).json({
+          message: 'An SLA policy with this name already exists'
+        });
+      }
+    }
+
+    policy.set(updates);
+    await policy.save();
+
+    res.json({
+      message: 'SLA policy updated successfully',
+      policy
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Update SLA policy error:', error);
+    res.status(500).json({
+      message: 'Failed to update SLA policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete SLA policy (requires sla:manage)
+const deleteSlaPolicy = async (req, res) => {
+  try {
+    // Soft delete so tickets keep a valid policy reference
+    const policy = await SlaPolicy.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!policy) {
+      return res.status(404).json({
+        message: 'SLA policy not found'
+      });
+    }
+
+    res.json({
+      message: 'SLA policy deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete SLA policy error:', error);
+    res.status(500).json({
+      message: 'Failed to delete SLA policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getSlaPolicies,
+  getSlaPolicyById,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy
+};
@@ -0,0 +1,354 @@
+const Team = require('../models/Team');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const teamService = require('../services/teamService');
+const { hasPermission } = require('../config/permissions');
+const { parsePagination, paginateFind } = require('../services/pagination');
+
+const TEAM_FIELDS = ['name', 'description', 'categories', 'autoAssign', 'lead', 'isActive'];
+
+const pickTeamFields = (body) => {
+  const fields = {};
+  TEAM_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Respond with 409 when categories are already routed to another team
+const rejectRoutingConflicts = async (res, categories, excludeId) => {
+  const conflicts = await teamService.findRoutingConflicts(categories, excludeId);
+  if (conflicts.length === 0) return false;
+
+  res.status(409).json({
+    message: 'Some categories are already routed to another team',
+    conflicts: conflicts.map(team => ({
+      team: team.name,
+      categories: team.categories.filter(category => categories.includes(category))
+    }))
+  });
+  return true;
+};
+
+// Get all teams
+const getTeams = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const teams = await Team.find(filter)
+      .populate('lead', 'username fullName')
+      .sort({ name: 1 });
+
+    res.json({ teams });
+
+  } catch (error) {
+    console.error('Get teams error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch teams',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get team by ID, with its members. Contact details, roles and account
+// status are only shown to staff who work or manage team queues.
+const getTeamById = async (req, res) => {
+  try {
+    const isStaff = hasPermission(req.user, 'ticket:view-team') || hasPermission(req.user, 'team:manage');
+    const team = await Team.findById(req.params.id)
+      .populate('lead', isStaff ? 'username fullName email' : 'username fullName')
+      .populate({ path: 'members', select: isStaff ? 'username fullName email role isActive' : 'username fullName' });
+
+    if (!team) {
+      return res.status(404).json({
+        message: 'Team not found'
+      });
+    }
+
+    res.json({ team });
+
+  } catch (error) {
+    console.error('Get team error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch team',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Create team (requires team:manage)
+const createTeam = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickTeamFields(req.body);
+
+    const existingTeam = await Team.findOne({ name: fields.name });
+    if (existingTeam) {
+      return res.status(409).json({
+        message: 'A team with this name already exists'
+      });
+    }
+
+    if (await rejectRoutingConflicts(res, fields.categories)) return;
+
+    const team = new Team(fields);
+    await team.save();
+
+    res.status(201).json({
+      message: 'Team created successfully',
+      team
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Create team error:', error);
+    res.status(500).json({
+      message: 'Failed to create team',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Update team (requires team:manage)
+const updateTeam = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const team = await Team.findById(id);
+    if (!team) {
+      return res.status(404).json({
+        message: 'Team not found'
+      });
+    }
+
+    const updates = pickTeamFields(req.body);
+    if (updates.name && updates.name !== team.name) {
+      const existingTeam = await Team.findOne({ name: updates.name, _id: { $ne: id } });
+      if (existingTeam) {
+        return res.status(409).json({
+          message: 'A team with this name already exists'
+        });
+      }
+    }
+
+    if (await rejectRoutingConflicts(res, updates.categories, id)) return;
+
+    team.set(updates);
+    await team.save();
+
+    res.json({
+      message: 'Team updated successfully',
+      team
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Update team error:', error);
+    res.status(500).json({
+      message: 'Failed to update team',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete team (requires team:manage)
+const deleteTeam = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Soft delete so tickets keep a valid team reference
+    const team = await Team.findByIdAndUpdate(id, { isActive: false, categories: [] }, { new: true });
+    if (!team) {
+      return res.status(404).json({
+        message: 'Team not found'
+      });
+    }
+
+    res.json({
+      message: 'Team deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete team error:', error);
+    res.status(500).json({
+      message: 'Failed to delete team',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Add a user to a team (requires team:manage)
+const addTeamMember = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({
+        message: 'Team not found'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.body.userId,
+      { $addToSet: { teams: team._id } },
+      { new: true }
+    ).select('username fullName email role teams');
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      message: 'Member added successfully',
+      user
+    });
+
+  } catch (error) {
+    console.error('Add team member error:', error);
+    res.status(500).json({
+      message: 'Failed to add team member',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Remove a user from a team (requires team:manage)
+const removeTeamMember = async (req, res) => {
+  try {
+    const { id, userId } = req.params;
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, teams: id },
+      { $pull: { teams: id } },
+      { new: true }
+    ).select('username fullName email role teams');
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'User is not a member of this team'
+      });
+    }
+
+    res.json({
+      message: 'Member removed successfully',
+      user
+    });
+
+  } catch (error) {
+    console.error('Remove team member error:', error);
+    res.status(500).json({
+      message: 'Failed to remove team member',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get the unassigned tickets waiting in a team's queue
+const getTeamQueue = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const team = await Team.findById(id).select('name');
+    if (!team) {
+      return res.status(404).json({
+        message: 'Team not found'
+      });
+    }
+
+    // Members see their own queue; ticket:view-all sees every queue
+    const isMember = (req.user.teams || []).some(teamId => teamId.toString() === id);
+    if (!hasPermission(req.user, 'ticket:view-all') &&
+        !(isMember && hasPermission(req.user, 'ticket:view-team'))) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    const filter = {
+      team: team._id,
+      assignedTo: null,
+      status: { $nin: ['Resolved', 'Closed'] }
+    };
+
+    // Oldest first so the queue is worked in order
+    const pagination = parsePagination(req.query, {
+      sortFields: ['createdAt', 'priority'],
+      defaultSortOrder: 'asc'
+    });
+    const { docs: tickets, pagination: meta } = await paginateFind(Ticket, filter, pagination, query => query
+      .populate('createdBy', 'username fullName email department'));
+
+    res.json({
+      team: { _id: team._id, name: team.name },
+      tickets,
+      pagination: meta
+    });
+
+  } catch (error) {
+    if (error.name === 'PaginationError') {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Get team queue error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch team queue',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getTeams,
+  getTeamById,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  addTeamMember,
+  removeTeamMember,
+  getTeamQueue
+};
@@ -1,7 +1,49 @@
+const mongoose = require('mongoose');
 const Ticket = require('../models/Ticket');
 const User = require('../models/User');
+const SavedView = require('../models/SavedView');
 const { validationResult } = require('express-validator');
 const { cleanupFiles } = require('../middleware/upload');
+const ticketService = require('../services/ticketService');
+const ticketSearch = require('../services/ticketSearch');
+const ticketStats = require('../services/ticketStats');
+const ticketReports = require('../services/ticketReports');
+const ticketExport = require('../services/ticketExport');
+const ticketBulk = require('../services/ticketBulk');
+const knowledgeBase = require('../services/knowledgeBase');
+const { FilterError, pickFilters, buildTicketFilter } = require('../services/ticketFilters');
+const { canUseView } = require('../services/viewAccess');
+const {
+  PaginationError,
+  parsePagination,
+  paginateFind,
+  offsetOf,
+  offsetMeta
+} = require('../services/pagination');
+const { TICKET_SORT_FIELDS } = require('../config/ticketOptions');
+const teamService = require('../services/teamService');
+const auditService = require('../services/auditService');
+const ticketWorkflow = require('../services/ticketWorkflow');
+const { emitChanges } = require('../services/ticketEvents');
+const {
+  getTicketAccess,
+  canViewTicket,
+  buildVisibilityFilter,
+  canViewInternalComments
+} = require('../services/ticketAccess');
+const { hasPermission, rolesWithPermission } = require('../config/permissions');
+const TicketHistory = require('../models/TicketHistory');
+
+// Fields that are only changed through hooks or workflow transitions
+const PROTECTED_FIELDS = ['ticketNumber', 'sla', 'resolvedAt', 'closedAt', 'reopenCount', 'reopenedAt'];
+
+// Send a workflow rejection as a JSON error response
+const sendWorkflowError = (res, error) => {
+  res.status(error.statusCode).json({
+    message: error.message,
+    ...error.details
+  });
+};
 
 // Create new ticket
 const createTicket = async (req, res) => {
@@ -29,26 +71,35 @@ const createTicket = async (req, res) => {
     })) : [];
 
     // Create ticket
-    const ticket = new Ticket({
+    const ticket = await ticketService.createTicket({
       title,
       description,
       category,
-      priority: priority || 'Medium',
-      impact: impact || 'Low',
-      urgency: urgency || 'Low',
-      createdBy: req.user.id,
+      priority,
+      impact,
+      urgency,
+      tags,
       attachments,
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : []
+      createdBy: req.user.id
     });
 
-    await ticket.save();
-
     // Populate user information
     await ticket.populate('createdBy', 'username fullName email department');
 
+    // Knowledge base articles that may already answer the ticket.
+    // A failure here must not fail the ticket itself.
+    let suggestedArticles = [];
+    try {
+      suggestedArticles = await knowledgeBase.suggestArticles({ title, description, category });
+    } catch (error) {
+      console.error('Article suggestion error:', error);
+    }
+
     res.status(201).json({
       message: 'Ticket created successfully',
-      ticket
+      ticket,
+      assignment: ticket.$locals.assignmentReport,
+      suggestedArticles
     });
 
   } catch (error) {
@@ -63,79 +114,120 @@ const createTicket = async (req, res) => {
   }
 };
 
+// Turn a ticket list request (filters, saved view, search, sort) into a
+// query restricted to the tickets the user may see. Shared by the list and
+// export endpoints (and bulk actions) so all accept the same parameters.
+const resolveTicketListQuery = async (params, user) => {
+  const { view: viewId } = params;
+  let { search, sortBy, sortOrder } = params;
+  let criteria = pickFilters(params);
+
+  // A saved view supplies defaults; explicit query parameters win
+  if (viewId) {
+    const view = mongoose.isValidObjectId(viewId) ? await SavedView.findById(viewId) : null;
+    if (!view) throw new FilterError('View not found', 404);
+    if (!canUseView(user, view)) throw new FilterError('Access denied', 403);
+
+    criteria = { ...pickFilters(view.filters), ...criteria };
+    search = search !== undefined ? search : view.search;
+    sortBy = sortBy || view.sortBy;
+    sortOrder = sortOrder || view.sortOrder;
+  }
+
+  // Build filter object; users only see tickets they may view
+  const filter = buildVisibilityFilter(user);
+
+  // Apply filters
+  const criteriaFilter = await buildTicketFilter(criteria, user);
+  if (criteriaFilter.$and) {
+    filter.$and = [...(filter.$and || []), ...criteriaFilter.$and];
+  }
+
+  // Search query: field filters (status:open ...) plus ranked free text
+  const query = search ? await ticketSearch.parseQuery(search, user) : null;
+  if (query && query.filter.$and) {
+    filter.$and = [...(filter.$and || []), ...query.filter.$and];
+  }
+
+  // Only ranked search results can be sorted by relevance
+  if (sortBy === 'relevance' && !(query && query.text)) sortBy = undefined;
+
+  return { filter, query, sortBy, sortOrder };
+};
+
 // Get all tickets (with filtering and pagination)
 const getTickets = async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      status,
-      priority,
-      category,
-      assignedTo,
-      createdBy,
-      search,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    // Build filter object
-    const filter = {};
-
-    // If user is not admin, only show their tickets or assigned tickets
-    if (req.user.role !== 'admin') {
-      filter.$or = [
-        { createdBy: req.user.id },
-        { assignedTo: req.user.id }
-      ];
-    }
-
-    // Apply filters
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-    if (category) filter.category = category;
-    if (assignedTo) filter.assignedTo = assignedTo;
-    if (createdBy) filter.createdBy = createdBy;
-
-    // Search functionality
-    if (search) {
-      filter.$and = filter.$and || [];
-      filter.$and.push({
-        $or: [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-          { ticketNumber: { $regex: search, $options: 'i' } }
-        ]
+    const { filter, query, sortBy, sortOrder } = await resolveTicketListQuery(req.query, req.user);
+    const includeInternal = canViewInternalComments(req.user);
+
+    // Ranked search results can additionally be sorted by relevance (the default)
+    const pagination = parsePagination({ ...req.query, sortBy, sortOrder }, {
+      sortFields: query && query.text ? ['relevance', ...TICKET_SORT_FIELDS] : TICKET_SORT_FIELDS,
+      defaultSortBy: query && query.text ? 'relevance' : 'createdAt'
+    });
+
+    let tickets;
+    let meta;
+    let scores = {};
+
+    if (query && query.text) {
+      // Internal comments are only searched for users who may read them
+      const offset = offsetOf(pagination);
+      const { results, total } = await ticketSearch.searchTickets(filter, query.text, {
+        scopes: includeInternal ? ['public', 'internal'] : ['public'],
+        sortBy: pagination.sortBy,
+        sortOrder: pagination.sortOrder,
+        skip: offset,
+        limit: pagination.limit
       });
-    }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+      const ids = results.map(result => result.ticketId.toString());
+      results.forEach(result => {
+        scores[result.ticketId.toString()] = result.score;
+      });
 
-    // Get tickets with pagination
-    const tickets = await Ticket.find(filter)
-      .populate('createdBy', 'username fullName email department')
-      .populate('assignedTo', 'username fullName email department')
-      .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+      const found = await Ticket.find({ _id: { $in: ids } })
+        .populate('createdBy', 'username fullName email department')
+        .populate('assignedTo', 'username fullName email department');
+      tickets = found.sort((a, b) => ids.indexOf(a._id.toString()) - ids.indexOf(b._id.toString()));
+      meta = offsetMeta(pagination, offset, tickets.length, total);
+    } else {
+      // Get tickets with pagination
+      const page = await paginateFind(Ticket, filter, pagination, ticketQuery => ticketQuery
+        .populate('createdBy', 'username fullName email department')
+        .populate('assignedTo', 'username fullName email department'));
+      tickets = page.docs;
+      meta = page.pagination;
+    }
+
+    // Internal comments stay hidden from users without ticket:view-internal
+    const results = tickets.map(ticket => {
+      if (!includeInternal) {
+        ticket.comments = ticket.comments.filter(comment => !comment.isInternal);
+      }
+      if (!query || !query.text) return ticket;
 
-    // Get total count for pagination
-    const totalTickets = await Ticket.countDocuments(filter);
-    const totalPages = Math.ceil(totalTickets / parseInt(limit));
+      return {
+        ...ticket.toJSON(),
+        searchScore: scores[ticket._id.toString()],
+        highlights: ticketSearch.buildHighlights(ticket, query.terms, { includeInternal })
+      };
+    });
 
     res.json({
-      tickets,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalTickets,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      }
+      tickets: results,
+      search: query ? { text: query.text, warnings: query.warnings } : undefined,
+      pagination: meta
     });
 
   } catch (error) {
+    if (error.name === 'FilterError' || error.name === 'PaginationError') {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
     console.error('Get tickets error:', error);
     res.status(500).json({
       message: 'Failed to fetch tickets',
@@ -144,6 +236,52 @@ const getTickets = async (req, res) => {
   }
 };
 
+// Export tickets as CSV or XLSX. Accepts the same filters, view, search and
+// sort as the list, plus `format` and `columns`; rows are streamed.
+const exportTickets = async (req, res) => {
+  try {
+    const format = ticketExport.parseFormat(req.query.format);
+    const columns = ticketExport.parseColumns(req.query.columns);
+    const { filter, query, sortBy, sortOrder } = await resolveTicketListQuery(req.query, req.user);
+    const includeInternal = canViewInternalComments(req.user);
+
+    const sortFields = query && query.text ? ['relevance', ...TICKET_SORT_FIELDS] : TICKET_SORT_FIELDS;
+    if (sortBy && !sortFields.includes(sortBy)) {
+      throw new PaginationError(`Cannot sort by ${sortBy}. Sortable fields: ${sortFields.join(', ')}`);
+    }
+
+    await ticketExport.exportTickets(res, {
+      filter,
+      text: query && query.text,
+      scopes: includeInternal ? ['public', 'internal'] : ['public'],
+      sortBy: sortBy || (query && query.text ? 'relevance' : 'createdAt'),
+      sortOrder: sortOrder === 'asc' ? 'asc' : 'desc',
+      columns,
+      format,
+      includeInternal
+    });
+
+  } catch (error) {
+    // Once streaming has started the response can only be aborted
+    if (res.headersSent) {
+      console.error('Export tickets error:', error);
+      return;
+    }
+
+    if (['FilterError', 'PaginationError', 'ExportError'].includes(error.name)) {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Export tickets error:', error);
+    res.status(500).json({
+      message: 'Failed to export tickets',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // Get single ticket by ID
 const getTicketById = async (req, res) => {
   try {
@@ -152,7 +290,8 @@ const getTicketById = async (req, res) => {
     const ticket = await Ticket.findById(id)
       .populate('createdBy', 'username fullName email department')
       .populate('assignedTo', 'username fullName email department')
-      .populate('comments.user', 'username fullName');
+      .populate('comments.user', 'username fullName')
+      .populate('articles', 'title status category');
 
     if (!ticket) {
       return res.status(404).json({
@@ -161,14 +300,20 @@ const getTicketById = async (req, res) => {
     }
 
     // Check access permissions
-    if (req.user.role !== 'admin' && 
-        ticket.createdBy._id.toString() !== req.user.id && 
-        (!ticket.assignedTo || ticket.assignedTo._id.toString() !== req.user.id)) {
+    if (!canViewTicket(req.user, ticket)) {
       return res.status(403).json({
         message: 'Access denied'
       });
     }
 
+    // Linked drafts are only listed for users who can open them
+    ticket.articles = ticket.articles.filter(article => article && knowledgeBase.canViewArticle(req.user, article));
+
+    // Internal comments stay hidden from users without ticket:view-internal
+    if (!canViewInternalComments(req.user)) {
+      ticket.comments = ticket.comments.filter(comment => !comment.isInternal);
+    }
+
     res.json({ ticket });
 
   } catch (error) {
@@ -203,18 +348,16 @@ const updateTicket = async (req, res) => {
     }
 
     // Check permissions
-    const isOwner = ticket.createdBy.toString() === req.user.id;
-    const isAdmin = req.user.role === 'admin';
-    const isAssigned = ticket.assignedTo && ticket.assignedTo.toString() === req.user.id;
+    const { isOwner, isAssigned, canManage, canModify } = getTicketAccess(req.user, ticket);
 
-    if (!isAdmin && !isOwner && !isAssigned) {
+    if (!canModify) {
       return res.status(403).json({
         message: 'Access denied'
       });
     }
 
     // Restrict what regular users can update
-    if (!isAdmin) {
+    if (!canManage) {
       const allowedFields = ['title', 'description', 'priority'];
       Object.keys(updates).forEach(key => {
         if (!allowedFields.includes(key)) {
@@ -223,21 +366,52 @@ const updateTicket = async (req, res) => {
       });
     }
 
-    // Update ticket
-    const updatedTicket = await Ticket.findByIdAndUpdate(
-      id,
-      updates,
-      { new: true, runValidators: true }
-    )
-    .populate('createdBy', 'username fullName email department')
-    .populate('assignedTo', 'username fullName email department');
+    PROTECTED_FIELDS.forEach(field => delete updates[field]);
+
+    // Reassignment and moving between team queues need ticket:assign
+    if (!hasPermission(req.user, 'ticket:assign')) {
+      delete updates.assignedTo;
+      delete updates.team;
+    }
+
+    // A new category is routed to its team unless a team was chosen explicitly
+    if (updates.category && updates.category !== ticket.category && updates.team === undefined) {
+      const routedTeam = await teamService.findTeamForCategory(updates.category);
+      updates.team = routedTeam ? routedTeam._id : null;
+    }
+
+    const before = auditService.snapshot(ticket);
+
+    // Status changes must follow the workflow
+    if (updates.status !== undefined && updates.status !== ticket.status) {
+      ticketWorkflow.transitionTo(ticket, updates.status, {
+        canManage,
+        isOwner,
+        isAssigned,
+        resolution: updates.resolution
+      });
+    }
+    delete updates.status;
+
+    // Save through the document so status and SLA hooks run
+    ticket.set(updates);
+    await ticket.save();
+    const entry = await auditService.recordChanges(ticket, before, req.user.id);
+    if (entry) emitChanges(ticket, entry.changes, req.user.id);
+
+    await ticket.populate('createdBy', 'username fullName email department');
+    await ticket.populate('assignedTo', 'username fullName email department');
 
     res.json({
       message: 'Ticket updated successfully',
-      ticket: updatedTicket
+      ticket
     });
 
   } catch (error) {
+    if (error instanceof ticketWorkflow.WorkflowError) {
+      return sendWorkflowError(res, error);
+    }
+
     console.error('Update ticket error:', error);
     res.status(500).json({
       message: 'Failed to update ticket',
@@ -246,6 +420,101 @@ const updateTicket = async (req, res) => {
   }
 };
 
+// Build a handler that moves a ticket through one workflow action
+const transitionTicket = (action) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { resolution } = req.body;
+
+    const ticket = await Ticket.findById(id);
+    if (!ticket) {
+      return res.status(404).json({
+        message: 'Ticket not found'
+      });
+    }
+
+    // Check access permissions
+    const { isOwner, isAssigned, canManage, canModify } = getTicketAccess(req.user, ticket);
+
+    if (!canModify) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    const before = auditService.snapshot(ticket);
+    ticketWorkflow.performAction(ticket, action, { canManage, isOwner, isAssigned, resolution });
+
+    await ticket.save();
+    const entry = await auditService.recordChanges(ticket, before, req.user.id);
+    if (entry) emitChanges(ticket, entry.changes, req.user.id);
+
+    await ticket.populate('createdBy', 'username fullName email department');
+    await ticket.populate('assignedTo', 'username fullName email department');
+
+    res.json({
+      message: `Ticket moved to ${ticket.status}`,
+      ticket
+    });
+
+  } catch (error) {
+    if (error instanceof ticketWorkflow.WorkflowError) {
+      return sendWorkflowError(res, error);
+    }
+
+    console.error(`Ticket ${action} error:`, error);
+    res.status(500).json({
+      message: `Failed to ${action} ticket`,
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// List the workflow actions the current user can take on a ticket
+const getTicketTransitions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const ticket = await Ticket.findById(id).select('status createdBy assignedTo resolution closedAt');
+    if (!ticket) {
+      return res.status(404).json({
+        message: 'Ticket not found'
+      });
+    }
+
+    const { isOwner, isAssigned, canManage, canView, canModify } = getTicketAccess(req.user, ticket);
+
+    if (!canView) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    res.json({
+      status: ticket.status,
+      actions: canModify ?
+        ticketWorkflow.getAvailableActions(ticket, { canManage, isOwner, isAssigned }) :
+        []
+    });
+
+  } catch (error) {
+    console.error('Get ticket transitions error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch ticket transitions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // Add comment to ticket
 const addComment = async (req, res) => {
   try {
@@ -269,28 +538,22 @@ const addComment = async (req, res) => {
     }
 
     // Check access permissions
-    const isOwner = ticket.createdBy.toString() === req.user.id;
-    const isAdmin = req.user.role === 'admin';
-    const isAssigned = ticket.assignedTo && ticket.assignedTo.toString() === req.user.id;
-
-    if (!isAdmin && !isOwner && !isAssigned) {
+    if (!getTicketAccess(req.user, ticket).canComment) {
       return res.status(403).json({
         message: 'Access denied'
       });
     }
 
-    // Only admins can add internal comments
-    const commentIsInternal = isAdmin && isInternal;
+    // Only staff with ticket:internal-comment can add internal comments
+    const commentIsInternal = hasPermission(req.user, 'ticket:internal-comment') && isInternal;
 
     // Add comment
-    ticket.comments.push({
-      user: req.user.id,
+    await ticketService.addComment(ticket, {
+      userId: req.user.id,
       message,
       isInternal: commentIsInternal
     });
 
-    await ticket.save();
-
     // Populate the ticket with user information
     await ticket.populate('comments.user', 'username fullName');
 
@@ -308,7 +571,7 @@ const addComment = async (req, res) => {
   }
 };
 
-// Assign ticket (admin only)
+// Assign ticket (requires ticket:assign)
 const assignTicket = async (req, res) => {
   try {
     const { id } = req.params;
@@ -321,7 +584,7 @@ const assignTicket = async (req, res) => {
       });
     }
 
-    // Verify assignee exists and is admin or support staff
+    // Verify assignee exists and is support staff
     if (assignedTo) {
       const assignee = await User.findById(assignedTo);
       if (!assignee) {
@@ -329,15 +592,15 @@ const assignTicket = async (req, res) => {
           message: 'Assignee not found'
         });
       }
+      if (!assignee.isActive || assignee.isServiceAccount || !rolesWithPermission('ticket:update').includes(assignee.role)) {
+        return res.status(400).json({
+          message: 'Tickets can only be assigned to active support staff'
+        });
+      }
     }
 
     // Update assignment
-    ticket.assignedTo = assignedTo || null;
-    if (assignedTo && ticket.status === 'Open') {
-      ticket.status = 'In Progress';
-    }
-
-    await ticket.save();
+    await ticketService.assignTicket(ticket, assignedTo, req.user.id);
 
     await ticket.populate('createdBy', 'username fullName email department');
     await ticket.populate('assignedTo', 'username fullName email department');
@@ -356,59 +619,185 @@ const assignTicket = async (req, res) => {
   }
 };
 
-// Get ticket statistics (admin only)
-const getTicketStats = async (req, res) => {
+// Let the assignment engine pick an agent (requires ticket:assign).
+// With dryRun the report is returned without assigning anyone.
+const autoAssignTicket = async (req, res) => {
   try {
-    const stats = await Ticket.aggregate([
-      {
-        $group: {
-          _id: null,
-          totalTickets: { $sum: 1 },
-          openTickets: {
-            $sum: { $cond: [{ $eq: ['$status', 'Open'] }, 1, 0] }
-          },
-          inProgressTickets: {
-            $sum: { $cond: [{ $eq: ['$status', 'In Progress'] }, 1, 0] }
-          },
-          resolvedTickets: {
-            $sum: { $cond: [{ $eq: ['$status', 'Resolved'] }, 1, 0] }
-          },
-          closedTickets: {
-            $sum: { $cond: [{ $eq: ['$status', 'Closed'] }, 1, 0] }
-          }
-        }
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { strategy, skillMatch, onShiftOnly, dryRun = false } = req.body;
+
+    const ticket = await Ticket.findById(id);
+    if (!ticket) {
+      return res.status(404).json({
+        message: 'Ticket not found'
+      });
+    }
+
+    const report = await ticketService.autoAssignTicket(ticket, {
+      actorId: req.user.id,
+      dryRun: dryRun === true || dryRun === 'true',
+      strategy,
+      skillMatch,
+      onShiftOnly
+    });
+
+    if (!report.assignee) {
+      return res.status(409).json({
+        message: 'No eligible agent found',
+        report
+      });
+    }
+
+    await ticket.populate('createdBy', 'username fullName email department');
+    await ticket.populate('assignedTo', 'username fullName email department');
+
+    res.json({
+      message: report.dryRun ? 'Auto-assignment preview' : 'Ticket auto-assigned successfully',
+      ticket,
+      report
+    });
+
+  } catch (error) {
+    console.error('Auto-assign ticket error:', error);
+    res.status(500).json({
+      message: 'Failed to auto-assign ticket',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Apply the same actions to many tickets (POST /bulk). Tickets are chosen by
+// `ticketIds` or by `filter`, which takes the same filters, view and search
+// as the ticket list. Each ticket is checked and saved on its own, so some
+// may fail while the rest succeed; the response reports every ticket.
+const bulkUpdateTickets = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { ticketIds, filter: selection, actions: requestedActions } = req.body;
+
+    if (Boolean(ticketIds) === Boolean(selection)) {
+      throw new ticketBulk.BulkActionError('Provide either ticketIds or filter');
+    }
+
+    const actions = await ticketBulk.prepareActions(requestedActions, req.user);
+
+    let tickets;
+    let missingIds = [];
+
+    if (ticketIds) {
+      const ids = [...new Set(ticketIds.map(String))];
+      const found = await Ticket.find({ _id: { $in: ids } });
+      const byId = new Map(found.map(ticket => [ticket._id.toString(), ticket]));
+      tickets = ids.filter(id => byId.has(id)).map(id => byId.get(id));
+      missingIds = ids.filter(id => !byId.has(id));
+    } else {
+      // An empty filter would select every visible ticket
+      if (Object.keys(pickFilters(selection)).length === 0 && !selection.search && !selection.view) {
+        throw new ticketBulk.BulkActionError('filter must contain at least one criterion, a search or a view');
       }
-    ]);
 
-    const priorityStats = await Ticket.aggregate([
-      {
-        $group: {
-          _id: '$priority',
-          count: { $sum: 1 }
-        }
+      const { filter, query } = await resolveTicketListQuery(selection, req.user);
+      let ids;
+      if (query && query.text) {
+        const { results } = await ticketSearch.searchTickets(filter, query.text, {
+          scopes: canViewInternalComments(req.user) ? ['public', 'internal'] : ['public'],
+          limit: ticketBulk.MAX_BULK_TICKETS + 1
+        });
+        ids = results.map(result => result.ticketId);
+      } else {
+        ids = (await Ticket.find(filter).select('_id').sort({ createdAt: 1 }).limit(ticketBulk.MAX_BULK_TICKETS + 1))
+          .map(ticket => ticket._id);
       }
-    ]);
 
-    const categoryStats = await Ticket.aggregate([
-      {
-        $group: {
-          _id: '$category',
-          count: { $sum: 1 }
-        }
+      if (ids.length > ticketBulk.MAX_BULK_TICKETS) {
+        throw new ticketBulk.BulkActionError(`The filter matches more than ${ticketBulk.MAX_BULK_TICKETS} tickets; narrow it down`);
       }
-    ]);
+      tickets = await Ticket.find({ _id: { $in: ids } }).sort({ createdAt: 1 });
+    }
+
+    const report = await ticketBulk.applyBulkActions(tickets, actions, req.user, { missingIds });
 
     res.json({
-      overview: stats[0] || {
-        totalTickets: 0,
-        openTickets: 0,
-        inProgressTickets: 0,
-        resolvedTickets: 0,
-        closedTickets: 0
-      },
-      priorityDistribution: priorityStats,
-      categoryDistribution: categoryStats
+      message: `Bulk action applied: ${report.summary.updated} updated, ${report.summary.unchanged} unchanged, ${report.summary.failed} failed`,
+      ...report
+    });
+
+  } catch (error) {
+    if (['BulkActionError', 'FilterError'].includes(error.name)) {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Bulk update tickets error:', error);
+    res.status(500).json({
+      message: 'Failed to apply bulk action',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
+  }
+};
+
+// Get activity history for a ticket
+const getTicketHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const ticket = await Ticket.findById(id).select('createdBy assignedTo');
+    if (!ticket) {
+      return res.status(404).json({
+        message: 'Ticket not found'
+      });
+    }
+
+    // Same access rules as viewing the ticket itself
+    if (!canViewTicket(req.user, ticket)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    // Internal comment activity is hidden from non-admins
+    const filter = { ticket: ticket._id };
+    if (!canViewInternalComments(req.user)) filter.isInternal = false;
+
+    const history = await TicketHistory.find(filter)
+      .populate('actor', 'username fullName')
+      .sort({ createdAt: 1 });
+
+    res.json({ history });
+
+  } catch (error) {
+    console.error('Get ticket history error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch ticket history',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get ticket statistics (requires stats:view)
+const getTicketStats = async (req, res) => {
+  try {
+    const stats = await ticketStats.getTicketStats();
+
+    res.json(stats);
 
   } catch (error) {
     console.error('Get stats error:', error);
@@ -419,12 +808,89 @@ const getTicketStats = async (req, res) => {
   }
 };
 
+// Time-series report for dashboards (requires stats:view). Takes `from`,
+// `to`, `interval` (day, week, month) and the usual ticket filters.
+const getTicketReport = async (req, res) => {
+  try {
+    const report = await ticketReports.getReport(req.query, req.user);
+
+    res.json(report);
+
+  } catch (error) {
+    if (error.name === 'ReportError' || error.name === 'FilterError') {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Get ticket report error:', error);
+    res.status(500).json({
+      message: 'Failed to build report',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Export ticket statistics as CSV or XLSX, one row per figure (requires stats:view)
+const exportTicketStats = async (req, res) => {
+  try {
+    const format = ticketExport.parseFormat(req.query.format);
+    const stats = await ticketStats.getTicketStats();
+
+    const rows = [
+      ...Object.entries(stats.overview)
+        .filter(([key]) => key !== '_id')
+        .map(([key, value]) => ['Overview', key, value]),
+      ...stats.priorityDistribution.map(entry => ['Priority', entry._id, entry.count]),
+      ...stats.categoryDistribution.map(entry => ['Category', entry._id, entry.count]),
+      ...Object.entries(stats.csat.overall).map(([key, value]) => ['CSAT', key, value]),
+      ...stats.csat.byAgent.map(entry => ['CSAT by Agent', entry.agent.fullName || entry.agent._id.toString(), entry.averageRating]),
+      ...stats.csat.byCategory.map(entry => ['CSAT by Category', entry.category, entry.averageRating]),
+      ...stats.csat.byTeam.map(entry => ['CSAT by Team', entry.team.name || entry.team._id.toString(), entry.averageRating])
+    ];
+
+    await ticketExport.sendSpreadsheet(res, {
+      format,
+      filename: `ticket-stats-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: 'Statistics',
+      headers: ['Section', 'Metric', 'Value'],
+      rows
+    });
+
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Export stats error:', error);
+      return;
+    }
+
+    if (error.name === 'ExportError') {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
+    console.error('Export stats error:', error);
+    res.status(500).json({
+      message: 'Failed to export statistics',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   createTicket,
   getTickets,
   getTicketById,
   updateTicket,
+  transitionTicket,
+  getTicketTransitions,
   addComment,
   assignTicket,
-  getTicketStats
+  autoAssignTicket,
+  bulkUpdateTickets,
+  getTicketHistory,
+  getTicketStats,
+  getTicketReport,
+  exportTickets,
+  exportTicketStats
 };
@@ -1,11 +1,18 @@
 const User = require('../models/User');
 const Ticket = require('../models/Ticket');
 const { validationResult } = require('express-validator');
+const { revokeAllSessions } = require('../services/tokenService');
+const { getWorkload } = require('../services/assignmentEngine');
+const { parsePagination, paginateFind } = require('../services/pagination');
+const { SUPPORT_ROLES, hasPermission } = require('../config/permissions');
 
-// Get all users (admin only)
+// Fields the user list may be sorted by; each has a supporting index on User
+const USER_SORT_FIELDS = ['createdAt', 'username', 'fullName', 'email', 'role'];
+
+// Get all users (requires user:view)
 const getAllUsers = async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, role, isActive } = req.query;
+    const { search, role, isActive } = req.query;
 
     // Build filter object
     const filter = {};
@@ -22,32 +29,22 @@ const getAllUsers = async (req, res) => {
       ];
     }
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
     // Get users with pagination
-    const users = await User.find(filter)
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Get total count for pagination
-    const totalUsers = await User.countDocuments(filter);
-    const totalPages = Math.ceil(totalUsers / parseInt(limit));
+    const pagination = parsePagination(req.query, { sortFields: USER_SORT_FIELDS });
+    const { docs: users, pagination: meta } = await paginateFind(User, filter, pagination, query => query.select('-password'));
 
     res.json({
       users,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalUsers,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      }
+      pagination: meta
     });
 
   } catch (error) {
+    if (error.name === 'PaginationError') {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
+    }
+
     console.error('Get users error:', error);
     res.status(500).json({
       message: 'Failed to fetch users',
@@ -56,7 +53,7 @@ const getAllUsers = async (req, res) => {
   }
 };
 
-// Get user by ID (admin only)
+// Get user by ID (requires user:view)
 const getUserById = async (req, res) => {
   try {
     const { id } = req.params;
@@ -111,7 +108,7 @@ const getUserById = async (req, res) => {
   }
 };
 
-// Update user (admin only)
+// Update user (requires user:manage)
 const updateUser = async (req, res) => {
   try {
     // Check for validation errors
@@ -124,7 +121,17 @@ const updateUser = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { fullName, email, role, department, phone, isActive } = req.body;
+    const {
+      fullName,
+      email,
+      role,
+      department,
+      phone,
+      isActive,
+      skills,
+      maxOpenTickets,
+      shift
+    } = req.body;
 
     // Check if user exists
     const user = await User.findById(id);
@@ -147,10 +154,15 @@ const updateUser = async (req, res) => {
     // Update user
     const updatedUser = await User.findByIdAndUpdate(
       id,
-      { fullName, email, role, department, phone, isActive },
+      { fullName, email, role, department, phone, isActive, skills, maxOpenTickets, shift },
       { new: true, runValidators: true }
     ).select('-password');
 
+    // Deactivated accounts lose every session immediately
+    if (user.isActive && updatedUser.isActive === false) {
+      await revokeAllSessions(id, 'account-deactivated');
+    }
+
     res.json({
       message: 'User updated successfully',
       user: updatedUser
@@ -165,7 +177,7 @@ const updateUser = async (req, res) => {
   }
 };
 
-// Delete user (admin only)
+// Delete user (requires user:manage)
 const deleteUser = async (req, res) => {
   try {
     const { id } = req.params;
@@ -194,6 +206,7 @@ const deleteUser = async (req, res) => {
 
     // Soft delete by deactivating the user
     await User.findByIdAndUpdate(id, { isActive: false });
+    await revokeAllSessions(id, 'account-deactivated');
 
     res.json({
       message: 'User deactivated successfully'
@@ -208,13 +221,32 @@ const deleteUser = async (req, res) => {
   }
 };
 
-// Get support staff (for ticket assignment)
+// Get support staff (for ticket assignment). Roles, teams, skills, shifts
+// and workload are only shown to users who assign tickets.
 const getSupportStaff = async (req, res) => {
   try {
-    const supportStaff = await User.find({
-      role: 'admin',
-      isActive: true
-    }).select('_id username fullName email department');
+    const filter = {
+      role: { $in: SUPPORT_ROLES },
+      isActive: true,
+      isServiceAccount: { $ne: true }
+    };
+
+    if (!hasPermission(req.user, 'ticket:assign')) {
+      const supportStaff = await User.find(filter).select('_id username fullName email department');
+      return res.json({
+        supportStaff
+      });
+    }
+
+    const staff = await User.find(filter)
+      .select('_id username fullName email department role teams skills maxOpenTickets shift');
+
+    // Current load next to each agent so assigners can see who has room
+    const workload = await getWorkload(staff);
+    const supportStaff = staff.map((user, index) => ({
+      ...user.toJSON(),
+      workload: workload[index]
+    }));
 
     res.json({
       supportStaff
@@ -233,12 +265,11 @@ const getSupportStaff = async (req, res) => {
 const getDashboardData = async (req, res) => {
   try {
     const userId = req.user.id;
-    const userRole = req.user.role;
 
     let dashboardData = {};
 
-    if (userRole === 'admin') {
-      // Admin dashboard data
+    if (hasPermission(req.user, 'ticket:view-all')) {
+      // Staff dashboard data
       const totalUsers = await User.countDocuments({ isActive: true });
       const totalTickets = await Ticket.countDocuments();
       const openTickets = await Ticket.countDocuments({ status: 'Open' });
@@ -0,0 +1,240 @@
+const SavedView = require('../models/SavedView');
+const { validationResult } = require('express-validator');
+const { pickFilters, buildTicketFilter } = require('../services/ticketFilters');
+const {
+  canUseView,
+  canEditView,
+  canShareWithTeam,
+  buildViewVisibilityFilter
+} = require('../services/viewAccess');
+
+const VIEW_FIELDS = ['name', 'description', 'scope', 'team', 'search', 'sortBy', 'sortOrder'];
+
+const pickViewFields = (body) => {
+  const fields = {};
+  VIEW_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (body.filters !== undefined) fields.filters = pickFilters(body.filters);
+  return fields;
+};
+
+// Reject filters that would fail when the view is applied
+const checkFilters = async (res, filters, user) => {
+  try {
+    await buildTicketFilter(filters || {}, user);
+    return true;
+  } catch (error) {
+    if (error.name !== 'FilterError') throw error;
+    res.status(error.statusCode).json({
+      message: error.message
+    });
+    return false;
+  }
+};
+
+// Get the views the user can use: their own and their teams'
+const getViews = async (req, res) => {
+  try {
+    const { scope } = req.query;
+
+    const filter = buildViewVisibilityFilter(req.user);
+    if (scope) filter.scope = scope;
+
+    const views = await SavedView.find(filter)
+      .populate('owner', 'username fullName')
+      .populate('team', 'name')
+      .sort({ scope: 1, name: 1 });
+
+    res.json({ views });
+
+  } catch (error) {
+    console.error('Get views error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch views',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get view by ID
+const getViewById = async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id)
+      .populate('owner', 'username fullName')
+      .populate('team', 'name');
+
+    if (!view) {
+      return res.status(404).json({
+        message: 'View not found'
+      });
+    }
+
+    if (!canUseView(req.user, view)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    res.json({ view });
+
+  } catch (error) {
+    console.error('Get view error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch view',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Create view
+const createView = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickViewFields(req.body);
+
+    if (fields.scope === 'team' && !canShareWithTeam(req.user, fields.team)) {
+      return res.status(403).json({
+        message: 'You can only share views with your own teams'
+      });
+    }
+
+    if (!await checkFilters(res, fields.filters, req.user)) return;
+
+    const view = new SavedView({
+      ...fields,
+      owner: req.user._id
+    });
+    await view.save();
+
+    res.status(201).json({
+      message: 'View created successfully',
+      view
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Create view error:', error);
+    res.status(500).json({
+      message: 'Failed to create view',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Update view (owner, or team managers for team views)
+const updateView = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const view = await SavedView.findById(req.params.id);
+    if (!view) {
+      return res.status(404).json({
+        message: 'View not found'
+      });
+    }
+
+    if (!canEditView(req.user, view)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    const updates = pickViewFields(req.body);
+    const scope = updates.scope || view.scope;
+    const team = updates.team !== undefined ? updates.team : view.team;
+    const sharingChanged = updates.scope !== undefined || updates.team !== undefined;
+
+    if (scope === 'team' && sharingChanged && !canShareWithTeam(req.user, team)) {
+      return res.status(403).json({
+        message: 'You can only share views with your own teams'
+      });
+    }
+
+    if (updates.filters && !await checkFilters(res, updates.filters, req.user)) return;
+
+    view.set(updates);
+    // Mixed paths are not change-tracked
+    if (updates.filters) view.markModified('filters');
+    await view.save();
+
+    res.json({
+      message: 'View updated successfully',
+      view
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+      });
+    }
+
+    console.error('Update view error:', error);
+    res.status(500).json({
+      message: 'Failed to update view',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete view (owner, or team managers for team views)
+const deleteView = async (req, res) => {
+  try {
+    const view = await SavedView.findById(req.params.id);
+    if (!view) {
+      return res.status(404).json({
+        message: 'View not found'
+      });
+    }
+
+    if (!canEditView(req.user, view)) {
+      return res.status(403).json({
+        message: 'Access denied'
+      });
+    }
+
+    await view.deleteOne();
+
+    res.json({
+      message: 'View deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete view error:', error);
+    res.status(500).json({
+      message: 'Failed to delete view',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getViews,
+  getViewById,
+  createView,
+  updateView,
+  deleteView
+};
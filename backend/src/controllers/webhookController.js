@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { validationResult } = require('express-validator');
+const webhookService = require('../services/webhookService');
+const { parsePagination, paginateFind } = require('../services/pagination');
+
+const WEBHOOK_FIELDS = ['name', 'url', 'secret', 'events', 'includeInternal', 'isActive'];
+
+const pickWebhookFields = (body) => {
+  const fields = {};
+  WEBHOOK_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const findWebhook = (id) => (mongoose.isValidObjectId(id) ? Webhook.findById(id) : null);
+
+// Send validation, webhook and pagination errors as JSON; returns false for anything else
+const sendKnownError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    res.status(400).json({
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => ({ path: err.path, msg: err.message }))
+    });
+    return true;
+  }
+  if (!['WebhookError', 'PaginationError'].includes(error.name)) return false;
+  res.status(error.statusCode).json({
+    message: error.message
+  });
+  return true;
+};
+
+// Get all webhooks (requires webhook:manage)
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find()
+      .populate('createdBy', 'username fullName')
+      .sort({ name: 1 });
+
+    res.json({ webhooks });
+
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch webhooks',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Get webhook by ID (requires webhook:manage)
+const getWebhookById = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found'
+      });
+    }
+
+    await webhook.populate('createdBy', 'username fullName');
+    res.json({ webhook });
+
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Create webhook (requires webhook:manage). A secret is generated unless one
+// is given; it is only returned in this response.
+const createWebhook = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickWebhookFields(req.body);
+    const webhook = new Webhook({
+      ...fields,
+      secret: fields.secret || webhookService.generateSecret(),
+      createdBy: req.user._id
+    });
+    await webhook.save();
+
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      message: 'Failed to create webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Update webhook (requires webhook:manage). Send `rotateSecret: true` to
+// get a new generated secret, which is returned in this response only.
+const updateWebhook = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await findWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found'
+      });
+    }
+
+    webhook.set(pickWebhookFields(req.body));
+    if (req.body.rotateSecret === true || req.body.rotateSecret === 'true') {
+      webhook.secret = webhookService.generateSecret();
+    }
+    await webhook.save();
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      message: 'Failed to update webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delete webhook and its delivery log (requires webhook:manage)
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found'
+      });
+    }
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      message: 'Failed to delete webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Delivery log of a webhook, newest first, with the response code of every attempt
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const webhook = await findWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found'
+      });
+    }
+
+    const { status, event } = req.query;
+    const filter = { webhook: webhook._id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const pagination = parsePagination(req.query, { sortFields: ['createdAt'] });
+    const page = await paginateFind(WebhookDelivery, filter, pagination, query => query.select('-payload'));
+
+    res.json({
+      deliveries: page.docs,
+      pagination: page.pagination
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch webhook deliveries',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+const findDelivery = (req) => (mongoose.isValidObjectId(req.params.id) && mongoose.isValidObjectId(req.params.deliveryId) ?
+  WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.params.id }) :
+  null);
+
+// Get one delivery including the payload that was sent
+const getWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await findDelivery(req);
+    if (!delivery) {
+      return res.status(404).json({
+        message: 'Delivery not found'
+      });
+    }
+
+    res.json({ delivery });
+
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch webhook delivery',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Send a delivery again with the same payload, as a new delivery
+const redeliverWebhookDelivery = async (req, res) => {
+  try {
+    const delivery = await findDelivery(req);
+    if (!delivery) {
+      return res.status(404).json({
+        message: 'Delivery not found'
+      });
+    }
+
+    const redelivery = await webhookService.redeliver(delivery);
+
+    res.status(202).json({
+      message: 'Redelivery queued',
+      delivery: redelivery
+    });
+
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({
+      message: 'Failed to queue redelivery',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhookDelivery
+};
@@ -1,8 +1,44 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const apiKeyService = require('../services/apiKeyService');
+const { hasPermission } = require('../config/permissions');
+const { DEFAULT_API_KEY_RATE_LIMIT } = require('../config/apiKeyOptions');
 
-// Verify JWT token
-const authenticateToken = async (req, res, next) => {
+// Requests per minute for each API key, counted per key rather than per IP
+const apiKeyRateLimit = require('express-rate-limit')({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.apiKey.rateLimit || DEFAULT_API_KEY_RATE_LIMIT,
+  keyGenerator: (req) => req.apiKey._id.toString(),
+  message: {
+    message: 'API key rate limit exceeded, please slow down'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Authenticate a service account API key granted `scope`
+const authenticateApiKey = async (req, res, next, key, scope) => {
+  if (!scope) {
+    return res.status(403).json({
+      message: 'API keys cannot be used for this endpoint'
+    });
+  }
+
+  const { apiKey, user } = await apiKeyService.authenticateApiKey(key, { ip: req.ip });
+  if (!apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      message: `API key scope required: ${scope}`
+    });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  apiKeyRateLimit(req, res, next);
+};
+
+// Verify the bearer token: a user JWT, or (when `scope` is given) a service
+// account API key with that scope
+const authenticateClient = (scope) => async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -13,6 +49,10 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (apiKeyService.isApiKey(token)) {
+      return await authenticateApiKey(req, res, next, token, scope);
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.userId).select('-password');
     
@@ -28,7 +68,15 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password change or "log out everywhere" are void
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        message: 'Token revoked'
+      });
+    }
+
     req.user = user;
+    req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -39,6 +87,10 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ 
         message: 'Token expired' 
       });
+    } else if (error.name === 'ApiKeyError') {
+      return res.status(error.statusCode).json({
+        message: error.message
+      });
     }
     
     console.error('Authentication error:', error);
@@ -48,6 +100,18 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Verify JWT token (API keys are refused)
+const authenticateToken = authenticateClient(null);
+
+// Accept the access token from the query string when no header is sent
+// (for clients such as EventSource that cannot set headers)
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
 // Check if user is admin
 const requireAdmin = (req, res, next) => {
   if (req.user.role !== 'admin') {
@@ -58,10 +122,21 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-// Check if user can access ticket (owner or admin)
+// Check that the user's role grants every listed permission
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      message: `Permission required: ${missing.join(', ')}`
+    });
+  }
+  next();
+};
+
+// Check if user can access ticket (owner or staff)
 const checkTicketAccess = (req, res, next) => {
-  // Admin can access all tickets
-  if (req.user.role === 'admin') {
+  // Staff with ticket:view-all can access all tickets
+  if (hasPermission(req.user, 'ticket:view-all')) {
     return next();
   }
 
@@ -81,9 +156,24 @@ const authRateLimit = require('express-rate-limit')({
   legacyHeaders: false,
 });
 
+// Rate limiting for endpoints that send account emails
+const accountEmailRateLimit = require('express-rate-limit')({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 requests per windowMs
+  message: {
+    message: 'Too many requests, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 module.exports = {
   authenticateToken,
+  authenticateClient,
+  tokenFromQuery,
   requireAdmin,
+  requirePermission,
   checkTicketAccess,
-  authRateLimit
+  authRateLimit,
+  accountEmailRateLimit
 };
@@ -8,25 +8,33 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+const maxFileSize = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024; // 5MB default
+
+const getAllowedFileTypes = () => process.env.ALLOWED_FILE_TYPES?.split(',') || [
+  'jpg', 'jpeg', 'png', 'gif', 'pdf', 'doc', 'docx', 'txt'
+];
+
+// Generate unique filename
+const generateFilename = (fieldname, originalName) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const extension = path.extname(originalName);
+  return fieldname + '-' + uniqueSuffix + extension;
+};
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
     cb(null, uploadDir);
   },
   filename: function (req, file, cb) {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const extension = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + extension);
+    cb(null, generateFilename(file.fieldname, file.originalname));
   }
 });
 
 // File filter
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = process.env.ALLOWED_FILE_TYPES?.split(',') || [
-    'jpg', 'jpeg', 'png', 'gif', 'pdf', 'doc', 'docx', 'txt'
-  ];
-  
+  const allowedTypes = getAllowedFileTypes();
+
   const fileExtension = path.extname(file.originalname).toLowerCase().slice(1);
   
   if (allowedTypes.includes(fileExtension)) {
@@ -40,7 +48,7 @@ const fileFilter = (req, file, cb) => {
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
+    fileSize: maxFileSize,
     files: 5 // Maximum 5 files per request
   },
   fileFilter: fileFilter
@@ -86,8 +94,35 @@ const cleanupFiles = (files) => {
   }
 };
 
+// Store an in-memory file (e.g. an email attachment) alongside regular uploads.
+// Returns the ticket attachment shape, or throws if the file is not allowed.
+const storeFile = async ({ originalName, content, mimetype }) => {
+  const fileExtension = path.extname(originalName).toLowerCase().slice(1);
+  const allowedTypes = getAllowedFileTypes();
+
+  if (!allowedTypes.includes(fileExtension)) {
+    throw new Error(`File type .${fileExtension} is not allowed. Allowed types: ${allowedTypes.join(', ')}`);
+  }
+  if (content.length > maxFileSize) {
+    throw new Error(`File ${originalName} is too large`);
+  }
+
+  const filename = generateFilename('attachments', originalName);
+  const filePath = path.join(uploadDir, filename);
+  await fs.promises.writeFile(filePath, content);
+
+  return {
+    filename,
+    originalName,
+    path: filePath,
+    size: content.length,
+    mimetype
+  };
+};
+
 module.exports = {
   upload: upload.array('attachments', 5),
   handleUploadErrors,
-  cleanupFiles
+  cleanupFiles,
+  storeFile
 };
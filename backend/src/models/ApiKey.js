@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/apiKeyOptions');
+
+// A revocable credential a service account uses instead of logging in
+// (see services/apiKeyService)
+const apiKeySchema = new mongoose.Schema({
+  serviceAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+  // Start of the key, kept so admins can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // Only a SHA-256 hash of the key is stored
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'An API key needs at least one scope'
+    }
+  },
+  // No expiry when null
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Requests per minute; null uses API_KEY_RATE_LIMIT
+  rateLimit: {
+    type: Number,
+    default: null,
+    min: [1, 'Rate limit must be at least 1 request per minute']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Remove the key hash from JSON output (it is present right after creation)
+apiKeySchema.methods.toJSON = function() {
+  const apiKeyObject = this.toObject();
+  delete apiKeyObject.keyHash;
+  return apiKeyObject;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
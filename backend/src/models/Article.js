@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { TICKET_CATEGORIES } = require('../config/ticketOptions');
+
+// Knowledge base article. Every content change bumps `version` and is kept
+// in ArticleVersion (see services/knowledgeBase).
+const articleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // Markdown
+  body: {
+    type: String,
+    required: [true, 'Body is required'],
+    maxlength: [20000, 'Body cannot exceed 20000 characters']
+  },
+  category: {
+    type: String,
+    required: [true, 'Category is required'],
+    enum: TICKET_CATEGORIES
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'draft'
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: {
+    type: Date
+  },
+  // Ticket whose resolution the article was promoted from
+  sourceTicket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+articleSchema.index(
+  { title: 'text', tags: 'text', body: 'text' },
+  { weights: { title: 10, tags: 5, body: 1 }, name: 'article_text' }
+);
+articleSchema.index({ status: 1, category: 1, updatedAt: -1 });
+// Keyset pagination for ARTICLE_SORT_FIELDS
+articleSchema.index({ updatedAt: -1, _id: -1 });
+articleSchema.index({ createdAt: -1, _id: -1 });
+articleSchema.index({ title: 1, _id: 1 });
+
+module.exports = mongoose.model('Article', articleSchema);
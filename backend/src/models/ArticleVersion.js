@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Snapshot of an article's content at one version. Append-only.
+const articleVersionSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String
+  },
+  tags: [String],
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+articleVersionSchema.index({ article: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ArticleVersion', articleVersionSchema);
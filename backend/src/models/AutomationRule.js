@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { TICKET_CATEGORIES, TICKET_PRIORITIES, TICKET_STATUSES } = require('../config/ticketOptions');
+const {
+  AUTOMATION_TRIGGERS,
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  DELAY_REFERENCES
+} = require('../config/automationOptions');
+
+const conditionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: [true, 'Condition field is required'],
+    enum: CONDITION_FIELDS
+  },
+  operator: {
+    type: String,
+    required: [true, 'Condition operator is required'],
+    enum: CONDITION_OPERATORS
+  },
+  // A single value, or a list for `in` / `notIn`
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+// "When <trigger> and <conditions>, do <actions>" (see services/automationEngine)
+const automationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Log what the rule would do instead of doing it
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  trigger: {
+    type: String,
+    required: [true, 'Trigger is required'],
+    enum: AUTOMATION_TRIGGERS
+  },
+  // Every condition must match; no conditions matches every ticket
+  conditions: [conditionSchema],
+  // Time rules: how long the ticket must have been unchanged since `since`
+  delay: {
+    minutes: {
+      type: Number,
+      min: [1, 'Delay must be at least 1 minute']
+    },
+    since: {
+      type: String,
+      enum: DELAY_REFERENCES,
+      default: 'statusChangedAt'
+    }
+  },
+  actions: {
+    set: {
+      status: {
+        type: String,
+        enum: TICKET_STATUSES
+      },
+      // Used when `status` resolves the ticket
+      resolution: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Resolution cannot exceed 1000 characters']
+      },
+      priority: {
+        type: String,
+        enum: TICKET_PRIORITIES
+      },
+      category: {
+        type: String,
+        enum: TICKET_CATEGORIES
+      },
+      impact: {
+        type: String,
+        enum: ['Low', 'Medium', 'High']
+      },
+      urgency: {
+        type: String,
+        enum: ['Low', 'Medium', 'High']
+      }
+    },
+    // A user ID, "team-lead" (lead of the ticket's team) or "unassigned"
+    assignTo: {
+      type: String
+    },
+    addTags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    removeTags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    // Internal comment with {{placeholders}}, written in the rule author's name
+    comment: {
+      type: String,
+      maxlength: [1000, 'Comment cannot exceed 1000 characters']
+    },
+    notify: {
+      // User IDs, "requester", "assignee" or "team-lead"
+      recipients: [{
+        type: String
+      }],
+      message: {
+        type: String,
+        maxlength: [1000, 'Notification message cannot exceed 1000 characters']
+      }
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  lastRunAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+automationRuleSchema.pre('validate', function(next) {
+  if (this.trigger === 'time' && !(this.delay && this.delay.minutes)) {
+    this.invalidate('delay.minutes', 'Time rules need a delay in minutes');
+  }
+  next();
+});
+
+automationRuleSchema.index({ trigger: 1, isActive: 1, createdAt: 1 });
+
+module.exports = mongoose.model('AutomationRule', automationRuleSchema);
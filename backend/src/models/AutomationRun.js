@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { AUTOMATION_TRIGGERS } = require('../config/automationOptions');
+
+// How long run log entries are kept
+const RETENTION_DAYS = 30;
+
+// One rule run against one ticket, kept so admins can see what rules did
+const automationRunSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AutomationRule',
+    required: true
+  },
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: AUTOMATION_TRIGGERS
+  },
+  // dry-run: the rule matched but is in dry-run mode, so nothing was changed
+  result: {
+    type: String,
+    enum: ['applied', 'unchanged', 'failed', 'dry-run'],
+    required: true
+  },
+  // Ticket fields the rule changed (or would have changed)
+  changes: [{
+    type: String
+  }],
+  notified: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+automationRunSchema.index({ rule: 1, createdAt: -1, _id: -1 });
+automationRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('AutomationRun', automationRunSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Satisfaction survey sent to the requester when a ticket is resolved.
+// Each resolution gets its own survey; the emailed token can be used once.
+const csatSurveySchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true,
+    index: true
+  },
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Who worked the ticket when it was resolved; ratings are credited to them
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  category: {
+    type: String
+  },
+  // Only a SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  respondedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  // Set when a low rating reopened the ticket
+  reopenedTicket: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CsatSurvey', csatSurveySchema);
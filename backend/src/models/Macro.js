@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { TICKET_PRIORITIES, TICKET_STATUSES } = require('../config/ticketOptions');
+
+// Canned response: a comment template plus optional ticket changes, applied
+// in one call (see services/macroService)
+const macroSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Macro name is required'],
+    trim: true,
+    maxlength: [100, 'Macro name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Personal macros are only visible to the owner; shared ones to all support staff
+  scope: {
+    type: String,
+    enum: ['personal', 'shared'],
+    default: 'personal'
+  },
+  // Comment text with {{placeholders}}; optional when the macro only changes fields
+  comment: {
+    message: {
+      type: String,
+      maxlength: [1000, 'Comment cannot exceed 1000 characters']
+    },
+    isInternal: {
+      type: Boolean,
+      default: false
+    }
+  },
+  actions: {
+    status: {
+      type: String,
+      enum: TICKET_STATUSES
+    },
+    priority: {
+      type: String,
+      enum: TICKET_PRIORITIES
+    },
+    addTags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    removeTags: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }],
+    // A user ID, "me" (whoever applies the macro) or "unassigned"
+    assignTo: {
+      type: String
+    }
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+macroSchema.index({ scope: 1, name: 1 });
+
+module.exports = mongoose.model('Macro', macroSchema);
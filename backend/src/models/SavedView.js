@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A named ticket list: filters, search and sort applied by GET /api/tickets?view=<id>
+const savedViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    maxlength: [100, 'View name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Personal views are only visible to the owner; team views to every member
+  scope: {
+    type: String,
+    enum: ['personal', 'team'],
+    default: 'personal'
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null,
+    index: true
+  },
+  // Filter values as accepted by services/ticketFilters
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  search: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Search cannot exceed 500 characters']
+  },
+  sortBy: {
+    type: String
+  },
+  sortOrder: {
+    type: String,
+    enum: ['asc', 'desc'],
+    default: 'desc'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Team views must name their team
+savedViewSchema.pre('validate', function(next) {
+  if (this.scope === 'team' && !this.team) {
+    this.invalidate('team', 'Team views must belong to a team');
+  }
+  if (this.scope === 'personal') {
+    this.team = null;
+  }
+  next();
+});
+
+module.exports = mongoose.model('SavedView', savedViewSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { TICKET_CATEGORIES } = require('../config/ticketOptions');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const slaPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Policy name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // An empty list matches every priority
+  priorities: [{
+    type: String,
+    enum: ['Low', 'Medium', 'High', 'Critical']
+  }],
+  // An empty list matches every category
+  categories: [{
+    type: String,
+    enum: TICKET_CATEGORIES
+  }],
+  firstResponseMinutes: {
+    type: Number,
+    required: [true, 'First response target is required'],
+    min: [1, 'First response target must be at least 1 minute']
+  },
+  resolutionMinutes: {
+    type: Number,
+    required: [true, 'Resolution target is required'],
+    min: [1, 'Resolution target must be at least 1 minute']
+  },
+  // When disabled the targets run around the clock (24x7)
+  businessHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    days: {
+      type: [Number],
+      default: [1, 2, 3, 4, 5],
+      validate: {
+        validator: (days) => days.length > 0 && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+        message: 'Business days must be a non-empty list of weekday numbers (0 = Sunday, 6 = Saturday)'
+      }
+    },
+    start: {
+      type: String,
+      default: '09:00',
+      match: [TIME_PATTERN, 'Business hours start must be in HH:mm format']
+    },
+    end: {
+      type: String,
+      default: '17:00',
+      match: [TIME_PATTERN, 'Business hours end must be in HH:mm format']
+    }
+  },
+  holidays: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Business day must end after it starts
+slaPolicySchema.pre('validate', function(next) {
+  if (this.businessHours && this.businessHours.enabled &&
+      this.businessHours.start >= this.businessHours.end) {
+    this.invalidate('businessHours.end', 'Business hours end must be after start');
+  }
+  next();
+});
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { TICKET_CATEGORIES } = require('../config/ticketOptions');
+
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Team name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Team name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Routing rules: new tickets in these categories land in this team's queue
+  categories: [{
+    type: String,
+    enum: TICKET_CATEGORIES
+  }],
+  // How new tickets in this queue are handed to members (see services/assignmentEngine)
+  autoAssign: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    strategy: {
+      type: String,
+      enum: ['round-robin', 'least-open'],
+      default: 'least-open'
+    },
+    skillMatch: {
+      type: Boolean,
+      default: false
+    },
+    onShiftOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
+  lead: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Membership is stored on the user (User.teams) so access checks need no extra lookup
+teamSchema.virtual('members', {
+  ref: 'User',
+  localField: '_id',
+  foreignField: 'teams'
+});
+
+teamSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Team', teamSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const slaService = require('../services/slaService');
+const ticketSearch = require('../services/ticketSearch');
+const { TICKET_CATEGORIES } = require('../config/ticketOptions');
 
 const ticketSchema = new mongoose.Schema({
   ticketNumber: {
@@ -21,20 +24,7 @@ const ticketSchema = new mongoose.Schema({
   category: {
     type: String,
     required: [true, 'Category is required'],
-    enum: [
-      'Technical Issue',
-      'Software Installation',
-      'Hardware Problem',
-      'Network Issue',
-      'Account Access',
-      'Email Problem',
-      'Printer Issue',
-      'Mobile Device',
-      'Security Concern',
-      'Training Request',
-      'General Inquiry',
-      'Other'
-    ]
+    enum: TICKET_CATEGORIES
   },
   priority: {
     type: String,
@@ -57,6 +47,13 @@ const ticketSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // Support team whose queue the ticket is in
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null,
+    index: true
+  },
   attachments: [{
     filename: String,
     originalName: String,
@@ -100,6 +97,17 @@ const ticketSchema = new mongoose.Schema({
   closedAt: {
     type: Date
   },
+  reopenCount: {
+    type: Number,
+    default: 0
+  },
+  reopenedAt: {
+    type: Date
+  },
+  // When the status last changed; time-based automations count from it
+  statusChangedAt: {
+    type: Date
+  },
   estimatedResolutionTime: {
     type: Date
   },
@@ -113,46 +121,132 @@ const ticketSchema = new mongoose.Schema({
     enum: ['Low', 'Medium', 'High'],
     default: 'Low'
   },
+  source: {
+    type: String,
+    enum: ['web', 'email', 'import', 'alert'],
+    default: 'web'
+  },
+  // Monitoring alert this ticket was opened for; repeats of the alert are
+  // added as comments while the ticket is open (see services/alertIntake)
+  alert: {
+    fingerprint: {
+      type: String,
+      index: { sparse: true }
+    },
+    // Monitoring system that sent it, e.g. alertmanager
+    origin: {
+      type: String
+    },
+    occurrences: {
+      type: Number
+    },
+    lastReceivedAt: {
+      type: Date
+    }
+  },
+  // Identifier in the system a ticket was imported from; makes re-imports idempotent
+  externalId: {
+    type: String,
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+  // Knowledge base articles that helped with this ticket
+  articles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article'
+  }],
+  // Message-IDs of inbound emails on this ticket, used to thread replies
+  emailMessageIds: {
+    type: [String],
+    index: true
+  },
   urgency: {
     type: String,
     enum: ['Low', 'Medium', 'High'],
     default: 'Low'
+  },
+  // Time-based automation rule ID -> when it last fired on this ticket
+  automationMarks: {
+    type: Map,
+    of: Date,
+    select: false
+  },
+  sla: {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlaPolicy',
+      default: null
+    },
+    firstResponseDueAt: {
+      type: Date
+    },
+    resolutionDueAt: {
+      type: Date
+    },
+    firstRespondedAt: {
+      type: Date
+    },
+    pausedAt: {
+      type: Date,
+      default: null
+    },
+    totalPausedMinutes: {
+      type: Number,
+      default: 0
+    },
+    firstResponseBreached: {
+      type: Boolean,
+      default: false
+    },
+    resolutionBreached: {
+      type: Boolean,
+      default: false
+    },
+    breached: {
+      type: Boolean,
+      default: false,
+      index: true
+    }
   }
 }, {
   timestamps: true
 });
 
+// Ticket numbers are TKT-YYYYMMDD-NNNN, dated in server local time
+ticketSchema.statics.numberPrefix = function(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `TKT-${year}${month}${day}-`;
+};
+
+// Highest sequence number already used under a prefix. Looks at the numbers
+// themselves, so imported tickets with historical dates are counted too.
+ticketSchema.statics.lastSequence = async function(prefix) {
+  const lastTicket = await this.findOne({
+    ticketNumber: { $regex: `^${prefix}\\d+$` }
+  }).sort({ ticketNumber: -1 }).select('ticketNumber');
+
+  return lastTicket ? parseInt(lastTicket.ticketNumber.slice(prefix.length)) : 0;
+};
+
 // Generate ticket number before saving
 ticketSchema.pre('save', async function(next) {
   if (!this.ticketNumber) {
-    const year = new Date().getFullYear();
-    const month = String(new Date().getMonth() + 1).padStart(2, '0');
-    const day = String(new Date().getDate()).padStart(2, '0');
-    
-    // Find the last ticket created today
-    const startOfDay = new Date();
-    startOfDay.setHours(0, 0, 0, 0);
-    
-    const endOfDay = new Date();
-    endOfDay.setHours(23, 59, 59, 999);
-    
-    const lastTicket = await this.constructor.findOne({
-      createdAt: { $gte: startOfDay, $lte: endOfDay }
-    }).sort({ createdAt: -1 });
+    const prefix = this.constructor.numberPrefix(new Date());
+    const sequenceNumber = await this.constructor.lastSequence(prefix) + 1;
     
-    let sequenceNumber = 1;
-    if (lastTicket && lastTicket.ticketNumber) {
-      const lastSequence = parseInt(lastTicket.ticketNumber.split('-')[3]);
-      sequenceNumber = lastSequence + 1;
-    }
-    
-    this.ticketNumber = `TKT-${year}${month}${day}-${String(sequenceNumber).padStart(4, '0')}`;
+    this.ticketNumber = `${prefix}${String(sequenceNumber).padStart(4, '0')}`;
   }
   next();
 });
 
-// Update resolved/closed timestamps based on status
+// Update status, resolved and closed timestamps based on status
 ticketSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('status')) {
+    this.statusChangedAt = new Date();
+  }
   if (this.isModified('status')) {
     if (this.status === 'Resolved' && !this.resolvedAt) {
       this.resolvedAt = new Date();
@@ -163,6 +257,45 @@ ticketSchema.pre('save', function(next) {
   next();
 });
 
+// Stamp SLA deadlines, pause/resume the clock and flag breaches
+ticketSchema.pre('save', async function(next) {
+  try {
+    await slaService.handleTicketSave(this);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Keyset pagination: every sortable field (config/ticketOptions TICKET_SORT_FIELDS)
+// is indexed together with _id, the tie-breaker. ticketNumber is unique already.
+ticketSchema.index({ createdAt: -1, _id: -1 });
+ticketSchema.index({ updatedAt: -1, _id: -1 });
+ticketSchema.index({ title: 1, _id: 1 });
+ticketSchema.index({ status: 1, _id: 1 });
+ticketSchema.index({ priority: 1, _id: 1 });
+ticketSchema.index({ category: 1, _id: 1 });
+// Common list filters
+ticketSchema.index({ createdBy: 1, createdAt: -1 });
+ticketSchema.index({ assignedTo: 1, status: 1, createdAt: -1 });
+ticketSchema.index({ team: 1, status: 1, createdAt: -1 });
+
+// Keep the search entries in step with the searchable fields. Indexing
+// failures are logged rather than failing the save; a reindex repairs them.
+ticketSchema.pre('save', function(next) {
+  this.$locals.searchDirty = this.isNew || ticketSearch.INDEXED_FIELDS.some(field => this.isModified(field));
+  next();
+});
+
+ticketSchema.post('save', async function(doc) {
+  if (!doc.$locals.searchDirty) return;
+  try {
+    await ticketSearch.indexTicket(doc);
+  } catch (error) {
+    console.error('Search indexing error:', error);
+  }
+});
+
 // Virtual for ticket age
 ticketSchema.virtual('ageInDays').get(function() {
   const now = new Date();
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const ticketHistorySchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['created', 'updated', 'commented', 'assigned', 'bulk-updated', 'rated']
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    oldValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    newValue: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  }],
+  // Null when the change was made by the system (e.g. a scheduled job)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Optional explanation, e.g. why the assignment engine picked an agent
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Entries about internal comments are only shown to admins
+  isInternal: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ticketHistorySchema.index({ ticket: 1, createdAt: 1 });
+
+// History is append-only: block every update and delete path
+const rejectMutation = function(next) {
+  next(new Error('Ticket history is append-only'));
+};
+
+ticketHistorySchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  ticketHistorySchema.pre(operation, rejectMutation);
+});
+
+module.exports = mongoose.model('TicketHistory', ticketHistorySchema);
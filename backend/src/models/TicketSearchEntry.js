@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Searchable text of a ticket, kept in sync by services/ticketSearch.
+// Each ticket has a "public" entry and, when it has internal comments, an
+// "internal" entry, so a text search can be limited to what the user may read.
+const ticketSearchEntrySchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['public', 'internal'],
+    required: true
+  },
+  ticketNumber: String,
+  title: String,
+  description: String,
+  resolution: String,
+  tags: [String],
+  comments: [String]
+}, {
+  timestamps: true
+});
+
+ticketSearchEntrySchema.index({ ticket: 1, scope: 1 }, { unique: true });
+
+// Matches in the title or ticket number rank above matches deep in comments
+ticketSearchEntrySchema.index({
+  ticketNumber: 'text',
+  title: 'text',
+  tags: 'text',
+  resolution: 'text',
+  description: 'text',
+  comments: 'text'
+}, {
+  name: 'ticket_search_text',
+  weights: {
+    ticketNumber: 10,
+    title: 10,
+    tags: 5,
+    resolution: 3,
+    description: 2,
+    comments: 1
+  },
+  default_language: 'english'
+});
+
+module.exports = mongoose.model('TicketSearchEntry', ticketSearchEntrySchema);
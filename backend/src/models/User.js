@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, ROLE_ALIASES } = require('../config/permissions');
+const { TICKET_CATEGORIES } = require('../config/ticketOptions');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -18,9 +22,10 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  // Service accounts have no password and can only use API keys
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return !this.isServiceAccount; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
   fullName: {
@@ -29,16 +34,61 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Full name cannot exceed 100 characters']
   },
+  // Legacy role names stay valid until src/scripts/migrateRoles.js has run
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    enum: [...ROLES, ...Object.keys(ROLE_ALIASES)],
+    default: 'requester'
   },
   department: {
     type: String,
     trim: true,
     maxlength: [50, 'Department cannot exceed 50 characters']
   },
+  // Support teams the user belongs to
+  teams: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    index: true
+  }],
+  // Categories the agent is skilled in, used by skill-matched auto-assignment
+  skills: [{
+    type: String,
+    enum: TICKET_CATEGORIES
+  }],
+  // Open tickets the agent can hold before auto-assignment skips them;
+  // null falls back to DEFAULT_AGENT_CAPACITY (unlimited when unset)
+  maxOpenTickets: {
+    type: Number,
+    default: null,
+    min: [0, 'Capacity cannot be negative']
+  },
+  // Working shift in server local time; no days means always on shift
+  shift: {
+    days: {
+      type: [Number],
+      default: [],
+      validate: {
+        validator: (days) => days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+        message: 'Shift days must be weekday numbers (0 = Sunday, 6 = Saturday)'
+      }
+    },
+    start: {
+      type: String,
+      default: '09:00',
+      match: [TIME_PATTERN, 'Shift start must be in HH:mm format']
+    },
+    end: {
+      type: String,
+      default: '17:00',
+      match: [TIME_PATTERN, 'Shift end must be in HH:mm format']
+    }
+  },
+  // Round-robin position: when the engine last handed this agent a ticket
+  lastAutoAssignedAt: {
+    type: Date,
+    default: null
+  },
   phone: {
     type: String,
     trim: true,
@@ -48,17 +98,68 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Machine client that authenticates with API keys (see models/ApiKey)
+  isServiceAccount: {
+    type: Boolean,
+    default: false
+  },
+  // Accounts created before verification existed count as verified;
+  // registration explicitly starts new accounts as unverified
+  isEmailVerified: {
+    type: Boolean,
+    default: true
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   lastLogin: {
     type: Date
   },
+  // Incremented to invalidate every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   avatar: {
     type: String,
     default: null
+  },
+  // Email notifications the user has opted into
+  notificationPreferences: {
+    ticketCreated: {
+      type: Boolean,
+      default: true
+    },
+    ticketAssigned: {
+      type: Boolean,
+      default: true
+    },
+    commentAdded: {
+      type: Boolean,
+      default: true
+    },
+    statusChanged: {
+      type: Boolean,
+      default: true
+    },
+    ticketResolved: {
+      type: Boolean,
+      default: true
+    },
+    csatSurvey: {
+      type: Boolean,
+      default: true
+    }
   }
 }, {
   timestamps: true
 });
 
+// Keyset pagination for the user list (username and email are unique already)
+userSchema.index({ createdAt: -1, _id: -1 });
+userSchema.index({ fullName: 1, _id: 1 });
+userSchema.index({ role: 1, _id: 1 });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -74,6 +175,7 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS } = require('../config/webhookOptions');
+
+// An external endpoint that receives signed ticket events (see services/webhookService)
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true,
+    maxlength: [100, 'Webhook name cannot exceed 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    match: [/^https?:\/\/\S+$/i, 'Webhook URL must be an http or https URL']
+  },
+  // Shared secret for the payload signature; only shown when it is set
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'A webhook needs at least one event'
+    }
+  },
+  // Internal comments are only sent to webhooks that opt in
+  includeInternal: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ isActive: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
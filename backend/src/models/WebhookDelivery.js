@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require('../config/webhookOptions');
+
+// How long delivery log entries are kept
+const RETENTION_DAYS = 30;
+
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+  // Null when no response came back (timeout, connection refused, ...)
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  // Start of the response body, for debugging the receiver
+  responseBody: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  }
+}, { _id: false });
+
+// One event queued for one webhook, with every attempt to deliver it.
+// The queue is persistent: pending deliveries survive restarts.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    enum: WEBHOOK_EVENTS,
+    required: true
+  },
+  // The exact JSON body sent, so redeliveries match the original
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: [attemptSchema],
+  deliveredAt: {
+    type: Date
+  },
+  // Set on deliveries created by the redeliver endpoint
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1, _id: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
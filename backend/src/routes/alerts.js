@@ -0,0 +1,10 @@
+const express = require('express');
+const { receiveGenericAlerts, receiveAlertmanagerAlerts } = require('../controllers/alertController');
+
+const router = express.Router();
+
+// Routes (authenticated with ALERT_INTAKE_SECRET, not user tokens)
+router.post('/', receiveGenericAlerts);
+router.post('/alertmanager', receiveAlertmanagerAlerts);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getArticles,
+  getArticleById,
+  createArticle,
+  updateArticle,
+  deleteArticle,
+  getArticleVersions,
+  getArticleVersion
+} = require('../controllers/articleController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { TICKET_CATEGORIES } = require('../config/ticketOptions');
+
+const router = express.Router();
+
+// Validation rules
+const articleValidation = (isUpdate) => [
+  (isUpdate ? body('title').optional() : body('title'))
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters')
+    .trim(),
+  (isUpdate ? body('body').optional() : body('body'))
+    .isLength({ min: 10, max: 20000 })
+    .withMessage('Body must be between 10 and 20000 characters'),
+  (isUpdate ? body('category').optional() : body('category'))
+    .isIn(TICKET_CATEGORIES)
+    .withMessage('Please select a valid category'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('status')
+    .optional()
+    .isIn(['draft', 'published', 'archived'])
+    .withMessage('Status must be draft, published or archived'),
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+];
+
+// Routes
+router.get('/', authenticateToken, getArticles);
+router.get('/:id', authenticateToken, getArticleById);
+router.get('/:id/versions', authenticateToken, requirePermission('kb:write'), getArticleVersions);
+router.get('/:id/versions/:version', authenticateToken, requirePermission('kb:write'), getArticleVersion);
+router.post('/', authenticateToken, requirePermission('kb:write'), articleValidation(false), createArticle);
+router.put('/:id', authenticateToken, requirePermission('kb:write'), articleValidation(true), updateArticle);
+router.delete('/:id', authenticateToken, requirePermission('kb:publish'), deleteArticle);
+
+module.exports = router;
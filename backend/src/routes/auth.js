@@ -3,11 +3,18 @@ const { body } = require('express-validator');
 const { 
   register, 
   login, 
+  refreshToken,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getProfile, 
   updateProfile, 
   changePassword 
 } = require('../controllers/authController');
-const { authenticateToken, authRateLimit } = require('../middleware/auth');
+const { authenticateToken, authRateLimit, accountEmailRateLimit } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -65,7 +72,55 @@ const updateProfileValidation = [
   body('phone')
     .optional()
     .isMobilePhone()
-    .withMessage('Please provide a valid phone number')
+    .withMessage('Please provide a valid phone number'),
+  body('notificationPreferences')
+    .optional()
+    .isObject()
+    .withMessage('Notification preferences must be an object'),
+  body('notificationPreferences')
+    .optional()
+    .custom(preferences => Object.keys(preferences).every(key => [
+      'ticketCreated',
+      'ticketAssigned',
+      'commentAdded',
+      'statusChanged',
+      'ticketResolved',
+      'csatSurvey'
+    ].includes(key)))
+    .withMessage('Unknown notification preference'),
+  body('notificationPreferences.*')
+    .isBoolean()
+    .withMessage('Notification preferences must be booleans')
+];
+
+const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const emailValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const emailTokenValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token is required')
+];
+
+const resetPasswordValidation = [
+  ...emailTokenValidation,
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
 ];
 
 const changePasswordValidation = [
@@ -82,10 +137,17 @@ const changePasswordValidation = [
 // Public routes
 router.post('/register', authRateLimit, registerValidation, register);
 router.post('/login', authRateLimit, loginValidation, login);
+router.post('/refresh', refreshTokenValidation, refreshToken);
+router.post('/logout', refreshTokenValidation, logout);
+router.post('/forgot-password', accountEmailRateLimit, emailValidation, forgotPassword);
+router.post('/reset-password', authRateLimit, resetPasswordValidation, resetPassword);
+router.post('/verify-email', authRateLimit, emailTokenValidation, verifyEmail);
+router.post('/resend-verification', accountEmailRateLimit, emailValidation, resendVerification);
 
 // Protected routes
 router.get('/profile', authenticateToken, getProfile);
 router.put('/profile', authenticateToken, updateProfileValidation, updateProfile);
 router.put('/change-password', authenticateToken, changePasswordValidation, changePassword);
+router.post('/logout-all', authenticateToken, logoutAll);
 
 module.exports = router;
@@ -0,0 +1,104 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getAutomations,
+  getAutomationById,
+  createAutomation,
+  updateAutomation,
+  deleteAutomation,
+  dryRunAutomation,
+  getAutomationRuns
+} = require('../controllers/automationController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { TICKET_PRIORITIES, TICKET_STATUSES } = require('../config/ticketOptions');
+const {
+  AUTOMATION_TRIGGERS,
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  DELAY_REFERENCES
+} = require('../config/automationOptions');
+
+const router = express.Router();
+
+// Validation rules
+const ruleValidation = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Rule name must be between 1 and 100 characters')
+    .trim(),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+    .trim(),
+  body(['isActive', 'dryRun'])
+    .optional()
+    .isBoolean()
+    .withMessage('isActive and dryRun must be booleans'),
+  (isUpdate ? body('trigger').optional() : body('trigger'))
+    .isIn(AUTOMATION_TRIGGERS)
+    .withMessage(`Trigger must be one of: ${AUTOMATION_TRIGGERS.join(', ')}`),
+  body('conditions')
+    .optional()
+    .isArray()
+    .withMessage('Conditions must be an array'),
+  body('conditions.*.field')
+    .isIn(CONDITION_FIELDS)
+    .withMessage(`Condition field must be one of: ${CONDITION_FIELDS.join(', ')}`),
+  body('conditions.*.operator')
+    .isIn(CONDITION_OPERATORS)
+    .withMessage(`Condition operator must be one of: ${CONDITION_OPERATORS.join(', ')}`),
+  body('delay.minutes')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Delay must be a whole number of minutes, at least 1'),
+  body('delay.since')
+    .optional()
+    .isIn(DELAY_REFERENCES)
+    .withMessage(`Delay must count from one of: ${DELAY_REFERENCES.join(', ')}`),
+  body('actions.set.status')
+    .optional({ values: 'falsy' })
+    .isIn(TICKET_STATUSES)
+    .withMessage('Invalid status'),
+  body('actions.set.priority')
+    .optional({ values: 'falsy' })
+    .isIn(TICKET_PRIORITIES)
+    .withMessage(`Priority must be one of: ${TICKET_PRIORITIES.join(', ')}`),
+  body(['actions.addTags', 'actions.removeTags', 'actions.notify.recipients'])
+    .optional()
+    .isArray()
+    .withMessage('Tags and notification recipients must be arrays'),
+  body('actions.comment')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters'),
+  body('actions.notify.message')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notification message cannot exceed 1000 characters')
+];
+
+const dryRunValidation = [
+  body('ticketId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ticket ID')
+];
+
+const runsValidation = [
+  query('result')
+    .optional()
+    .isIn(['applied', 'unchanged', 'failed', 'dry-run'])
+    .withMessage('Invalid result')
+];
+
+// Routes (admins only)
+router.get('/', authenticateToken, requirePermission('automation:manage'), getAutomations);
+router.get('/:id', authenticateToken, requirePermission('automation:manage'), getAutomationById);
+router.post('/', authenticateToken, requirePermission('automation:manage'), ruleValidation(false), createAutomation);
+router.put('/:id', authenticateToken, requirePermission('automation:manage'), ruleValidation(true), updateAutomation);
+router.delete('/:id', authenticateToken, requirePermission('automation:manage'), deleteAutomation);
+router.post('/:id/dry-run', authenticateToken, requirePermission('automation:manage'), dryRunValidation, dryRunAutomation);
+router.get('/:id/runs', authenticateToken, requirePermission('automation:manage'), runsValidation, getAutomationRuns);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { getSurvey, submitSurvey } = require('../controllers/csatController');
+
+const router = express.Router();
+
+// Validation rules
+const surveyValidation = [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5'),
+  body('comment')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters')
+    .trim()
+];
+
+// Routes (public: the emailed token identifies the survey)
+router.get('/:token', getSurvey);
+router.post('/:token', surveyValidation, submitSurvey);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const { streamEvents } = require('../controllers/eventController');
+const { authenticateToken, tokenFromQuery } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Routes
+// EventSource cannot send headers, so the JWT may also come as ?access_token=
+router.get('/', tokenFromQuery, authenticateToken, streamEvents);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const { receiveEmail } = require('../controllers/inboundEmailController');
+
+const router = express.Router();
+
+// Raw RFC 822 messages; JSON bodies are handled by the app-wide parser
+const rawEmailParser = express.text({
+  type: ['message/rfc822', 'text/plain'],
+  limit: '25mb'
+});
+
+// Routes
+router.post('/', rawEmailParser, receiveEmail);
+
+module.exports = router;
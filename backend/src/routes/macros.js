@@ -0,0 +1,73 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getMacros,
+  getMacroById,
+  createMacro,
+  updateMacro,
+  deleteMacro,
+  previewMacro
+} = require('../controllers/macroController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { TICKET_PRIORITIES, TICKET_STATUSES } = require('../config/ticketOptions');
+
+const router = express.Router();
+
+// Validation rules
+const macroValidation = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Macro name must be between 1 and 100 characters')
+    .trim(),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+    .trim(),
+  body('scope')
+    .optional()
+    .isIn(['personal', 'shared'])
+    .withMessage('Scope must be personal or shared'),
+  body('comment.message')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters'),
+  body('comment.isInternal')
+    .optional()
+    .isBoolean()
+    .withMessage('comment.isInternal must be a boolean'),
+  body('actions.status')
+    .optional({ values: 'falsy' })
+    .isIn(TICKET_STATUSES)
+    .withMessage('Invalid status'),
+  body('actions.priority')
+    .optional({ values: 'falsy' })
+    .isIn(TICKET_PRIORITIES)
+    .withMessage(`Priority must be one of: ${TICKET_PRIORITIES.join(', ')}`),
+  body(['actions.addTags', 'actions.removeTags'])
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('actions.assignTo')
+    .optional({ values: 'falsy' })
+    .custom(value => ['me', 'unassigned'].includes(value) || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('assignTo must be a user ID, "me" or "unassigned"')
+];
+
+const previewValidation = [
+  body('ticketId')
+    .isMongoId()
+    .withMessage('Invalid ticket ID')
+];
+
+// Routes (support staff only)
+const supportStaff = [authenticateToken, requirePermission('ticket:update')];
+
+router.get('/', supportStaff, getMacros);
+router.get('/:id', supportStaff, getMacroById);
+router.post('/', supportStaff, macroValidation(false), createMacro);
+router.put('/:id', supportStaff, macroValidation(true), updateMacro);
+router.delete('/:id', supportStaff, deleteMacro);
+router.post('/:id/preview', supportStaff, previewValidation, previewMacro);
+
+module.exports = router;
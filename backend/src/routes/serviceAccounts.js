@@ -0,0 +1,73 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getServiceAccounts,
+  getServiceAccountById,
+  createServiceAccount,
+  createServiceAccountKey,
+  revokeServiceAccountKey
+} = require('../controllers/serviceAccountController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const { API_KEY_SCOPES } = require('../config/apiKeyOptions');
+
+const router = express.Router();
+
+// Validation rules
+const createServiceAccountValidation = [
+  body('username')
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid contact email'),
+  body('fullName')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters')
+    .trim(),
+  body('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('department')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Department cannot exceed 50 characters')
+];
+
+const createKeyValidation = [
+  body('name')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Key name must be between 1 and 100 characters')
+    .trim(),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('expiresAt must be an ISO 8601 date'),
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('expiresInDays must be between 1 and 3650'),
+  body('rateLimit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('rateLimit must be between 1 and 100000 requests per minute')
+];
+
+// Routes (admins only)
+router.get('/', authenticateToken, requirePermission('service-account:manage'), getServiceAccounts);
+router.get('/:id', authenticateToken, requirePermission('service-account:manage'), getServiceAccountById);
+router.post('/', authenticateToken, requirePermission('service-account:manage'), createServiceAccountValidation, createServiceAccount);
+router.post('/:id/keys', authenticateToken, requirePermission('service-account:manage'), createKeyValidation, createServiceAccountKey);
+router.delete('/:id/keys/:keyId', authenticateToken, requirePermission('service-account:manage'), revokeServiceAccountKey);
+
+module.exports = router;
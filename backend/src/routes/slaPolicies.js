@@ -0,0 +1,73 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getSlaPolicies,
+  getSlaPolicyById,
+  createSlaPolicy,
+  updateSlaPolicy,
+  deleteSlaPolicy
+} = require('../controllers/slaPolicyController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules
+const policyValidation = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Policy name must be between 2 and 100 characters')
+    .trim(),
+  body('priorities')
+    .optional()
+    .isArray()
+    .withMessage('Priorities must be an array'),
+  body('priorities.*')
+    .isIn(['Low', 'Medium', 'High', 'Critical'])
+    .withMessage('Priority must be Low, Medium, High, or Critical'),
+  body('categories')
+    .optional()
+    .isArray()
+    .withMessage('Categories must be an array'),
+  (isUpdate ? body('firstResponseMinutes').optional() : body('firstResponseMinutes'))
+    .isInt({ min: 1 })
+    .withMessage('First response target must be a positive number of minutes'),
+  (isUpdate ? body('resolutionMinutes').optional() : body('resolutionMinutes'))
+    .isInt({ min: 1 })
+    .withMessage('Resolution target must be a positive number of minutes'),
+  body('businessHours.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('businessHours.enabled must be a boolean'),
+  body('businessHours.days')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Business days must be a non-empty array'),
+  body('businessHours.start')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Business hours start must be in HH:mm format'),
+  body('businessHours.end')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Business hours end must be in HH:mm format'),
+  body('holidays')
+    .optional()
+    .isArray()
+    .withMessage('Holidays must be an array'),
+  body('holidays.*.date')
+    .isISO8601()
+    .withMessage('Holiday date must be a valid date'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// Routes
+router.get('/', authenticateToken, requirePermission('sla:manage'), getSlaPolicies);
+router.get('/:id', authenticateToken, requirePermission('sla:manage'), getSlaPolicyById);
+router.post('/', authenticateToken, requirePermission('sla:manage'), policyValidation(false), createSlaPolicy);
+router.put('/:id', authenticateToken, requirePermission('sla:manage'), policyValidation(true), updateSlaPolicy);
+router.delete('/:id', authenticateToken, requirePermission('sla:manage'), deleteSlaPolicy);
+
+module.exports = router;
@@ -0,0 +1,79 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getTeams,
+  getTeamById,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  addTeamMember,
+  removeTeamMember,
+  getTeamQueue
+} = require('../controllers/teamController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { TICKET_CATEGORIES } = require('../config/ticketOptions');
+const { STRATEGIES: ASSIGNMENT_STRATEGIES } = require('../services/assignmentEngine');
+
+const router = express.Router();
+
+// Validation rules
+const teamValidation = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Team name must be between 2 and 50 characters')
+    .trim(),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+    .trim(),
+  body('categories')
+    .optional()
+    .isArray()
+    .withMessage('Categories must be an array'),
+  body('categories.*')
+    .isIn(TICKET_CATEGORIES)
+    .withMessage('Please select valid categories'),
+  body('autoAssign.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('autoAssign.enabled must be a boolean'),
+  body('autoAssign.strategy')
+    .optional()
+    .isIn(ASSIGNMENT_STRATEGIES)
+    .withMessage(`Strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`),
+  body('autoAssign.skillMatch')
+    .optional()
+    .isBoolean()
+    .withMessage('autoAssign.skillMatch must be a boolean'),
+  body('autoAssign.onShiftOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('autoAssign.onShiftOnly must be a boolean'),
+  body('lead')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid lead user ID'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const memberValidation = [
+  body('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+// Routes
+router.get('/', authenticateToken, getTeams);
+router.get('/:id', authenticateToken, getTeamById);
+router.get('/:id/queue', authenticateToken, getTeamQueue);
+router.post('/', authenticateToken, requirePermission('team:manage'), teamValidation(false), createTeam);
+router.put('/:id', authenticateToken, requirePermission('team:manage'), teamValidation(true), updateTeam);
+router.delete('/:id', authenticateToken, requirePermission('team:manage'), deleteTeam);
+router.post('/:id/members', authenticateToken, requirePermission('team:manage'), memberValidation, addTeamMember);
+router.delete('/:id/members/:userId', authenticateToken, requirePermission('team:manage'), removeTeamMember);
+
+module.exports = router;
@@ -5,12 +5,31 @@ const {
   getTickets,
   getTicketById,
   updateTicket,
+  transitionTicket,
+  getTicketTransitions,
   addComment,
   assignTicket,
-  getTicketStats
+  autoAssignTicket,
+  bulkUpdateTickets,
+  getTicketHistory,
+  getTicketStats,
+  getTicketReport,
+  exportTickets,
+  exportTicketStats
 } = require('../controllers/ticketController');
-const { authenticateToken, requireAdmin, checkTicketAccess } = require('../middleware/auth');
+const { importTickets } = require('../controllers/importController');
+const {
+  linkTicketArticle,
+  unlinkTicketArticle,
+  promoteTicketResolution
+} = require('../controllers/articleController');
+const { applyMacro } = require('../controllers/macroController');
+const { authenticateToken, authenticateClient, requirePermission, checkTicketAccess } = require('../middleware/auth');
 const { upload, handleUploadErrors } = require('../middleware/upload');
+const { ACTIONS: WORKFLOW_ACTIONS } = require('../services/ticketWorkflow');
+const { TICKET_CATEGORIES, TICKET_PRIORITIES, TICKET_STATUSES } = require('../config/ticketOptions');
+const { MAX_BULK_TICKETS } = require('../services/ticketBulk');
+const { STRATEGIES: ASSIGNMENT_STRATEGIES } = require('../services/assignmentEngine');
 
 const router = express.Router();
 
@@ -25,20 +44,7 @@ const createTicketValidation = [
     .withMessage('Description must be between 10 and 2000 characters')
     .trim(),
   body('category')
-    .isIn([
-      'Technical Issue',
-      'Software Installation',
-      'Hardware Problem',
-      'Network Issue',
-      'Account Access',
-      'Email Problem',
-      'Printer Issue',
-      'Mobile Device',
-      'Security Concern',
-      'Training Request',
-      'General Inquiry',
-      'Other'
-    ])
+    .isIn(TICKET_CATEGORIES)
     .withMessage('Please select a valid category'),
   body('priority')
     .optional()
@@ -67,20 +73,7 @@ const updateTicketValidation = [
     .trim(),
   body('category')
     .optional()
-    .isIn([
-      'Technical Issue',
-      'Software Installation',
-      'Hardware Problem',
-      'Network Issue',
-      'Account Access',
-      'Email Problem',
-      'Printer Issue',
-      'Mobile Device',
-      'Security Concern',
-      'Training Request',
-      'General Inquiry',
-      'Other'
-    ])
+    .isIn(TICKET_CATEGORIES)
     .withMessage('Please select a valid category'),
   body('priority')
     .optional()
@@ -97,6 +90,14 @@ const updateTicketValidation = [
     .trim()
 ];
 
+const transitionValidation = [
+  body('resolution')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Resolution cannot exceed 1000 characters')
+    .trim()
+];
+
 const addCommentValidation = [
   body('message')
     .isLength({ min: 1, max: 1000 })
@@ -115,38 +116,158 @@ const assignTicketValidation = [
     .withMessage('Invalid user ID')
 ];
 
-// Routes
+const autoAssignValidation = [
+  body('strategy')
+    .optional()
+    .isIn(ASSIGNMENT_STRATEGIES)
+    .withMessage(`Strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`),
+  body('skillMatch')
+    .optional()
+    .isBoolean()
+    .withMessage('skillMatch must be a boolean'),
+  body('onShiftOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('onShiftOnly must be a boolean'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+];
+
+const applyMacroValidation = [
+  body('macroId')
+    .isMongoId()
+    .withMessage('Invalid macro ID')
+];
+
+const linkArticleValidation = [
+  body('articleId')
+    .isMongoId()
+    .withMessage('Invalid article ID')
+];
+
+const bulkActionValidation = [
+  body('ticketIds')
+    .optional()
+    .isArray({ min: 1, max: MAX_BULK_TICKETS })
+    .withMessage(`ticketIds must be an array of 1 to ${MAX_BULK_TICKETS} ticket IDs`),
+  body('ticketIds.*')
+    .isMongoId()
+    .withMessage('Invalid ticket ID'),
+  body('filter')
+    .optional()
+    .isObject()
+    .withMessage('Filter must be an object'),
+  body('actions')
+    .isObject()
+    .withMessage('Actions must be an object'),
+  body('actions.status')
+    .optional()
+    .isIn(TICKET_STATUSES)
+    .withMessage('Invalid status'),
+  body('actions.resolution')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Resolution cannot exceed 1000 characters')
+    .trim(),
+  body('actions.assignedTo')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('actions.priority')
+    .optional()
+    .isIn(TICKET_PRIORITIES)
+    .withMessage(`Priority must be one of: ${TICKET_PRIORITIES.join(', ')}`),
+  body('actions.comment.message')
+    .optional()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters')
+    .trim(),
+  body('actions.comment.isInternal')
+    .optional()
+    .isBoolean()
+    .withMessage('isInternal must be a boolean')
+];
+
+// Routes (service account API keys need the scope named on each route)
 router.post('/', 
-  authenticateToken, 
+  authenticateClient('tickets:create'), 
+  requirePermission('ticket:create'),
   upload, 
   handleUploadErrors, 
   createTicketValidation, 
   createTicket
 );
 
-router.get('/', authenticateToken, getTickets);
-router.get('/stats', authenticateToken, requireAdmin, getTicketStats);
-router.get('/:id', authenticateToken, checkTicketAccess, getTicketById);
+router.get('/', authenticateClient('tickets:read'), getTickets);
+
+// Bulk import; CSV can be sent as the raw body, JSON uses the app-wide parser
+router.post('/import',
+  authenticateClient('tickets:create'),
+  requirePermission('ticket:import'),
+  express.text({ type: 'text/csv', limit: '25mb' }),
+  importTickets
+);
+
+router.post('/bulk', authenticateClient('tickets:update'), bulkActionValidation, bulkUpdateTickets);
+
+router.get('/export', authenticateClient('tickets:read'), exportTickets);
+router.get('/stats', authenticateClient('tickets:read'), requirePermission('stats:view'), getTicketStats);
+router.get('/stats/export', authenticateClient('tickets:read'), requirePermission('stats:view'), exportTicketStats);
+router.get('/reports', authenticateClient('tickets:read'), requirePermission('stats:view'), getTicketReport);
+router.get('/:id', authenticateClient('tickets:read'), checkTicketAccess, getTicketById);
+router.get('/:id/history', authenticateClient('tickets:read'), checkTicketAccess, getTicketHistory);
 
 router.put('/:id', 
-  authenticateToken, 
+  authenticateClient('tickets:update'), 
   checkTicketAccess, 
   updateTicketValidation, 
   updateTicket
 );
 
+// Workflow transitions: POST /:id/start, /:id/resolve, /:id/reopen, ...
+router.get('/:id/transitions', authenticateClient('tickets:read'), checkTicketAccess, getTicketTransitions);
+WORKFLOW_ACTIONS.forEach(action => {
+  router.post(`/:id/${action}`,
+    authenticateClient('tickets:update'),
+    checkTicketAccess,
+    transitionValidation,
+    transitionTicket(action)
+  );
+});
+
 router.post('/:id/comments', 
-  authenticateToken, 
+  authenticateClient('tickets:comment'), 
   checkTicketAccess, 
   addCommentValidation, 
   addComment
 );
 
 router.put('/:id/assign', 
-  authenticateToken, 
-  requireAdmin, 
+  authenticateClient('tickets:update'), 
+  requirePermission('ticket:assign'), 
   assignTicketValidation, 
   assignTicket
 );
 
+router.post('/:id/auto-assign',
+  authenticateClient('tickets:update'),
+  requirePermission('ticket:assign'),
+  autoAssignValidation,
+  autoAssignTicket
+);
+
+router.post('/:id/apply-macro',
+  authenticateClient('tickets:update'),
+  requirePermission('ticket:update'),
+  applyMacroValidation,
+  applyMacro
+);
+
+// Knowledge base links
+router.post('/:id/articles', authenticateClient('tickets:update'), checkTicketAccess, linkArticleValidation, linkTicketArticle);
+router.delete('/:id/articles/:articleId', authenticateClient('tickets:update'), checkTicketAccess, unlinkTicketArticle);
+router.post('/:id/promote-resolution', authenticateToken, checkTicketAccess, requirePermission('kb:write'), promoteTicketResolution);
+
 module.exports = router;
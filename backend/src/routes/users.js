@@ -8,7 +8,9 @@ const {
   getSupportStaff,
   getDashboardData
 } = require('../controllers/userController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateClient, requirePermission } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const { TICKET_CATEGORIES } = require('../config/ticketOptions');
 
 const router = express.Router();
 
@@ -27,8 +29,8 @@ const updateUserValidation = [
     .withMessage('Please provide a valid email'),
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin'),
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
   body('department')
     .optional()
     .isLength({ max: 50 })
@@ -40,15 +42,41 @@ const updateUserValidation = [
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean')
+    .withMessage('isActive must be a boolean'),
+  body('skills')
+    .optional()
+    .isArray()
+    .withMessage('Skills must be an array'),
+  body('skills.*')
+    .isIn(TICKET_CATEGORIES)
+    .withMessage('Skills must be valid ticket categories'),
+  body('maxOpenTickets')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('maxOpenTickets must be a non-negative integer'),
+  body('shift.days')
+    .optional()
+    .isArray()
+    .withMessage('Shift days must be an array'),
+  body('shift.days.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Shift days must be weekday numbers (0 = Sunday, 6 = Saturday)'),
+  body('shift.start')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Shift start must be in HH:mm format'),
+  body('shift.end')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Shift end must be in HH:mm format')
 ];
 
-// Routes
-router.get('/dashboard', authenticateToken, getDashboardData);
-router.get('/support-staff', authenticateToken, getSupportStaff);
-router.get('/', authenticateToken, requireAdmin, getAllUsers);
-router.get('/:id', authenticateToken, requireAdmin, getUserById);
-router.put('/:id', authenticateToken, requireAdmin, updateUserValidation, updateUser);
-router.delete('/:id', authenticateToken, requireAdmin, deleteUser);
+// Routes (service account API keys need the scope named on each route)
+router.get('/dashboard', authenticateClient('tickets:read'), getDashboardData);
+router.get('/support-staff', authenticateClient('users:read'), getSupportStaff);
+router.get('/', authenticateClient('users:read'), requirePermission('user:view'), getAllUsers);
+router.get('/:id', authenticateClient('users:read'), requirePermission('user:view'), getUserById);
+router.put('/:id', authenticateClient('users:manage'), requirePermission('user:manage'), updateUserValidation, updateUser);
+router.delete('/:id', authenticateClient('users:manage'), requirePermission('user:manage'), deleteUser);
 
 module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  getViews,
+  getViewById,
+  createView,
+  updateView,
+  deleteView
+} = require('../controllers/viewController');
+const { authenticateToken } = require('../middleware/auth');
+const { TICKET_SORT_FIELDS } = require('../config/ticketOptions');
+
+const router = express.Router();
+
+// Validation rules
+const viewValidation = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isLength({ min: 1, max: 100 })
+    .withMessage('View name must be between 1 and 100 characters')
+    .trim(),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters')
+    .trim(),
+  body('scope')
+    .optional()
+    .isIn(['personal', 'team'])
+    .withMessage('Scope must be personal or team'),
+  body('team')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid team ID'),
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object'),
+  body('search')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Search cannot exceed 500 characters'),
+  body('sortBy')
+    .optional()
+    .isIn(['relevance', ...TICKET_SORT_FIELDS])
+    .withMessage(`Sort field must be one of: relevance, ${TICKET_SORT_FIELDS.join(', ')}`),
+  body('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc')
+];
+
+// Routes
+router.get('/', authenticateToken, getViews);
+router.get('/:id', authenticateToken, getViewById);
+router.post('/', authenticateToken, viewValidation(false), createView);
+router.put('/:id', authenticateToken, viewValidation(true), updateView);
+router.delete('/:id', authenticateToken, deleteView);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getWebhooks,
+  getWebhookById,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhookDelivery
+} = require('../controllers/webhookController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require('../config/webhookOptions');
+
+const router = express.Router();
+
+// Validation rules
+const webhookValidation = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Webhook name must be between 1 and 100 characters')
+    .trim(),
+  (isUpdate ? body('url').optional() : body('url'))
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be a valid http or https URL'),
+  body('secret')
+    .optional()
+    .isLength({ min: 16, max: 200 })
+    .withMessage('Secret must be between 16 and 200 characters'),
+  (isUpdate ? body('events').optional() : body('events'))
+    .isArray({ min: 1 })
+    .withMessage('At least one event is required'),
+  body('events.*')
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage(`Events must be among: ${WEBHOOK_EVENTS.join(', ')}`),
+  body(['includeInternal', 'isActive', 'rotateSecret'])
+    .optional()
+    .isBoolean()
+    .withMessage('includeInternal, isActive and rotateSecret must be booleans')
+];
+
+const deliveriesValidation = [
+  query('status')
+    .optional()
+    .isIn(DELIVERY_STATUSES)
+    .withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+  query('event')
+    .optional()
+    .isIn(WEBHOOK_EVENTS)
+    .withMessage('Invalid event')
+];
+
+// Routes (admins only)
+router.get('/', authenticateToken, requirePermission('webhook:manage'), getWebhooks);
+router.get('/:id', authenticateToken, requirePermission('webhook:manage'), getWebhookById);
+router.post('/', authenticateToken, requirePermission('webhook:manage'), webhookValidation(false), createWebhook);
+router.put('/:id', authenticateToken, requirePermission('webhook:manage'), webhookValidation(true), updateWebhook);
+router.delete('/:id', authenticateToken, requirePermission('webhook:manage'), deleteWebhook);
+router.get('/:id/deliveries', authenticateToken, requirePermission('webhook:manage'), deliveriesValidation, getWebhookDeliveries);
+router.get('/:id/deliveries/:deliveryId', authenticateToken, requirePermission('webhook:manage'), getWebhookDelivery);
+router.post('/:id/deliveries/:deliveryId/redeliver', authenticateToken, requirePermission('webhook:manage'), redeliverWebhookDelivery);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// Import tickets from a CSV or JSON export of another help desk.
+// Usage: node src/scripts/importTickets.js <file.csv|file.json> [--dry-run] [--update]
+//   --dry-run  validate every row and print the report without writing
+//   --update   overwrite tickets imported earlier instead of skipping them
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { parseRecords, importTickets } = require('../services/ticketImport');
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  if (!file) {
+    console.error('Usage: node src/scripts/importTickets.js <file.csv|file.json> [--dry-run] [--update]');
+    process.exit(1);
+  }
+
+  const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+  const records = parseRecords(fs.readFileSync(file, 'utf8'), format);
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/servicedesk');
+
+  const result = await importTickets(records, {
+    dryRun: args.includes('--dry-run'),
+    onExisting: args.includes('--update') ? 'update' : 'skip',
+    sourceName: path.basename(file)
+  });
+
+  result.rows
+    .filter(row => row.status === 'error')
+    .forEach(row => console.log(`Row ${row.row}: ${row.errors.join('; ')}`));
+  console.log(`${result.dryRun ? 'Dry run' : 'Import'} summary:`, result.summary);
+
+  await mongoose.disconnect();
+  if (result.summary.error) process.exitCode = 1;
+};
+
+run().catch(error => {
+  console.error('Ticket import failed:', error.message);
+  process.exit(1);
+});
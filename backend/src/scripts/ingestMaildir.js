@@ -0,0 +1,29 @@
+// Ingest every new message in a maildir once and exit.
+// Usage: node src/scripts/ingestMaildir.js [maildir]   (defaults to INBOUND_MAILDIR)
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { ingestMaildir } = require('../services/emailIngestion');
+
+const run = async () => {
+  const maildir = process.argv[2] || process.env.INBOUND_MAILDIR;
+  if (!maildir) {
+    console.error('Usage: node src/scripts/ingestMaildir.js <maildir>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/servicedesk');
+
+  const results = await ingestMaildir(maildir);
+  results.forEach(result => {
+    console.log(`${result.filename}: ${result.status}${result.reason ? ` (${result.reason})` : ''}`);
+  });
+  console.log(`Processed ${results.length} message(s)`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Maildir ingestion failed:', error);
+  process.exit(1);
+});
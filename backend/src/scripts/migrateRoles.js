@@ -0,0 +1,23 @@
+// Rename legacy roles to their current names (e.g. "user" -> "requester").
+// Usage: node src/scripts/migrateRoles.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { ROLE_ALIASES } = require('../config/permissions');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/servicedesk');
+
+  for (const [legacyRole, role] of Object.entries(ROLE_ALIASES)) {
+    const result = await User.updateMany({ role: legacyRole }, { role });
+    console.log(`${legacyRole} -> ${role}: ${result.modifiedCount} user(s) updated`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Role migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,21 @@
+// Rebuild the ticket search entries from the tickets collection.
+// Usage: node src/scripts/reindexSearch.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+require('../models/Ticket');
+const { reindexAll } = require('../services/ticketSearch');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/servicedesk');
+
+  const count = await reindexAll(progress => console.log(`${progress} ticket(s) indexed...`));
+  console.log(`Search index rebuilt for ${count} ticket(s)`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Search reindex failed:', error);
+  process.exit(1);
+});
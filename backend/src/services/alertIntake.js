@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const ticketService = require('./ticketService');
+const ticketWorkflow = require('./ticketWorkflow');
+const auditService = require('./auditService');
+const { emitChanges } = require('./ticketEvents');
+const { FINISHED_STATUSES } = require('./slaService');
+const { TICKET_CATEGORIES } = require('../config/ticketOptions');
+
+const TITLE_MAX_LENGTH = 200;
+const DESCRIPTION_MAX_LENGTH = 2000;
+const COMMENT_MAX_LENGTH = 1000;
+
+// Ticket fields set by each monitoring severity
+const SEVERITY_LEVELS = {
+  critical: { priority: 'Critical', impact: 'High', urgency: 'High' },
+  high: { priority: 'High', impact: 'Medium', urgency: 'High' },
+  warning: { priority: 'Medium', impact: 'Medium', urgency: 'Medium' },
+  info: { priority: 'Low', impact: 'Low', urgency: 'Low' }
+};
+
+// Other names monitoring tools use for the same levels. Unknown severities
+// are treated as warnings.
+const SEVERITY_ALIASES = {
+  page: 'critical',
+  emergency: 'critical',
+  fatal: 'critical',
+  disaster: 'critical',
+  p1: 'critical',
+  error: 'high',
+  major: 'high',
+  p2: 'high',
+  warn: 'warning',
+  medium: 'warning',
+  minor: 'warning',
+  average: 'warning',
+  p3: 'warning',
+  low: 'info',
+  information: 'info',
+  informational: 'info',
+  none: 'info',
+  p4: 'info',
+  p5: 'info'
+};
+
+// Raised for alert payloads that cannot be read at all
+class AlertError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AlertError';
+    this.statusCode = statusCode;
+  }
+}
+
+const truncate = (text, maxLength) => text.length > maxLength ? text.slice(0, maxLength - 3) + '...' : text;
+
+const severityLevel = (severity) => {
+  const name = String(severity || '').trim().toLowerCase();
+  const level = SEVERITY_ALIASES[name] || name;
+  return SEVERITY_LEVELS[level] ? level : 'warning';
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Alerts without their own fingerprint are identified by where they come
+// from, their title and their labels
+const computeFingerprint = (origin, title, labels) => crypto.createHash('sha256')
+  .update(JSON.stringify([origin, title, Object.keys(labels).sort().map(key => [key, String(labels[key])])]))
+  .digest('hex')
+  .slice(0, 32);
+
+// Common shape for every supported format:
+// { fingerprint, origin, status, title, description, severity, labels, url, category, tags, startsAt, endsAt }
+const normalizeAlert = ({ origin, status, title, labels = {}, fingerprint, ...rest }) => {
+  const alertStatus = String(status || 'firing').toLowerCase();
+  if (!['firing', 'resolved'].includes(alertStatus)) {
+    return { error: `Unknown alert status "${status}"; expected firing or resolved` };
+  }
+
+  const alertTitle = String(title || '').trim();
+  if (!alertTitle) return { error: 'Alert title is required' };
+
+  return {
+    ...rest,
+    origin,
+    status: alertStatus,
+    title: alertTitle,
+    labels,
+    fingerprint: fingerprint ? String(fingerprint) : computeFingerprint(origin, alertTitle, labels)
+  };
+};
+
+// Generic JSON: one alert object, a list of them, or { alerts: [...] }.
+// Each alert: { title, description, severity, status, fingerprint, source,
+// labels, url, category, tags, startsAt, endsAt }
+const parseGenericPayload = (body) => {
+  const alerts = Array.isArray(body) ? body : (isObject(body) && Array.isArray(body.alerts) ? body.alerts : [body]);
+
+  return alerts.map(alert => {
+    if (!isObject(alert)) return { error: 'Each alert must be a JSON object' };
+    return normalizeAlert({
+      origin: String(alert.source || 'generic'),
+      status: alert.status,
+      title: alert.title || alert.summary || alert.name,
+      description: alert.description || alert.message,
+      severity: alert.severity,
+      labels: isObject(alert.labels) ? alert.labels : {},
+      fingerprint: alert.fingerprint,
+      url: alert.url,
+      category: alert.category,
+      tags: Array.isArray(alert.tags) ? alert.tags : [],
+      startsAt: alert.startsAt,
+      endsAt: alert.endsAt
+    });
+  });
+};
+
+// Prometheus Alertmanager webhook payload (version 4)
+const parseAlertmanagerPayload = (body) => {
+  if (!isObject(body) || !Array.isArray(body.alerts)) {
+    throw new AlertError('Alertmanager payload must contain an alerts list');
+  }
+
+  return body.alerts.map(alert => {
+    if (!isObject(alert)) return { error: 'Each alert must be a JSON object' };
+
+    const labels = { ...body.commonLabels, ...alert.labels };
+    const annotations = { ...body.commonAnnotations, ...alert.annotations };
+
+    return normalizeAlert({
+      origin: 'alertmanager',
+      status: alert.status || body.status,
+      title: annotations.summary || annotations.title || labels.alertname,
+      description: annotations.description || annotations.message,
+      severity: labels.severity,
+      labels,
+      fingerprint: alert.fingerprint,
+      url: alert.generatorURL,
+      tags: labels.alertname ? [labels.alertname] : [],
+      startsAt: alert.startsAt,
+      endsAt: alert.endsAt
+    });
+  });
+};
+
+const describeAlert = (alert) => [
+  alert.description,
+  `Severity: ${alert.severity || 'unknown'}`,
+  alert.startsAt ? `Started: ${alert.startsAt}` : null,
+  Object.keys(alert.labels).length > 0 ?
+    `Labels:\n${Object.keys(alert.labels).sort().map(key => `${key}=${alert.labels[key]}`).join('\n')}` :
+    null,
+  alert.url ? `Source: ${alert.url}` : null
+].filter(Boolean).join('\n\n');
+
+// The account alert tickets are opened in the name of
+const findAlertRequester = async () => {
+  const email = process.env.ALERT_REQUESTER_EMAIL;
+  if (!email) return null;
+
+  const user = await User.findOne({ email: email.trim().toLowerCase() });
+  return user && user.isActive ? user : null;
+};
+
+const findOpenTicket = (fingerprint) => Ticket.findOne({
+  'alert.fingerprint': fingerprint,
+  status: { $nin: FINISHED_STATUSES }
+}).sort({ createdAt: -1 });
+
+const openTicket = async (alert, requester) => {
+  const category = TICKET_CATEGORIES.includes(alert.category) ?
+    alert.category :
+    (process.env.ALERT_CATEGORY || 'Technical Issue');
+
+  const ticket = await ticketService.createTicket({
+    title: truncate(alert.title, TITLE_MAX_LENGTH),
+    description: truncate(describeAlert(alert), DESCRIPTION_MAX_LENGTH),
+    category,
+    ...SEVERITY_LEVELS[severityLevel(alert.severity)],
+    tags: [...new Set(['alert', ...(alert.tags || [])].map(tag => String(tag).trim().toLowerCase()).filter(Boolean))],
+    createdBy: requester._id,
+    source: 'alert',
+    alert: {
+      fingerprint: alert.fingerprint,
+      origin: alert.origin,
+      occurrences: 1,
+      lastReceivedAt: new Date()
+    }
+  });
+
+  return { status: 'created', ticket };
+};
+
+// A repeat of an alert that already has an open ticket
+const recordRepeat = async (ticket, alert, requester) => {
+  ticket.alert.occurrences = (ticket.alert.occurrences || 1) + 1;
+  ticket.alert.lastReceivedAt = new Date();
+
+  const message = [
+    `Alert fired again (${ticket.alert.occurrences} times so far), severity ${alert.severity || 'unknown'}.`,
+    alert.description
+  ].filter(Boolean).join('\n\n');
+
+  const comment = await ticketService.addComment(ticket, {
+    userId: requester._id,
+    message: truncate(message, COMMENT_MAX_LENGTH)
+  });
+
+  return { status: 'commented', ticket, comment };
+};
+
+// The alert cleared: resolve its ticket for the system
+const resolveTicket = async (ticket, alert, requester) => {
+  const before = auditService.snapshot(ticket);
+
+  const resolution = ticket.resolution || truncate(
+    `Resolved automatically: the monitoring alert "${alert.title}" cleared${alert.endsAt ? ` at ${alert.endsAt}` : ''}.`,
+    COMMENT_MAX_LENGTH
+  );
+  ticketWorkflow.transitionTo(ticket, 'Resolved', { canManage: true, resolution });
+  ticket.alert.lastReceivedAt = new Date();
+
+  await ticket.save();
+  const entry = await auditService.recordChanges(ticket, before, requester._id, 'updated', {
+    note: 'Monitoring alert resolved'
+  });
+  if (entry) emitChanges(ticket, entry.changes, requester._id);
+
+  return { status: 'resolved', ticket };
+};
+
+const processAlert = async (alert, requester) => {
+  const ticket = await findOpenTicket(alert.fingerprint);
+
+  if (alert.status === 'resolved') {
+    if (!ticket) return { status: 'ignored', reason: 'No open ticket for this alert' };
+    return resolveTicket(ticket, alert, requester);
+  }
+
+  return ticket ? recordRepeat(ticket, alert, requester) : openTicket(alert, requester);
+};
+
+// Alerts with the same fingerprint are handled one at a time, so a burst of
+// repeats cannot open several tickets
+const locks = new Map();
+
+const withFingerprintLock = (fingerprint, task) => {
+  const previous = locks.get(fingerprint) || Promise.resolve();
+  const current = previous.catch(() => {}).then(task);
+  locks.set(fingerprint, current);
+
+  const release = () => {
+    if (locks.get(fingerprint) === current) locks.delete(fingerprint);
+  };
+  current.then(release, release);
+  return current;
+};
+
+// Handle parsed alerts in order. Resolves to one result per alert:
+// { fingerprint, status: created | commented | resolved | ignored | rejected | failed, ticket, reason }.
+// `failed` alerts hit an unexpected error and are worth sending again.
+const ingestAlerts = async (alerts, requester) => {
+  const results = [];
+
+  for (const alert of alerts) {
+    if (alert.error) {
+      results.push({ status: 'rejected', reason: alert.error });
+      continue;
+    }
+    try {
+      const result = await withFingerprintLock(alert.fingerprint, () => processAlert(alert, requester));
+      results.push({ fingerprint: alert.fingerprint, ...result });
+    } catch (error) {
+      // One bad alert must not lose the rest of the batch
+      console.error(`Alert intake error for ${alert.fingerprint}:`, error);
+      const invalid = error.name === 'ValidationError';
+      results.push({
+        fingerprint: alert.fingerprint,
+        status: invalid ? 'rejected' : 'failed',
+        reason: invalid ? error.message : 'Failed to process alert'
+      });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  SEVERITY_LEVELS,
+  AlertError,
+  severityLevel,
+  parseGenericPayload,
+  parseAlertmanagerPayload,
+  findAlertRequester,
+  ingestAlerts
+};
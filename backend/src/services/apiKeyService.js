@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+
+// Every key starts with this, which is how a bearer token is told apart from a JWT
+const KEY_PREFIX = 'sdk_';
+
+// Characters of the key kept in clear so admins can recognise it
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Raised when an API key cannot be used
+class ApiKeyError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+// Create a key for a service account. The plain key is only available in the
+// return value; it cannot be recovered later.
+const createApiKey = async (serviceAccount, { name, scopes, expiresAt = null, rateLimit = null }, creatorId) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    serviceAccount: serviceAccount._id,
+    name,
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashKey(key),
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    rateLimit,
+    createdBy: creatorId
+  });
+  return { key, apiKey };
+};
+
+const revokeApiKey = async (apiKey, actorId) => {
+  if (apiKey.revokedAt) return apiKey;
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = actorId;
+  return apiKey.save();
+};
+
+// Record use without a write on every request
+const touchApiKey = (apiKey, ip, now = new Date()) => {
+  if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < LAST_USED_RESOLUTION_MS && apiKey.lastUsedIp === ip) return;
+  ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } })
+    .catch(error => console.error('API key usage tracking error:', error));
+};
+
+// Resolve a presented key to the key record and its service account
+const authenticateApiKey = async (key, { ip } = {}) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+  if (!apiKey) {
+    throw new ApiKeyError('Invalid API key');
+  }
+  if (apiKey.revokedAt) {
+    throw new ApiKeyError('API key revoked');
+  }
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    throw new ApiKeyError('API key expired');
+  }
+
+  const user = await User.findById(apiKey.serviceAccount).select('-password');
+  if (!user || !user.isServiceAccount) {
+    throw new ApiKeyError('Invalid API key');
+  }
+  if (!user.isActive) {
+    throw new ApiKeyError('Service account is deactivated');
+  }
+
+  touchApiKey(apiKey, ip);
+  return { apiKey, user };
+};
+
+module.exports = {
+  ApiKeyError,
+  isApiKey,
+  createApiKey,
+  revokeApiKey,
+  authenticateApiKey
+};
@@ -0,0 +1,225 @@
+const Ticket = require('../models/Ticket');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { FINISHED_STATUSES } = require('./slaService');
+const { SUPPORT_ROLES, rolesWithPermission } = require('../config/permissions');
+
+// How the engine picks among eligible agents:
+//   round-robin - whoever was auto-assigned least recently
+//   least-open  - whoever has the fewest open tickets
+// Skill matching and on-shift filtering narrow the pool before picking.
+const STRATEGIES = ['round-robin', 'least-open'];
+
+const parseBoolean = (value) => value === true || value === 'true';
+
+// Settings for tickets without a team, from the environment
+const defaultSettings = () => ({
+  enabled: STRATEGIES.includes(process.env.AUTO_ASSIGN_STRATEGY),
+  strategy: STRATEGIES.includes(process.env.AUTO_ASSIGN_STRATEGY) ? process.env.AUTO_ASSIGN_STRATEGY : 'least-open',
+  skillMatch: parseBoolean(process.env.AUTO_ASSIGN_SKILL_MATCH),
+  onShiftOnly: parseBoolean(process.env.AUTO_ASSIGN_ON_SHIFT_ONLY)
+});
+
+// Team settings win over the defaults; explicit overrides win over both
+const resolveSettings = (team, overrides = {}) => {
+  const base = team && team.autoAssign ? team.autoAssign : defaultSettings();
+  const settings = {
+    enabled: Boolean(base.enabled),
+    strategy: base.strategy || 'least-open',
+    skillMatch: Boolean(base.skillMatch),
+    onShiftOnly: Boolean(base.onShiftOnly)
+  };
+
+  if (overrides.strategy) settings.strategy = overrides.strategy;
+  if (overrides.skillMatch !== undefined) settings.skillMatch = parseBoolean(overrides.skillMatch);
+  if (overrides.onShiftOnly !== undefined) settings.onShiftOnly = parseBoolean(overrides.onShiftOnly);
+
+  return settings;
+};
+
+// Open-ticket ceiling for an agent; null means unlimited
+const capacityOf = (user) => {
+  if (user.maxOpenTickets !== null && user.maxOpenTickets !== undefined) {
+    return user.maxOpenTickets;
+  }
+  const fallback = parseInt(process.env.DEFAULT_AGENT_CAPACITY, 10);
+  return fallback > 0 ? fallback : null;
+};
+
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Agents without a configured shift are treated as always on shift.
+// Shifts may cross midnight (e.g. 22:00-06:00); the day is the one the shift starts on.
+const isOnShift = (user, now = new Date()) => {
+  const shift = user.shift;
+  if (!shift || !shift.days || shift.days.length === 0) return true;
+
+  const start = minutesOf(shift.start);
+  const end = minutesOf(shift.end);
+  const current = now.getHours() * 60 + now.getMinutes();
+
+  if (start < end) {
+    return shift.days.includes(now.getDay()) && current >= start && current < end;
+  }
+
+  const previousDay = (now.getDay() + 6) % 7;
+  return (shift.days.includes(now.getDay()) && current >= start) ||
+    (shift.days.includes(previousDay) && current < end);
+};
+
+// Count open tickets per agent, optionally ignoring one ticket (the one being assigned)
+const countOpenTickets = async (userIds, excludeTicketId) => {
+  const match = {
+    assignedTo: { $in: userIds },
+    status: { $nin: FINISHED_STATUSES }
+  };
+  if (excludeTicketId) match._id = { $ne: excludeTicketId };
+
+  const counts = await Ticket.aggregate([
+    { $match: match },
+    { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+  ]);
+
+  const byUser = {};
+  counts.forEach(entry => {
+    byUser[entry._id.toString()] = entry.count;
+  });
+  return byUser;
+};
+
+// Open tickets, capacity and shift state for a list of agents
+const getWorkload = async (users, now = new Date()) => {
+  const openCounts = await countOpenTickets(users.map(user => user._id));
+  return users.map(user => {
+    const capacity = capacityOf(user);
+    const openTickets = openCounts[user._id.toString()] || 0;
+    return {
+      openTickets,
+      capacity,
+      atCapacity: capacity !== null && openTickets >= capacity,
+      onShift: isOnShift(user, now)
+    };
+  });
+};
+
+// Team members who can work tickets, or all support staff for unrouted tickets
+const loadCandidates = (team) => {
+  const filter = { isActive: true, isServiceAccount: { $ne: true } };
+  if (team) {
+    filter.teams = team._id;
+    filter.role = { $in: rolesWithPermission('ticket:update') };
+  } else {
+    filter.role = { $in: SUPPORT_ROLES };
+  }
+  return User.find(filter).select('username fullName role skills maxOpenTickets shift lastAutoAssignedAt');
+};
+
+const lastAssignedTime = (candidate) => candidate.lastAutoAssignedAt ? candidate.lastAutoAssignedAt.getTime() : 0;
+
+// Order eligible candidates so the first one is the pick, with deterministic tie-breaks
+const COMPARATORS = {
+  'round-robin': (a, b) => lastAssignedTime(a) - lastAssignedTime(b) ||
+    a.openTickets - b.openTickets ||
+    a.username.localeCompare(b.username),
+  'least-open': (a, b) => a.openTickets - b.openTickets ||
+    lastAssignedTime(a) - lastAssignedTime(b) ||
+    a.username.localeCompare(b.username)
+};
+
+const describeChoice = (strategy, chosen, eligibleCount) => {
+  if (strategy === 'round-robin') {
+    const last = chosen.lastAutoAssignedAt ? `last auto-assigned ${chosen.lastAutoAssignedAt.toISOString()}` : 'never auto-assigned before';
+    return `${chosen.username} is next in the round-robin rotation (${last}) among ${eligibleCount} eligible agent(s)`;
+  }
+  return `${chosen.username} has the fewest open tickets (${chosen.openTickets}) among ${eligibleCount} eligible agent(s)`;
+};
+
+// Pick an agent for a ticket and explain the decision. Nothing is saved here.
+// Options: strategy, skillMatch, onShiftOnly override the team/default settings;
+// requireEnabled skips the pick when auto-assignment is switched off.
+const chooseAssignee = async (ticket, options = {}) => {
+  const { requireEnabled = false, now = new Date(), ...overrides } = options;
+
+  const team = ticket.team ? await Team.findById(ticket.team).select('name autoAssign isActive') : null;
+  const settings = resolveSettings(team, overrides);
+
+  const report = {
+    ...settings,
+    team: team ? { _id: team._id, name: team.name } : null,
+    category: ticket.category,
+    assignee: null,
+    reason: null,
+    candidates: [],
+    evaluatedAt: now
+  };
+
+  if (requireEnabled && !settings.enabled) {
+    report.reason = team ? `Auto-assignment is disabled for team ${team.name}` : 'Auto-assignment is disabled';
+    return report;
+  }
+
+  const users = await loadCandidates(team);
+  const openCounts = await countOpenTickets(users.map(user => user._id), ticket._id);
+  const requesterId = ticket.createdBy ? (ticket.createdBy._id || ticket.createdBy).toString() : null;
+
+  report.candidates = users.map(user => {
+    const userId = user._id.toString();
+    const openTickets = openCounts[userId] || 0;
+    const capacity = capacityOf(user);
+    const onShift = isOnShift(user, now);
+    const hasSkill = (user.skills || []).includes(ticket.category);
+
+    const excludedBecause = [];
+    if (userId === requesterId) excludedBecause.push('is the requester');
+    if (capacity !== null && openTickets >= capacity) excludedBecause.push(`at capacity (${openTickets}/${capacity})`);
+    if (settings.skillMatch && !hasSkill) excludedBecause.push(`no skill in ${ticket.category}`);
+    if (settings.onShiftOnly && !onShift) excludedBecause.push('off shift');
+
+    return {
+      _id: user._id,
+      username: user.username,
+      fullName: user.fullName,
+      openTickets,
+      capacity,
+      onShift,
+      hasSkill,
+      lastAutoAssignedAt: user.lastAutoAssignedAt || null,
+      eligible: excludedBecause.length === 0,
+      excludedBecause
+    };
+  });
+
+  const eligible = report.candidates
+    .filter(candidate => candidate.eligible)
+    .sort(COMPARATORS[settings.strategy]);
+
+  if (users.length === 0) {
+    report.reason = team ? `Team ${team.name} has no active agents` : 'There are no active support agents';
+  } else if (eligible.length === 0) {
+    report.reason = 'No agent is eligible; see candidates for why each was excluded';
+  } else {
+    const chosen = eligible[0];
+    report.assignee = { _id: chosen._id, username: chosen.username, fullName: chosen.fullName };
+    report.reason = describeChoice(settings.strategy, chosen, eligible.length);
+  }
+
+  return report;
+};
+
+// Advance the round-robin rotation past an agent
+const markAssigned = (userId, at = new Date()) => {
+  return User.updateOne({ _id: userId }, { lastAutoAssignedAt: at });
+};
+
+module.exports = {
+  STRATEGIES,
+  resolveSettings,
+  capacityOf,
+  isOnShift,
+  getWorkload,
+  chooseAssignee,
+  markAssigned
+};
@@ -0,0 +1,95 @@
+const TicketHistory = require('../models/TicketHistory');
+
+// Ticket fields whose changes are written to the activity log
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'priority',
+  'status',
+  'assignedTo',
+  'team',
+  'resolution',
+  'impact',
+  'urgency',
+  'tags',
+  'articles'
+];
+
+// Reduce populated documents, ObjectIds and arrays to comparable plain values
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value._id) return value._id.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && typeof value.toHexString === 'function') return value.toString();
+  return value;
+};
+
+// Capture the tracked fields of a ticket before it is modified
+const snapshot = (ticket) => {
+  const values = {};
+  TRACKED_FIELDS.forEach(field => {
+    values[field] = normalizeValue(ticket.get ? ticket.get(field) : ticket[field]);
+  });
+  return values;
+};
+
+// List the tracked fields that differ between two snapshots
+const diffSnapshots = (before, after) => {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({
+      field,
+      oldValue: before[field],
+      newValue: after[field]
+    }));
+};
+
+// Append a history entry for a ticket
+const recordEvent = (ticket, actorId, action, changes = [], options = {}) => {
+  return TicketHistory.create({
+    ticket: ticket._id,
+    action,
+    changes,
+    actor: actorId || null,
+    isInternal: Boolean(options.isInternal),
+    note: options.note
+  });
+};
+
+// Compare a ticket against an earlier snapshot and log what changed
+const recordChanges = async (ticket, before, actorId, action = 'updated', options = {}) => {
+  const changes = diffSnapshots(before, snapshot(ticket));
+  if (changes.length === 0) return null;
+  return recordEvent(ticket, actorId, action, changes, options);
+};
+
+// Log the initial values of a newly created ticket
+const recordCreation = (ticket, actorId, options = {}) => {
+  const values = snapshot(ticket);
+  const changes = TRACKED_FIELDS
+    .filter(field => values[field] !== null && !(Array.isArray(values[field]) && values[field].length === 0))
+    .map(field => ({ field, oldValue: null, newValue: values[field] }));
+  return recordEvent(ticket, actorId, 'created', changes, options);
+};
+
+// Log a new comment without copying its text into the history
+const recordComment = (ticket, comment, actorId) => {
+  return recordEvent(ticket, actorId, 'commented', [{
+    field: 'comments',
+    oldValue: null,
+    newValue: comment._id.toString()
+  }], { isInternal: comment.isInternal });
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  normalizeValue,
+  snapshot,
+  diffSnapshots,
+  recordEvent,
+  recordChanges,
+  recordCreation,
+  recordComment
+};
@@ -0,0 +1,490 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const AutomationRule = require('../models/AutomationRule');
+const AutomationRun = require('../models/AutomationRun');
+const auditService = require('./auditService');
+const ticketService = require('./ticketService');
+const ticketWorkflow = require('./ticketWorkflow');
+const { notifyUser } = require('./notificationService');
+const { renderTemplate, findUnknownPlaceholders, PLACEHOLDERS } = require('./macroService');
+const { TICKET_EVENTS, ticketEvents, emitChanges } = require('./ticketEvents');
+const { rolesWithPermission } = require('../config/permissions');
+const {
+  VALUELESS_OPERATORS,
+  ASSIGN_TARGETS,
+  NOTIFY_TARGETS
+} = require('../config/automationOptions');
+
+// Longest chain of rules set off by each other's changes
+const MAX_CHAIN_DEPTH = parseInt(process.env.AUTOMATION_MAX_DEPTH) || 5;
+
+// Tickets each time rule handles per scheduler run; the rest wait for the next run
+const TIME_RULE_BATCH_SIZE = 100;
+
+const DRY_RUN_LIMIT = 25;
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+const TEXT_FIELDS = ['title', 'description'];
+const ID_FIELDS = ['assignedTo', 'team'];
+const SET_FIELDS = ['priority', 'category', 'impact', 'urgency'];
+
+const RECIPIENT_FIELDS = 'username fullName email isActive notificationPreferences';
+
+// Raised for rules that cannot run, and recorded as the failure of a run
+class AutomationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AutomationError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Events raised by a rule's changes carry the chain that led to them, so
+// rules set off by other rules can be limited: each rule fires at most once
+// per chain and chains stop after MAX_CHAIN_DEPTH steps.
+const chainStorage = new AsyncLocalStorage();
+const ROOT_CHAIN = { depth: 0, ruleIds: [] };
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const castValue = (field, value) => {
+  if (value === null || value === undefined) return null;
+  if (field === 'sla.breached') return value === true || value === 'true';
+  if (field === 'tags') return String(value).trim().toLowerCase();
+  return String(value);
+};
+
+const toQueryValue = (field, value) => {
+  const cast = castValue(field, value);
+  if (ID_FIELDS.includes(field) && OBJECT_ID_PATTERN.test(cast)) {
+    return new mongoose.Types.ObjectId(cast);
+  }
+  return cast;
+};
+
+// A ticket field as a list of strings (empty when unset), for in-memory tests
+const valuesOf = (ticket, field) => {
+  const value = auditService.normalizeValue(ticket.get(field));
+  if (value === null) return [];
+  return toList(value).map(String);
+};
+
+const includesValue = (values, field, expected) => values.includes(String(castValue(field, expected)));
+
+const containsText = (values, field, expected) => (TEXT_FIELDS.includes(field) ?
+  values.some(value => value.toLowerCase().includes(String(expected).toLowerCase())) :
+  includesValue(values, field, expected));
+
+// Unset, empty text or no tags, depending on the field's type
+const emptyQuery = (field, empty) => {
+  if (field === 'tags') return { 'tags.0': { $exists: !empty } };
+  if (ID_FIELDS.includes(field) || field === 'sla.breached') return { [field]: empty ? null : { $ne: null } };
+  return { [field]: empty ? { $in: [null, ''] } : { $nin: [null, ''] } };
+};
+
+// Each operator as an in-memory test and as a MongoDB condition. For tags
+// `is` and `contains` both mean "has this tag".
+const OPERATORS = {
+  is: {
+    test: (values, field, expected) => includesValue(values, field, expected),
+    query: (field, expected) => ({ [field]: toQueryValue(field, expected) })
+  },
+  isNot: {
+    test: (values, field, expected) => !includesValue(values, field, expected),
+    query: (field, expected) => ({ [field]: { $ne: toQueryValue(field, expected) } })
+  },
+  in: {
+    test: (values, field, expected) => toList(expected).some(item => includesValue(values, field, item)),
+    query: (field, expected) => ({ [field]: { $in: toList(expected).map(item => toQueryValue(field, item)) } })
+  },
+  notIn: {
+    test: (values, field, expected) => !toList(expected).some(item => includesValue(values, field, item)),
+    query: (field, expected) => ({ [field]: { $nin: toList(expected).map(item => toQueryValue(field, item)) } })
+  },
+  contains: {
+    test: containsText,
+    query: (field, expected) => (TEXT_FIELDS.includes(field) ?
+      { [field]: { $regex: escapeRegex(expected), $options: 'i' } } :
+      { [field]: toQueryValue(field, expected) })
+  },
+  notContains: {
+    test: (values, field, expected) => !containsText(values, field, expected),
+    query: (field, expected) => (TEXT_FIELDS.includes(field) ?
+      { [field]: { $not: new RegExp(escapeRegex(expected), 'i') } } :
+      { [field]: { $ne: toQueryValue(field, expected) } })
+  },
+  isEmpty: {
+    test: (values) => values.every(value => value === ''),
+    query: (field) => emptyQuery(field, true)
+  },
+  isNotEmpty: {
+    test: (values) => values.some(value => value !== ''),
+    query: (field) => emptyQuery(field, false)
+  },
+  // Only known while handling an update, so it never narrows a query
+  changed: {
+    test: (values, field, expected, changedFields) => changedFields.includes(field) &&
+      (expected === null || expected === undefined || includesValue(values, field, expected)),
+    query: () => ({})
+  }
+};
+
+// Whether a ticket meets every condition. `changedFields` are the fields of
+// the update being handled, if any.
+const matchesConditions = (conditions, ticket, changedFields = []) => conditions.every(({ field, operator, value }) =>
+  OPERATORS[operator].test(valuesOf(ticket, field), field, value, changedFields)
+);
+
+const conditionsQuery = (conditions) => {
+  const parts = conditions.map(({ field, operator, value }) => OPERATORS[operator].query(field, value));
+  return parts.length > 0 ? { $and: parts } : {};
+};
+
+// When a time rule starts counting. Tickets from before statusChangedAt was
+// recorded count from their last update instead.
+const delayReference = (since) => (since === 'statusChangedAt' ?
+  { $ifNull: ['$statusChangedAt', '$updatedAt'] } :
+  `$${since}`);
+
+// Tickets a time rule is due on: conditions met, delay passed, and the rule
+// has not fired on the ticket since the delay started counting
+const dueTicketsQuery = (rule, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - rule.delay.minutes * 60 * 1000);
+  const reference = delayReference(rule.delay.since);
+
+  return {
+    $and: [
+      conditionsQuery(rule.conditions),
+      {
+        $expr: {
+          $and: [
+            { $lte: [reference, cutoff] },
+            { $not: [{ $gte: [`$automationMarks.${rule._id}`, reference] }] }
+          ]
+        }
+      }
+    ]
+  };
+};
+
+// Check a rule definition beyond what the schema enforces. Throws
+// AutomationError describing the first problem.
+const validateRule = (rule) => {
+  rule.conditions.forEach(({ field, operator, value }) => {
+    if (operator === 'changed' && rule.trigger !== 'updated') {
+      throw new AutomationError(`The changed operator (on ${field}) only applies to rules triggered by updates`);
+    }
+    if (!VALUELESS_OPERATORS.includes(operator) && (value === null || value === undefined || value === '')) {
+      throw new AutomationError(`The ${operator} condition on ${field} needs a value`);
+    }
+    if (['in', 'notIn'].includes(operator) && !Array.isArray(value)) {
+      throw new AutomationError(`The ${operator} condition on ${field} needs a list of values`);
+    }
+    if (ID_FIELDS.includes(field) && value !== null && value !== undefined &&
+      !toList(value).every(item => OBJECT_ID_PATTERN.test(String(item)))) {
+      throw new AutomationError(`Conditions on ${field} compare against IDs`);
+    }
+  });
+
+  const { set = {}, assignTo, addTags = [], removeTags = [], comment, notify = {} } = rule.actions || {};
+  const recipients = notify.recipients || [];
+  const hasAction = Boolean(['status', ...SET_FIELDS].some(field => set[field]) || assignTo || comment ||
+    addTags.length > 0 || removeTags.length > 0 || recipients.length > 0);
+
+  if (set.resolution && !set.status) {
+    throw new AutomationError('actions.set.resolution can only be given together with actions.set.status');
+  }
+  if (!hasAction) {
+    throw new AutomationError('A rule needs at least one action');
+  }
+  if (assignTo && !ASSIGN_TARGETS.includes(assignTo) && !OBJECT_ID_PATTERN.test(assignTo)) {
+    throw new AutomationError(`actions.assignTo must be a user ID or one of: ${ASSIGN_TARGETS.join(', ')}`);
+  }
+
+  const badRecipient = recipients.find(recipient => !NOTIFY_TARGETS.includes(recipient) && !OBJECT_ID_PATTERN.test(recipient));
+  if (badRecipient) {
+    throw new AutomationError(`Unknown notification recipient "${badRecipient}"; use a user ID or one of: ${NOTIFY_TARGETS.join(', ')}`);
+  }
+  if (notify.message && recipients.length === 0) {
+    throw new AutomationError('actions.notify.message needs at least one recipient');
+  }
+
+  const unknown = [...findUnknownPlaceholders(comment), ...findUnknownPlaceholders(notify.message)];
+  if (unknown.length > 0) {
+    throw new AutomationError(`Unknown placeholders: ${[...new Set(unknown)].join(', ')}; available: ${Object.keys(PLACEHOLDERS).join(', ')}`);
+  }
+};
+
+const findTeamLead = async (ticket) => {
+  const team = ticket.team ? await Team.findById(ticket.team).select('lead') : null;
+  return team && team.lead;
+};
+
+// Resolve a rule's assignee for one ticket, with the same rules as manual assignment
+const resolveAssignee = async (assignTo, ticket) => {
+  if (assignTo === 'unassigned') return null;
+
+  const userId = assignTo === 'team-lead' ? await findTeamLead(ticket) : assignTo;
+  if (!userId) throw new AutomationError('The ticket has no team lead to assign it to', 409);
+
+  const assignee = await User.findById(userId).select('isActive isServiceAccount role');
+  if (!assignee || !assignee.isActive || assignee.isServiceAccount || !rolesWithPermission('ticket:update').includes(assignee.role)) {
+    throw new AutomationError('Tickets can only be assigned to active support staff', 409);
+  }
+  return assignee._id;
+};
+
+const resolveRecipients = async (recipients, ticket) => {
+  const userIds = await Promise.all(recipients.map(async recipient => {
+    if (recipient === 'requester') return ticket.createdBy;
+    if (recipient === 'assignee') return ticket.assignedTo;
+    if (recipient === 'team-lead') return findTeamLead(ticket);
+    return recipient;
+  }));
+
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  return ids.length > 0 ? User.find({ _id: { $in: ids }, isActive: true }).select(RECIPIENT_FIELDS) : [];
+};
+
+// Values for {{placeholders}}, taken from the ticket before the rule changes it
+const templateContext = async (ticket) => {
+  const [requester, agent] = await Promise.all([
+    User.findById(ticket.createdBy).select('username fullName email'),
+    ticket.assignedTo ? User.findById(ticket.assignedTo).select('username fullName') : null
+  ]);
+  return { ticket, requester, agent: agent || {} };
+};
+
+// Make a rule's changes on a ticket without saving it. Returns the tracked
+// changes, the comment added and the users to notify. Automations act for
+// the system, so only the workflow limits status changes.
+const planRule = async (rule, ticket) => {
+  const { set = {}, assignTo, addTags = [], removeTags = [], comment, notify = {} } = rule.actions || {};
+  const context = await templateContext(ticket);
+  const before = auditService.snapshot(ticket);
+
+  if (assignTo) {
+    ticket.assignedTo = await resolveAssignee(assignTo, ticket);
+    if (ticket.assignedTo && ticket.status === 'Open') ticket.status = 'In Progress';
+  }
+
+  SET_FIELDS.forEach(field => {
+    if (set[field]) ticket[field] = set[field];
+  });
+
+  if (addTags.length > 0 || removeTags.length > 0) {
+    const removed = new Set(removeTags);
+    const tags = [...ticket.tags, ...addTags].filter(tag => !removed.has(tag));
+    ticket.tags = [...new Set(tags)];
+  }
+
+  // Assignment may already have moved the ticket to the requested status
+  if (set.status && set.status !== ticket.status) {
+    try {
+      ticketWorkflow.transitionTo(ticket, set.status, {
+        canManage: true,
+        resolution: set.resolution || undefined
+      });
+    } catch (error) {
+      if (error instanceof ticketWorkflow.WorkflowError) throw new AutomationError(error.message, error.statusCode);
+      throw error;
+    }
+  }
+
+  const newComment = comment ? ticketService.pushComment(ticket, {
+    userId: rule.createdBy,
+    message: renderTemplate(comment, context),
+    isInternal: true
+  }) : null;
+
+  return {
+    changes: auditService.diffSnapshots(before, auditService.snapshot(ticket)),
+    comment: newComment,
+    recipients: await resolveRecipients(notify.recipients || [], ticket),
+    message: notify.message ? renderTemplate(notify.message, context) : null
+  };
+};
+
+const copyOf = (ticket) => Ticket.hydrate(ticket.toObject({ depopulate: true }));
+
+// Run one matching rule on a ticket and log the outcome. Changes are saved
+// in one step with a single history entry, and the events they raise carry
+// the rule chain on to the next rules. Resolves to the saved ticket when the
+// rule changed it, otherwise null; failures are logged, never thrown.
+const runRule = async (rule, ticket, trigger, chain = ROOT_CHAIN) => {
+  const entry = { rule: rule._id, ticket: ticket._id, trigger };
+
+  try {
+    // Work on a copy so a failed or dry run leaves the caller's ticket untouched
+    const target = copyOf(ticket);
+    const plan = await planRule(rule, target);
+    const fields = [...plan.changes.map(change => change.field), ...(plan.comment ? ['comments'] : [])];
+
+    if (rule.dryRun) {
+      await AutomationRun.create({ ...entry, result: 'dry-run', changes: fields, notified: plan.recipients.length });
+      return null;
+    }
+
+    if (fields.length === 0 && plan.recipients.length === 0) {
+      await AutomationRun.create({ ...entry, result: 'unchanged' });
+      return null;
+    }
+
+    if (fields.length > 0) {
+      await target.save();
+
+      const commentChange = plan.comment && { field: 'comments', oldValue: null, newValue: plan.comment._id.toString() };
+      await auditService.recordEvent(target, null, 'updated', commentChange ? [...plan.changes, commentChange] : plan.changes, {
+        isInternal: Boolean(plan.comment && plan.changes.length === 0),
+        note: `Automation: ${rule.name}`
+      });
+
+      const next = { depth: chain.depth + 1, ruleIds: [...chain.ruleIds, rule._id.toString()] };
+      chainStorage.run(next, () => {
+        emitChanges(target, plan.changes, null);
+        if (plan.comment) ticketEvents.emit(TICKET_EVENTS.COMMENTED, { ticket: target, actorId: null, comment: plan.comment });
+      });
+    }
+
+    await Promise.all(plan.recipients.map(user => notifyUser(user, 'automationNotice', {
+      ticket: target,
+      ruleName: rule.name,
+      message: plan.message
+    })));
+
+    await AutomationRun.create({ ...entry, result: 'applied', changes: fields, notified: plan.recipients.length });
+    await AutomationRule.updateOne({ _id: rule._id }, { $inc: { runCount: 1 }, $set: { lastRunAt: new Date() } });
+
+    return fields.length > 0 ? target : null;
+  } catch (error) {
+    if (!['AutomationError', 'ValidationError'].includes(error.name)) {
+      console.error(`Automation rule ${rule._id} failed on ticket ${ticket._id}:`, error);
+    }
+    await AutomationRun.create({ ...entry, result: 'failed', error: error.message });
+    return null;
+  }
+};
+
+// Run the active rules for a ticket event in order. After a rule changes the
+// ticket the remaining rules are left to the events raised by that change,
+// so no rule sees the same change twice.
+const runEventRules = async (trigger, ticketId, changes, chain) => {
+  const rules = await AutomationRule.find({ trigger, isActive: true }).sort({ createdAt: 1 });
+  const pending = rules.filter(rule => !chain.ruleIds.includes(rule._id.toString()));
+  if (pending.length === 0) return;
+
+  const ticket = await Ticket.findById(ticketId);
+  if (!ticket) return;
+
+  const changedFields = (changes || []).map(change => change.field);
+  for (const rule of pending) {
+    if (!matchesConditions(rule.conditions, ticket, changedFields)) continue;
+    if (await runRule(rule, ticket, trigger, chain)) return;
+  }
+};
+
+const handleEvent = (trigger) => ({ ticket, changes }) => {
+  const chain = chainStorage.getStore() || ROOT_CHAIN;
+  if (chain.depth >= MAX_CHAIN_DEPTH) {
+    console.warn(`Automation chain on ticket ${ticket.ticketNumber} stopped after ${chain.depth} rules`);
+    return;
+  }
+  runEventRules(trigger, ticket._id, changes, chain)
+    .catch(error => console.error('Automation error:', error));
+};
+
+// Run every active time rule on the tickets it is due on. Each rule fires
+// once per ticket until its delay starts counting again.
+const runTimeRules = async (now = new Date()) => {
+  const rules = await AutomationRule.find({ trigger: 'time', isActive: true }).sort({ createdAt: 1 });
+  let runs = 0;
+
+  for (const rule of rules) {
+    const tickets = await Ticket.find(dueTicketsQuery(rule, now)).sort({ _id: 1 }).limit(TIME_RULE_BATCH_SIZE);
+
+    for (const ticket of tickets) {
+      await runRule(rule, ticket, 'time');
+      // Marked after the run so the rule's own changes do not restart the delay
+      await Ticket.updateOne(
+        { _id: ticket._id },
+        { $set: { [`automationMarks.${rule._id}`]: new Date() } },
+        { timestamps: false }
+      );
+      runs += 1;
+    }
+  }
+
+  return { runs };
+};
+
+// Tickets a rule would act on now and what it would do to each, without
+// changing anything. Event rules are checked against current tickets as if
+// the event had just happened (`changed` conditions count as met).
+const previewRule = async (rule, { ticketId, limit = DRY_RUN_LIMIT } = {}) => {
+  validateRule(rule);
+
+  const filter = rule.trigger === 'time' ? dueTicketsQuery(rule) : conditionsQuery(rule.conditions);
+  const query = ticketId ? { $and: [{ _id: ticketId }, filter] } : filter;
+  const tickets = await Ticket.find(query).sort({ updatedAt: -1, _id: -1 }).limit(limit);
+
+  const results = [];
+  for (const ticket of tickets) {
+    const result = { ticketId: ticket._id, ticketNumber: ticket.ticketNumber, title: ticket.title };
+    try {
+      const plan = await planRule(rule, copyOf(ticket));
+      results.push({
+        ...result,
+        changes: plan.changes,
+        comment: plan.comment ? plan.comment.message : null,
+        notify: plan.recipients.map(user => user.email)
+      });
+    } catch (error) {
+      if (error.name !== 'AutomationError') throw error;
+      results.push({ ...result, error: error.message });
+    }
+  }
+  return results;
+};
+
+// Subscribe the event-triggered rules to ticket events
+const registerAutomationHandlers = () => {
+  ticketEvents.on(TICKET_EVENTS.CREATED, handleEvent('created'));
+  ticketEvents.on(TICKET_EVENTS.UPDATED, handleEvent('updated'));
+  ticketEvents.on(TICKET_EVENTS.COMMENTED, handleEvent('commented'));
+};
+
+// Periodically run the time rules. A run still in progress is never overlapped.
+const startAutomationScheduler = (intervalMs = parseInt(process.env.AUTOMATION_CHECK_INTERVAL_MS) || 60 * 1000) => {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    runTimeRules()
+      .catch(error => console.error('Automation scheduler error:', error))
+      .finally(() => { running = false; });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  MAX_CHAIN_DEPTH,
+  AutomationError,
+  OPERATORS,
+  matchesConditions,
+  conditionsQuery,
+  dueTicketsQuery,
+  validateRule,
+  planRule,
+  runRule,
+  runEventRules,
+  runTimeRules,
+  previewRule,
+  registerAutomationHandlers,
+  startAutomationScheduler
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const CsatSurvey = require('../models/CsatSurvey');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const auditService = require('./auditService');
+const ticketWorkflow = require('./ticketWorkflow');
+const { notifyUser } = require('./notificationService');
+const { TICKET_EVENTS, ticketEvents, emitChanges } = require('./ticketEvents');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const CSAT_ENABLED = process.env.CSAT_ENABLED !== 'false';
+const SURVEY_EXPIRE_DAYS = parseInt(process.env.CSAT_SURVEY_EXPIRE_DAYS) || 14;
+
+// Ratings at or below this reopen the ticket; unset or 0 disables auto-reopen
+const AUTO_REOPEN_MAX_RATING = parseInt(process.env.CSAT_AUTO_REOPEN_MAX_RATING) || 0;
+
+// Ratings counted as "satisfied" in the CSAT score
+const SATISFIED_MIN_RATING = 4;
+
+// Raised when a survey token cannot be used
+class SurveyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SurveyError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a survey for the ticket's latest resolution, voiding earlier
+// unanswered ones. Returns the survey and the plain token for the email.
+const issueSurvey = async (ticket) => {
+  await CsatSurvey.updateMany(
+    { ticket: ticket._id, respondedAt: null, expiresAt: { $gt: new Date() } },
+    { expiresAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const survey = await CsatSurvey.create({
+    ticket: ticket._id,
+    requester: ticket.createdBy._id || ticket.createdBy,
+    agent: ticket.assignedTo ? (ticket.assignedTo._id || ticket.assignedTo) : null,
+    team: ticket.team ? (ticket.team._id || ticket.team) : null,
+    category: ticket.category,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + SURVEY_EXPIRE_DAYS * DAY)
+  });
+
+  return { survey, token, expiresInDays: SURVEY_EXPIRE_DAYS };
+};
+
+const findOpenSurvey = (token) => CsatSurvey.findOne({
+  tokenHash: hashToken(String(token)),
+  respondedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// What the public survey page shows before the requester answers
+const getSurvey = async (token) => {
+  const survey = await findOpenSurvey(token)
+    .populate('ticket', 'ticketNumber title resolution resolvedAt')
+    .populate('agent', 'fullName');
+  if (!survey || !survey.ticket) {
+    throw new SurveyError('Invalid or expired survey link');
+  }
+
+  return {
+    ticket: survey.ticket,
+    agent: survey.agent ? { fullName: survey.agent.fullName } : null,
+    expiresAt: survey.expiresAt
+  };
+};
+
+// Reopen the ticket on the requester's behalf after a low rating. Skipped
+// when the workflow no longer allows it (e.g. the reopen window has passed).
+const reopenAfterRating = async (ticket, survey) => {
+  const before = auditService.snapshot(ticket);
+  try {
+    ticketWorkflow.performAction(ticket, 'reopen', { isOwner: true });
+  } catch (error) {
+    if (error instanceof ticketWorkflow.WorkflowError) return false;
+    throw error;
+  }
+
+  await ticket.save();
+  const entry = await auditService.recordChanges(ticket, before, survey.requester, 'updated', {
+    note: `Reopened after a satisfaction rating of ${survey.rating}`
+  });
+  if (entry) emitChanges(ticket, entry.changes, survey.requester);
+  return true;
+};
+
+// Record the requester's answer. The token is consumed atomically so a
+// survey can only be answered once.
+const submitResponse = async (token, { rating, comment }) => {
+  const survey = await CsatSurvey.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      respondedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { rating, comment, respondedAt: new Date() },
+    { new: true, runValidators: true }
+  );
+  if (!survey) {
+    throw new SurveyError('Invalid or expired survey link');
+  }
+
+  const ticket = await Ticket.findById(survey.ticket);
+  if (!ticket) return { survey, reopened: false };
+
+  await auditService.recordEvent(ticket, survey.requester, 'rated', [
+    { field: 'csat', oldValue: null, newValue: rating }
+  ], { note: comment ? comment.slice(0, 500) : undefined });
+
+  let reopened = false;
+  if (rating <= AUTO_REOPEN_MAX_RATING && ['Resolved', 'Closed'].includes(ticket.status)) {
+    reopened = await reopenAfterRating(ticket, survey);
+    if (reopened) {
+      survey.reopenedTicket = true;
+      await survey.save();
+    }
+  }
+
+  return { survey, reopened };
+};
+
+// ---------------------------------------------------------------------------
+// Aggregates
+
+const ratingGroup = {
+  responses: { $sum: 1 },
+  averageRating: { $avg: '$rating' },
+  satisfied: { $sum: { $cond: [{ $gte: ['$rating', SATISFIED_MIN_RATING] }, 1, 0] } }
+};
+
+const formatGroup = (group = {}) => ({
+  responses: group.responses || 0,
+  averageRating: group.averageRating ? Number(group.averageRating.toFixed(2)) : null,
+  // Share of responses rated 4 or 5
+  csatScore: group.responses ? Number((group.satisfied / group.responses).toFixed(4)) : null
+});
+
+// Join the grouped id to its document, keeping only the given fields
+const lookupFields = (from, as, fields) => [
+  {
+    $lookup: {
+      from,
+      localField: '_id',
+      foreignField: '_id',
+      as,
+      pipeline: [{ $project: Object.fromEntries(fields.map(field => [field, 1])) }]
+    }
+  },
+  { $set: { [as]: { $first: `$${as}` } } }
+];
+
+// CSAT per agent, category and team over answered surveys. `match` can
+// narrow the surveys (e.g. by respondedAt).
+const getCsatStats = async (match = {}) => {
+  const [result] = await CsatSurvey.aggregate([
+    { $match: { respondedAt: { $ne: null }, ...match } },
+    {
+      $facet: {
+        overall: [{ $group: { _id: null, ...ratingGroup } }],
+        distribution: [
+          { $group: { _id: '$rating', count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        byAgent: [
+          { $match: { agent: { $ne: null } } },
+          { $group: { _id: '$agent', ...ratingGroup } },
+          ...lookupFields('users', 'agent', ['username', 'fullName']),
+          { $sort: { responses: -1, _id: 1 } }
+        ],
+        byCategory: [
+          { $group: { _id: '$category', ...ratingGroup } },
+          { $sort: { responses: -1, _id: 1 } }
+        ],
+        byTeam: [
+          { $match: { team: { $ne: null } } },
+          { $group: { _id: '$team', ...ratingGroup } },
+          ...lookupFields('teams', 'team', ['name']),
+          { $sort: { responses: -1, _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    overall: formatGroup(result.overall[0]),
+    distribution: [1, 2, 3, 4, 5].map(rating => ({
+      rating,
+      count: (result.distribution.find(entry => entry._id === rating) || {}).count || 0
+    })),
+    byAgent: result.byAgent.map(group => ({
+      agent: group.agent || { _id: group._id },
+      ...formatGroup(group)
+    })),
+    byCategory: result.byCategory.map(group => ({ category: group._id, ...formatGroup(group) })),
+    byTeam: result.byTeam.map(group => ({
+      team: group.team || { _id: group._id },
+      ...formatGroup(group)
+    }))
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Event subscriber
+
+// Survey the requester when someone else resolves their ticket
+const onStatusChanged = async ({ ticket, actorId, to }) => {
+  if (to !== 'Resolved') return;
+
+  const requesterId = (ticket.createdBy._id || ticket.createdBy).toString();
+  if (actorId && actorId.toString() === requesterId) return;
+
+  const requester = await User.findById(requesterId)
+    .select('username fullName email isActive notificationPreferences');
+  if (!requester || !requester.email || !requester.isActive) return;
+  if ((requester.notificationPreferences || {}).csatSurvey === false) return;
+
+  const { token, expiresInDays } = await issueSurvey(ticket);
+  await notifyUser(requester, 'csatSurvey', { ticket, token, expiresInDays });
+};
+
+// Subscribe survey emails to ticket events (no-op when CSAT_ENABLED=false)
+const registerCsatHandlers = () => {
+  if (!CSAT_ENABLED) return;
+  ticketEvents.on(TICKET_EVENTS.STATUS_CHANGED, (payload) => {
+    onStatusChanged(payload).catch(error => console.error('CSAT survey error:', error));
+  });
+};
+
+module.exports = {
+  SurveyError,
+  SATISFIED_MIN_RATING,
+  issueSurvey,
+  getSurvey,
+  submitResponse,
+  getCsatStats,
+  registerCsatHandlers
+};
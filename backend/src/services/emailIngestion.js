@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const { simpleParser } = require('mailparser');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const ticketService = require('./ticketService');
+const { storeFile, cleanupFiles } = require('../middleware/upload');
+const { getTicketAccess } = require('./ticketAccess');
+const { hasPermission } = require('../config/permissions');
+
+const TICKET_NUMBER_PATTERN = /TKT-\d{8}-\d{4}/;
+
+const TITLE_MAX_LENGTH = 200;
+const DESCRIPTION_MAX_LENGTH = 2000;
+const COMMENT_MAX_LENGTH = 1000;
+
+const truncate = (text, maxLength) => text.length > maxLength ? text.slice(0, maxLength - 3) + '...' : text;
+
+// Drop the quoted original from a reply ("> ..." lines and everything after "On ... wrote:")
+const stripQuotedReply = (text) => {
+  const lines = text.split(/\r?\n/);
+  const kept = [];
+
+  for (const line of lines) {
+    if (/^On .+ wrote:\s*$/.test(line) || /^-{2,}\s*Original Message\s*-{2,}/i.test(line)) break;
+    if (/^\s*>/.test(line)) continue;
+    kept.push(line);
+  }
+
+  return kept.join('\n').trim();
+};
+
+// Remove reply/forward prefixes and the ticket number tag from a subject
+const cleanSubject = (subject) => (subject || '')
+  .replace(/\[?TKT-\d{8}-\d{4}\]?/g, '')
+  .replace(/^\s*((re|fw|fwd|aw)\s*:\s*)+/i, '')
+  .trim();
+
+const toIdList = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : value.split(/\s+/)).filter(Boolean);
+};
+
+// Find the ticket a message replies to, by Message-ID or ticket number
+const findThreadedTicket = async (parsed) => {
+  const referencedIds = [...toIdList(parsed.inReplyTo), ...toIdList(parsed.references)];
+
+  if (referencedIds.length > 0) {
+    const ticket = await Ticket.findOne({ emailMessageIds: { $in: referencedIds } });
+    if (ticket) return ticket;
+  }
+
+  // Our outbound Message-IDs embed the ticket number, and so do our subjects
+  const candidates = [...referencedIds, parsed.subject || ''];
+  for (const candidate of candidates) {
+    const match = candidate.match(TICKET_NUMBER_PATTERN);
+    if (match) {
+      const ticket = await Ticket.findOne({ ticketNumber: match[0] });
+      if (ticket) return ticket;
+    }
+  }
+
+  return null;
+};
+
+// Save MIME attachments in the same shape as uploaded ones
+const storeAttachments = async (parsed) => {
+  const attachments = [];
+  const skipped = [];
+
+  for (const attachment of parsed.attachments || []) {
+    // Inline parts without a filename are usually signatures or embedded images
+    if (!attachment.filename) continue;
+
+    try {
+      attachments.push(await storeFile({
+        originalName: attachment.filename,
+        content: attachment.content,
+        mimetype: attachment.contentType
+      }));
+    } catch (error) {
+      skipped.push({ filename: attachment.filename, reason: error.message });
+    }
+  }
+
+  return { attachments, skipped };
+};
+
+const messageText = (parsed) => {
+  if (parsed.text && parsed.text.trim()) return parsed.text;
+  if (parsed.html) return parsed.html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ');
+  return '';
+};
+
+const replyToTicket = async (ticket, sender, parsed) => {
+  if (!getTicketAccess(sender, ticket).canComment) {
+    return { status: 'rejected', reason: `Sender is not allowed to comment on ${ticket.ticketNumber}` };
+  }
+
+  const message = stripQuotedReply(messageText(parsed));
+  if (!message) {
+    return { status: 'rejected', reason: 'Reply has no new text' };
+  }
+
+  if (parsed.messageId) ticket.emailMessageIds.push(parsed.messageId);
+
+  // Email replies are always public
+  const comment = await ticketService.addComment(ticket, {
+    userId: sender._id,
+    message: truncate(message, COMMENT_MAX_LENGTH)
+  });
+
+  return { status: 'commented', ticket, comment };
+};
+
+const openTicket = async (sender, parsed) => {
+  const title = truncate(cleanSubject(parsed.subject) || 'Email request', TITLE_MAX_LENGTH);
+  const description = truncate(messageText(parsed).trim() || title, DESCRIPTION_MAX_LENGTH);
+
+  const { attachments, skipped } = await storeAttachments(parsed);
+
+  try {
+    const ticket = await ticketService.createTicket({
+      title,
+      description,
+      category: process.env.INBOUND_EMAIL_CATEGORY || 'General Inquiry',
+      priority: parsed.priority === 'high' ? 'High' : 'Medium',
+      attachments,
+      createdBy: sender._id,
+      source: 'email',
+      emailMessageIds: parsed.messageId ? [parsed.messageId] : []
+    });
+
+    return { status: 'created', ticket, skippedAttachments: skipped };
+  } catch (error) {
+    cleanupFiles(attachments);
+    throw error;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Sender verification. The From: header is set by whoever writes the message,
+// so it is only believed when the receiving gateway vouches for it.
+
+const domainOf = (address) => String(address || '').split('@').pop().trim().toLowerCase();
+
+// Relaxed alignment: the same domain, or one is a subdomain of the other
+const isAligned = (domain, fromDomain) => Boolean(domain) &&
+  (domain === fromDomain || fromDomain.endsWith(`.${domain}`) || domain.endsWith(`.${fromDomain}`));
+
+// Parse one Authentication-Results header (RFC 8601) into its authserv-id and
+// results: [{ method, result, props: { 'header.d': ..., ... } }]
+const parseAuthenticationResults = (line) => {
+  const value = line
+    .replace(/^authentication-results:/i, '')
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .replace(/\([^)]*\)/g, ' ');
+  const [serverPart, ...resultParts] = value.split(';');
+
+  const results = resultParts.map(part => {
+    const [first, ...rest] = part.trim().split(/\s+/);
+    const [method, result] = (first || '').toLowerCase().split('=');
+    const props = {};
+    rest.forEach(token => {
+      const index = token.indexOf('=');
+      if (index > 0) props[token.slice(0, index).toLowerCase()] = token.slice(index + 1).replace(/^"|"$/g, '');
+    });
+    return { method, result, props };
+  }).filter(entry => entry.method && entry.result);
+
+  return { authservId: serverPart.trim().split(/\s+/)[0].toLowerCase(), results };
+};
+
+// A pass from DMARC, or from DKIM or SPF for a domain aligned with From:
+const isAuthenticatedResult = ({ method, result, props }, fromDomain) => {
+  if (result !== 'pass') return false;
+  if (method === 'dmarc') return !props['header.from'] || isAligned(props['header.from'].toLowerCase(), fromDomain);
+  if (method === 'dkim') return isAligned(domainOf(props['header.d'] || props['header.i']), fromDomain);
+  if (method === 'spf') return isAligned(domainOf(props['smtp.mailfrom']), fromDomain);
+  return false;
+};
+
+// The gateway's verified-sender header names the From: address
+const matchesVerifiedSender = (parsed, fromAddress, headerName) => {
+  const value = parsed.headers.get(headerName.toLowerCase());
+  if (typeof value !== 'string') return false;
+  return value.replace(/^.*</, '').replace(/>.*$/, '').trim().toLowerCase() === fromAddress.toLowerCase();
+};
+
+// Only the trusted gateway's Authentication-Results count; anyone can add
+// others. The gateway adds its header on top, so the first one is its own.
+const passesAuthentication = (parsed, fromAddress, authservId) => {
+  const header = parsed.headerLines
+    .filter(({ key }) => key === 'authentication-results')
+    .map(({ line }) => parseAuthenticationResults(line))
+    .find(entry => entry.authservId === authservId.toLowerCase());
+  if (!header) return false;
+
+  const fromDomain = domainOf(fromAddress);
+  return header.results.some(result => isAuthenticatedResult(result, fromDomain));
+};
+
+// Returns null when the sender is verified, else the reason it is not.
+//   INBOUND_EMAIL_VERIFIED_SENDER_HEADER  header the gateway sets to the sender it verified
+//   INBOUND_EMAIL_AUTHSERV_ID             trust Authentication-Results added by this server
+//   INBOUND_EMAIL_ALLOW_UNVERIFIED=true   trust From: as is (only for closed networks)
+// With both checks configured, passing either one is enough.
+const verifySender = (parsed, fromAddress) => {
+  const senderHeader = process.env.INBOUND_EMAIL_VERIFIED_SENDER_HEADER;
+  const authservId = process.env.INBOUND_EMAIL_AUTHSERV_ID;
+
+  if (!senderHeader && !authservId) {
+    return process.env.INBOUND_EMAIL_ALLOW_UNVERIFIED === 'true' ? null : 'Inbound sender verification is not configured';
+  }
+
+  if (senderHeader && matchesVerifiedSender(parsed, fromAddress, senderHeader)) return null;
+  if (authservId && passesAuthentication(parsed, fromAddress, authservId)) return null;
+  return `Sender ${fromAddress} could not be verified`;
+};
+
+// Turn a raw RFC 822 message into a new ticket or a comment on an existing one.
+// Resolves to { status: 'created' | 'commented' | 'duplicate' | 'rejected', ... }.
+const ingestMessage = async (rawMessage) => {
+  const parsed = await simpleParser(rawMessage);
+
+  const fromAddress = parsed.from && parsed.from.value[0] && parsed.from.value[0].address;
+  if (!fromAddress) {
+    return { status: 'rejected', reason: 'Message has no sender address' };
+  }
+
+  const unverified = verifySender(parsed, fromAddress);
+  if (unverified) {
+    return { status: 'rejected', reason: unverified };
+  }
+
+  // The same message can arrive twice (webhook retries, maildir re-scans)
+  if (parsed.messageId) {
+    const duplicate = await Ticket.findOne({ emailMessageIds: parsed.messageId }).select('ticketNumber');
+    if (duplicate) {
+      return { status: 'duplicate', ticket: duplicate };
+    }
+  }
+
+  const sender = await User.findOne({ email: fromAddress.toLowerCase() });
+  if (!sender || !sender.isActive) {
+    return { status: 'rejected', reason: `No active user with email ${fromAddress}` };
+  }
+
+  const existingTicket = await findThreadedTicket(parsed);
+  if (existingTicket) {
+    return replyToTicket(existingTicket, sender, parsed);
+  }
+
+  if (!hasPermission(sender, 'ticket:create')) {
+    return { status: 'rejected', reason: 'Sender is not allowed to create tickets' };
+  }
+
+  return openTicket(sender, parsed);
+};
+
+// Process every message in a maildir's new/ folder and file it under cur/.
+// Messages that fail with an error stay in new/ to be retried.
+const ingestMaildir = async (maildir) => {
+  const newDir = path.join(maildir, 'new');
+  const curDir = path.join(maildir, 'cur');
+  await fs.promises.mkdir(curDir, { recursive: true });
+
+  const filenames = await fs.promises.readdir(newDir);
+  const results = [];
+
+  for (const filename of filenames) {
+    const filePath = path.join(newDir, filename);
+    try {
+      const result = await ingestMessage(await fs.promises.readFile(filePath));
+      await fs.promises.rename(filePath, path.join(curDir, `${filename}:2,S`));
+      results.push({ filename, status: result.status, reason: result.reason });
+    } catch (error) {
+      console.error(`Email ingestion error (${filename}):`, error);
+      results.push({ filename, status: 'error', reason: error.message });
+    }
+  }
+
+  return results;
+};
+
+// Poll INBOUND_MAILDIR for new messages
+const startMaildirPoller = (
+  maildir = process.env.INBOUND_MAILDIR,
+  intervalMs = parseInt(process.env.INBOUND_MAILDIR_POLL_MS) || 60 * 1000
+) => {
+  if (!maildir) return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await ingestMaildir(maildir);
+    } catch (error) {
+      console.error('Maildir poll error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  stripQuotedReply,
+  cleanSubject,
+  ingestMessage,
+  ingestMaildir,
+  startMaildirPoller
+};
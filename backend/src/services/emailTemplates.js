@@ -0,0 +1,142 @@
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const frontendUrl = (pathname) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}${pathname}`;
+
+const NOTIFICATION_FOOTER = 'You are receiving this email from the Service Desk. ' +
+  'You can change your notification preferences in your profile.';
+
+const ACCOUNT_FOOTER = 'If you did not request this, you can ignore this email.';
+
+// Link and footer shared by all ticket emails
+const ticketLink = (ticket) => ({
+  url: frontendUrl(`/tickets/${ticket._id}`),
+  label: 'View the ticket',
+  footer: NOTIFICATION_FOOTER
+});
+
+// Subjects carry the ticket number in brackets so replies can be threaded
+const ticketSubject = (ticket, text) => `[${ticket.ticketNumber}] ${text}`;
+
+// Wrap paragraphs into a plain text body and a matching HTML body
+const render = (recipient, paragraphs, { url, label, footer }) => {
+  const greeting = `Hello ${recipient.fullName || recipient.username},`;
+
+  const text = [greeting, ...paragraphs, `${label}: ${url}`, '--', footer].join('\n\n');
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...paragraphs.map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`),
+    `<p><a href="${escapeHtml(url)}">${escapeHtml(label)}</a></p>`,
+    `<hr><p style="color:#888;font-size:12px">${escapeHtml(footer)}</p>`
+  ].join('\n');
+
+  return { text, html };
+};
+
+const templates = {
+  ticketCreated: ({ recipient, ticket }) => ({
+    subject: ticketSubject(ticket, `We received your request: ${ticket.title}`),
+    ...render(recipient, [
+      `Your ticket ${ticket.ticketNumber} "${ticket.title}" has been created with ${ticket.priority} priority.`,
+      'Our support team will get back to you as soon as possible. ' +
+        'You can reply to this email to add more information to the ticket.'
+    ], ticketLink(ticket))
+  }),
+
+  ticketAssigned: ({ recipient, ticket, actor }) => ({
+    subject: ticketSubject(ticket, `Assigned to you: ${ticket.title}`),
+    ...render(recipient, [
+      `Ticket ${ticket.ticketNumber} "${ticket.title}" has been assigned to you` +
+        (actor ? ` by ${actor.fullName}.` : '.'),
+      `Priority: ${ticket.priority}\nCategory: ${ticket.category}\nStatus: ${ticket.status}`
+    ], ticketLink(ticket))
+  }),
+
+  commentAdded: ({ recipient, ticket, comment, actor }) => ({
+    subject: ticketSubject(ticket, `New comment: ${ticket.title}`),
+    ...render(recipient, [
+      `${actor ? actor.fullName : 'Someone'} commented on ticket ${ticket.ticketNumber}` +
+        (comment.isInternal ? ' (internal note):' : ':'),
+      comment.message
+    ], ticketLink(ticket))
+  }),
+
+  statusChanged: ({ recipient, ticket, from, to }) => ({
+    subject: ticketSubject(ticket, `Status changed to ${to}: ${ticket.title}`),
+    ...render(recipient, [
+      `The status of ticket ${ticket.ticketNumber} changed from ${from} to ${to}.`
+    ], ticketLink(ticket))
+  }),
+
+  ticketResolved: ({ recipient, ticket }) => ({
+    subject: ticketSubject(ticket, `Resolved: ${ticket.title}`),
+    ...render(recipient, [
+      `Your ticket ${ticket.ticketNumber} "${ticket.title}" has been resolved.`,
+      ticket.resolution ? `Resolution:\n${ticket.resolution}` : null,
+      'If the issue is not fixed, you can reopen the ticket.'
+    ].filter(Boolean), ticketLink(ticket))
+  }),
+
+  csatSurvey: ({ recipient, ticket, token, expiresInDays }) => ({
+    subject: ticketSubject(ticket, `How did we do? ${ticket.title}`),
+    ...render(recipient, [
+      `Your ticket ${ticket.ticketNumber} "${ticket.title}" was resolved. ` +
+        'Please take a moment to rate the support you received.',
+      `The link below can be used once and expires in ${expiresInDays} days.`
+    ], {
+      url: frontendUrl(`/csat?token=${encodeURIComponent(token)}`),
+      label: 'Rate your experience',
+      footer: NOTIFICATION_FOOTER
+    })
+  }),
+
+  automationNotice: ({ recipient, ticket, ruleName, message }) => ({
+    subject: ticketSubject(ticket, `${ruleName}: ${ticket.title}`),
+    ...render(recipient, [
+      message || `Ticket ${ticket.ticketNumber} "${ticket.title}" matched the automation rule "${ruleName}".`,
+      `Priority: ${ticket.priority}\nCategory: ${ticket.category}\nStatus: ${ticket.status}`
+    ], ticketLink(ticket))
+  }),
+
+  passwordReset: ({ recipient, token, expiresInMinutes }) => ({
+    subject: 'Reset your Service Desk password',
+    ...render(recipient, [
+      'We received a request to reset the password for your Service Desk account.',
+      `The link below can be used once and expires in ${expiresInMinutes} minutes.`
+    ], {
+      url: frontendUrl(`/reset-password?token=${encodeURIComponent(token)}`),
+      label: 'Reset your password',
+      footer: ACCOUNT_FOOTER
+    })
+  }),
+
+  emailVerification: ({ recipient, token, expiresInMinutes }) => ({
+    subject: 'Verify your Service Desk email address',
+    ...render(recipient, [
+      'Please confirm your email address to finish setting up your Service Desk account.',
+      `The link below expires in ${Math.round(expiresInMinutes / 60)} hours.`
+    ], {
+      url: frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`),
+      label: 'Verify your email',
+      footer: ACCOUNT_FOOTER
+    })
+  })
+};
+
+// Render a named template into { subject, text, html }
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  escapeHtml,
+  renderTemplate
+};
@@ -0,0 +1,229 @@
+const Article = require('../models/Article');
+const ArticleVersion = require('../models/ArticleVersion');
+const auditService = require('./auditService');
+const { hasPermission } = require('../config/permissions');
+
+// Fields whose change creates a new article version
+const CONTENT_FIELDS = ['title', 'body', 'category', 'tags'];
+
+const SUGGESTION_LIMIT = 5;
+const EXCERPT_LENGTH = 200;
+
+// Raised when an article change is not allowed
+class ArticleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ArticleError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Writers see drafts and archived articles; everyone else only published ones
+const buildArticleVisibilityFilter = (user) => (
+  hasPermission(user, 'kb:write') ? {} : { status: 'published' }
+);
+
+const canViewArticle = (user, article) => article.status === 'published' || hasPermission(user, 'kb:write');
+
+// Published articles can only be changed by users who may publish
+const canEditArticle = (user, article) => hasPermission(user, 'kb:write') &&
+  (article.status === 'draft' || hasPermission(user, 'kb:publish'));
+
+const normalizeTags = (tags) => (Array.isArray(tags) ? tags : String(tags || '').split(','))
+  .map(tag => String(tag).trim().toLowerCase())
+  .filter(Boolean);
+
+const excerptOf = (body) => {
+  const text = String(body || '').replace(/[#*_`>[\]()-]/g, '').replace(/\s+/g, ' ').trim();
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text;
+};
+
+const saveVersion = (article, editorId) => ArticleVersion.create({
+  article: article._id,
+  version: article.version,
+  title: article.title,
+  body: article.body,
+  category: article.category,
+  tags: article.tags,
+  editedBy: editorId || null
+});
+
+const applyStatus = (article, status, user) => {
+  if (status === undefined || status === article.status) return;
+  if (status === 'published' && !hasPermission(user, 'kb:publish')) {
+    throw new ArticleError('Publishing articles requires the kb:publish permission', 403);
+  }
+  article.status = status;
+  if (status === 'published') article.publishedAt = new Date();
+};
+
+// Create an article (version 1)
+const createArticle = async ({ title, body, category, tags, status }, user, { sourceTicket = null } = {}) => {
+  const article = new Article({
+    title,
+    body,
+    category,
+    tags: normalizeTags(tags),
+    author: user._id,
+    updatedBy: user._id,
+    sourceTicket
+  });
+  applyStatus(article, status, user);
+
+  await article.save();
+  await saveVersion(article, user._id);
+  return article;
+};
+
+// Update an article. Content changes bump the version and keep the previous
+// text in the history. `expectedVersion` guards against overwriting someone
+// else's edit.
+const updateArticle = async (article, updates, user, { expectedVersion } = {}) => {
+  if (!canEditArticle(user, article)) {
+    throw new ArticleError('Access denied', 403);
+  }
+  if (expectedVersion !== undefined && Number(expectedVersion) !== article.version) {
+    throw new ArticleError(`Article was changed by someone else (now at version ${article.version})`, 409);
+  }
+
+  const fields = {};
+  CONTENT_FIELDS.forEach(field => {
+    if (updates[field] === undefined) return;
+    const value = field === 'tags' ? normalizeTags(updates[field]) : updates[field];
+    if (JSON.stringify(value) !== JSON.stringify(article.get(field))) fields[field] = value;
+  });
+
+  const loadedVersion = article.version;
+  const contentChanged = Object.keys(fields).length > 0;
+  if (contentChanged) {
+    article.set(fields);
+    article.version += 1;
+  }
+
+  applyStatus(article, updates.status, user);
+  article.updatedBy = user._id;
+
+  // Only overwrite the version this edit was based on, so of two concurrent
+  // edits the second gets a conflict instead of silently replacing the first
+  article.$where = { version: loadedVersion };
+  try {
+    await article.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      throw new ArticleError('Article was changed by someone else; reload it and try again', 409);
+    }
+    throw error;
+  } finally {
+    article.$where = undefined;
+  }
+
+  if (contentChanged) await saveVersion(article, user._id);
+  return article;
+};
+
+// Ranked text search over the articles matching `filter`
+const searchArticles = async (filter, text, { skip = 0, limit = 10 } = {}) => {
+  const query = { ...filter, $text: { $search: text } };
+  const [articles, total] = await Promise.all([
+    Article.find(query, { score: { $meta: 'textScore' } })
+      .select('-body')
+      .populate('author', 'username fullName')
+      .sort({ score: { $meta: 'textScore' }, _id: 1 })
+      .skip(skip)
+      .limit(limit),
+    Article.countDocuments(query)
+  ]);
+  return { articles, total };
+};
+
+// Published articles that may answer a new ticket, best first. Articles in
+// the ticket's category rank higher.
+const suggestArticles = async ({ title, description, category }, { limit = SUGGESTION_LIMIT } = {}) => {
+  const text = [title, description].filter(Boolean).join(' ').trim();
+  if (!text) return [];
+
+  const matches = await Article.find(
+    { status: 'published', $text: { $search: text } },
+    { score: { $meta: 'textScore' } }
+  )
+    .select('title body category tags')
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit * 3)
+    .lean();
+
+  return matches
+    .map(article => ({
+      _id: article._id,
+      title: article.title,
+      category: article.category,
+      tags: article.tags,
+      excerpt: excerptOf(article.body),
+      score: article.score * (article.category === category ? 1.5 : 1)
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Markdown body for an article drafted from a resolved ticket
+const draftBodyFromTicket = (ticket) => [
+  '## Problem',
+  '',
+  ticket.description,
+  '',
+  '## Solution',
+  '',
+  ticket.resolution
+].join('\n');
+
+// Turn a ticket's resolution into a new draft article linked to the ticket
+const promoteResolution = async (ticket, user) => {
+  if (!ticket.resolution || !ticket.resolution.trim()) {
+    throw new ArticleError('The ticket has no resolution to promote', 409);
+  }
+
+  const article = await createArticle({
+    title: ticket.title,
+    body: draftBodyFromTicket(ticket),
+    category: ticket.category,
+    tags: ticket.tags
+  }, user, { sourceTicket: ticket._id });
+
+  await linkArticle(ticket, article, user._id);
+  return article;
+};
+
+// Link an article to a ticket, recording it in the ticket history
+const linkArticle = async (ticket, article, actorId) => {
+  if (ticket.articles.some(id => id.toString() === article._id.toString())) return null;
+
+  const before = auditService.snapshot(ticket);
+  ticket.articles.push(article._id);
+  await ticket.save();
+  return auditService.recordChanges(ticket, before, actorId);
+};
+
+const unlinkArticle = async (ticket, articleId, actorId) => {
+  const remaining = ticket.articles.filter(id => id.toString() !== articleId.toString());
+  if (remaining.length === ticket.articles.length) return null;
+
+  const before = auditService.snapshot(ticket);
+  ticket.articles = remaining;
+
+  await ticket.save();
+  return auditService.recordChanges(ticket, before, actorId);
+};
+
+module.exports = {
+  ArticleError,
+  CONTENT_FIELDS,
+  buildArticleVisibilityFilter,
+  canViewArticle,
+  canEditArticle,
+  createArticle,
+  updateArticle,
+  searchArticles,
+  suggestArticles,
+  promoteResolution,
+  linkArticle,
+  unlinkArticle
+};
@@ -0,0 +1,103 @@
+const User = require('../models/User');
+const Macro = require('../models/Macro');
+const ticketBulk = require('./ticketBulk');
+const { hasPermission } = require('../config/permissions');
+
+// Placeholders available in macro comments, e.g. {{requester.fullName}}.
+// Values are taken from the ticket before the macro changes it.
+const PLACEHOLDERS = {
+  'ticket.ticketNumber': ({ ticket }) => ticket.ticketNumber,
+  'ticket.title': ({ ticket }) => ticket.title,
+  'ticket.status': ({ ticket }) => ticket.status,
+  'ticket.priority': ({ ticket }) => ticket.priority,
+  'ticket.category': ({ ticket }) => ticket.category,
+  'requester.fullName': ({ requester }) => requester && requester.fullName,
+  'requester.username': ({ requester }) => requester && requester.username,
+  'requester.email': ({ requester }) => requester && requester.email,
+  'agent.fullName': ({ agent }) => agent.fullName,
+  'agent.username': ({ agent }) => agent.username
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Placeholders in a template that PLACEHOLDERS does not know
+const findUnknownPlaceholders = (template) => [...String(template || '').matchAll(PLACEHOLDER_PATTERN)]
+  .map(match => match[1])
+  .filter(name => !PLACEHOLDERS[name]);
+
+// Fill in placeholders; missing values render as empty text
+const renderTemplate = (template, context) => String(template).replace(PLACEHOLDER_PATTERN, (match, name) => {
+  const resolve = PLACEHOLDERS[name];
+  const value = resolve ? resolve(context) : null;
+  return value === null || value === undefined ? '' : String(value);
+});
+
+const ownerIdOf = (macro) => (macro.owner && macro.owner._id ? macro.owner._id : macro.owner).toString();
+
+// Owners use their personal macros; shared macros are available to everyone
+const canUseMacro = (user, macro) => macro.scope === 'shared' || ownerIdOf(macro) === user._id.toString();
+
+// Only the owner changes a personal macro; shared macros need macro:share
+const canEditMacro = (user, macro) => (
+  macro.scope === 'shared' ? hasPermission(user, 'macro:share') : ownerIdOf(macro) === user._id.toString()
+);
+
+// Mongo filter for the macros a user can use
+const buildMacroVisibilityFilter = (user) => ({
+  $or: [
+    { owner: user._id },
+    { scope: 'shared' }
+  ]
+});
+
+// Turn a macro into ticket actions for one ticket, with its comment rendered
+const buildActions = async (macro, ticket, user) => {
+  const requester = await User.findById(ticket.createdBy).select('username fullName email');
+  const input = {};
+
+  if (macro.comment && macro.comment.message) {
+    input.comment = {
+      message: renderTemplate(macro.comment.message, { ticket, requester, agent: user }),
+      isInternal: macro.comment.isInternal
+    };
+  }
+
+  const { status, priority, addTags, removeTags, assignTo } = macro.actions || {};
+  if (status) input.status = status;
+  if (priority) input.priority = priority;
+  if (addTags && addTags.length > 0) input.addTags = addTags;
+  if (removeTags && removeTags.length > 0) input.removeTags = removeTags;
+  if (assignTo) {
+    if (assignTo === 'me') input.assignedTo = user._id.toString();
+    else if (assignTo === 'unassigned') input.assignedTo = null;
+    else input.assignedTo = assignTo;
+  }
+
+  return ticketBulk.prepareActions(input, user);
+};
+
+// Apply a macro to a ticket through the same checks as a bulk action.
+// Returns the ticket report entry (result updated, unchanged or failed).
+const applyMacro = async (macro, ticket, user) => {
+  const actions = await buildActions(macro, ticket, user);
+  const result = await ticketBulk.applyToTicket(ticket, actions, user, {
+    auditAction: 'updated',
+    note: `Macro applied: ${macro.name}`
+  });
+
+  if (result.result === 'updated') {
+    await Macro.updateOne({ _id: macro._id }, { $inc: { usageCount: 1 } });
+  }
+  return result;
+};
+
+module.exports = {
+  PLACEHOLDERS,
+  findUnknownPlaceholders,
+  renderTemplate,
+  canUseMacro,
+  canEditMacro,
+  buildMacroVisibilityFilter,
+  buildActions,
+  applyMacro
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Mail transports share one interface: send(message) -> Promise<info>.
+// `message` is { from, to, subject, text, html, messageId, headers }.
+
+// Deliver through an SMTP server
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Write each message as a JSON file, for local development and tests
+const createFileTransport = (directory = process.env.MAIL_FILE_DIR || 'tmp/mail') => {
+  return {
+    name: 'file',
+    directory,
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      const filePath = path.join(directory, filename);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      return { messageId: message.messageId, path: filePath };
+    }
+  };
+};
+
+// Print messages to the console
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return { messageId: message.messageId };
+    }
+  };
+};
+
+const TRANSPORT_FACTORIES = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+// Transport selected by MAIL_TRANSPORT (smtp, file or console)
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = TRANSPORT_FACTORIES[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+// Replace the active transport (e.g. with a custom or in-memory one)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const getMailDomain = () => {
+  const from = process.env.MAIL_FROM || 'servicedesk@localhost';
+  return from.replace(/^.*@/, '').replace(/>.*$/, '');
+};
+
+// Build a unique Message-ID, optionally anchored to a ticket number so
+// replies can be threaded back to the ticket
+const createMessageId = (ticketNumber) => {
+  const unique = `${Date.now()}.${crypto.randomBytes(6).toString('hex')}`;
+  const localPart = ticketNumber ? `${ticketNumber}.${unique}` : unique;
+  return `<${localPart}@${getMailDomain()}>`;
+};
+
+// Send a message through the active transport
+const sendMail = (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Service Desk <servicedesk@localhost>',
+    messageId: createMessageId(),
+    ...message
+  });
+};
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  getTransport,
+  setTransport,
+  getMailDomain,
+  createMessageId,
+  sendMail
+};
@@ -0,0 +1,114 @@
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const { TICKET_EVENTS, ticketEvents } = require('./ticketEvents');
+const { renderTemplate } = require('./emailTemplates');
+const { sendMail, createMessageId, getMailDomain } = require('./mailer');
+
+const RECIPIENT_FIELDS = 'username fullName email isActive notificationPreferences';
+
+const loadTicket = (ticketId) => Ticket.findById(ticketId)
+  .populate('createdBy', RECIPIENT_FIELDS)
+  .populate('assignedTo', RECIPIENT_FIELDS);
+
+const loadActor = (actorId) => actorId ? User.findById(actorId).select('username fullName') : null;
+
+const sameUser = (user, userId) => Boolean(user && userId && user._id.toString() === userId.toString());
+
+// Every email about a ticket references the same root id so mail clients
+// group them and replies can be matched back to the ticket
+const threadRootId = (ticket) => `<${ticket.ticketNumber}@${getMailDomain()}>`;
+
+// Send one templated email, honouring the recipient's preferences
+const notifyUser = async (user, templateName, data) => {
+  if (!user || !user.email || user.isActive === false) return null;
+
+  const preferences = user.notificationPreferences || {};
+  if (preferences[templateName] === false) return null;
+
+  const { ticket } = data;
+  const content = renderTemplate(templateName, { recipient: user, ...data });
+
+  return sendMail({
+    to: user.email,
+    ...content,
+    messageId: createMessageId(ticket.ticketNumber),
+    inReplyTo: threadRootId(ticket),
+    references: [threadRootId(ticket)]
+  });
+};
+
+// Send an account email (password reset, verification). These are not
+// notifications and ignore the user's preferences.
+const sendAccountEmail = (user, templateName, data) => {
+  const content = renderTemplate(templateName, { recipient: user, ...data });
+  return sendMail({ to: user.email, ...content });
+};
+
+// Collect distinct recipients, leaving out whoever triggered the event
+const recipientsExcept = (users, actorId) => {
+  const seen = new Set();
+  return users.filter(user => {
+    if (!user || sameUser(user, actorId)) return false;
+    const id = user._id.toString();
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+};
+
+const onTicketCreated = async ({ ticket }) => {
+  const fullTicket = await loadTicket(ticket._id);
+  if (!fullTicket) return;
+  await notifyUser(fullTicket.createdBy, 'ticketCreated', { ticket: fullTicket });
+};
+
+const onTicketAssigned = async ({ ticket, actorId }) => {
+  const fullTicket = await loadTicket(ticket._id);
+  if (!fullTicket || !fullTicket.assignedTo || sameUser(fullTicket.assignedTo, actorId)) return;
+
+  const actor = await loadActor(actorId);
+  await notifyUser(fullTicket.assignedTo, 'ticketAssigned', { ticket: fullTicket, actor });
+};
+
+const onTicketCommented = async ({ ticket, actorId, comment }) => {
+  const fullTicket = await loadTicket(ticket._id);
+  if (!fullTicket) return;
+
+  // Internal notes go to support staff only, never to the requester
+  const candidates = comment.isInternal ?
+    [fullTicket.assignedTo] :
+    [fullTicket.createdBy, fullTicket.assignedTo];
+
+  const actor = await loadActor(actorId);
+  await Promise.all(recipientsExcept(candidates, actorId).map(user =>
+    notifyUser(user, 'commentAdded', { ticket: fullTicket, comment, actor })
+  ));
+};
+
+const onStatusChanged = async ({ ticket, actorId, from, to }) => {
+  const fullTicket = await loadTicket(ticket._id);
+  if (!fullTicket || sameUser(fullTicket.createdBy, actorId)) return;
+
+  const templateName = to === 'Resolved' ? 'ticketResolved' : 'statusChanged';
+  await notifyUser(fullTicket.createdBy, templateName, { ticket: fullTicket, from, to });
+};
+
+// Run a handler in the background so request handling never waits on email
+const background = (handler) => (payload) => {
+  handler(payload).catch(error => console.error('Notification error:', error));
+};
+
+// Subscribe email notifications to ticket events
+const registerNotificationHandlers = () => {
+  ticketEvents.on(TICKET_EVENTS.CREATED, background(onTicketCreated));
+  ticketEvents.on(TICKET_EVENTS.ASSIGNED, background(onTicketAssigned));
+  ticketEvents.on(TICKET_EVENTS.COMMENTED, background(onTicketCommented));
+  ticketEvents.on(TICKET_EVENTS.STATUS_CHANGED, background(onStatusChanged));
+};
+
+module.exports = {
+  notifyUser,
+  sendAccountEmail,
+  threadRootId,
+  registerNotificationHandlers
+};
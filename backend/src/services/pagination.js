@@ -0,0 +1,163 @@
+// Cursor pagination shared by the list endpoints.
+//
+// Clients pass `limit`, `sortBy`, `sortOrder` on the first request and then
+// follow `pagination.nextCursor` / `pagination.prevCursor`. Cursors are
+// opaque and carry the sort, so later requests only need `cursor`.
+// `includeTotal=true` adds a total count, which costs an extra query.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Raised for unusable pagination parameters
+class PaginationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PaginationError';
+    this.statusCode = statusCode;
+  }
+}
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!data || typeof data !== 'object') throw new Error('Cursor is not an object');
+    return data;
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+};
+
+// Read limit, sort and cursor from request parameters. `sortFields` is the
+// whitelist of sortable fields; anything else is rejected.
+const parsePagination = (params, { sortFields, defaultSortBy = 'createdAt', defaultSortOrder = 'desc' }) => {
+  const requestedLimit = parseInt(params.limit, 10);
+  const limit = Math.min(Math.max(requestedLimit || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const includeTotal = params.includeTotal === true || params.includeTotal === 'true';
+
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor);
+    if (!sortFields.includes(cursor.sortBy) || !['asc', 'desc'].includes(cursor.sortOrder)) {
+      throw new PaginationError('Invalid cursor');
+    }
+    return { limit, includeTotal, sortBy: cursor.sortBy, sortOrder: cursor.sortOrder, cursor };
+  }
+
+  const sortBy = params.sortBy || defaultSortBy;
+  if (!sortFields.includes(sortBy)) {
+    throw new PaginationError(`Cannot sort by ${sortBy}. Sortable fields: ${sortFields.join(', ')}`);
+  }
+
+  const sortOrder = params.sortOrder || defaultSortOrder;
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    throw new PaginationError('Sort order must be asc or desc');
+  }
+
+  return { limit, includeTotal, sortBy, sortOrder, cursor: null };
+};
+
+// Documents strictly after (value, id) in the given direction; _id breaks ties
+const afterCondition = (field, direction, value, id) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  if (field === '_id') return { _id: { [op]: id } };
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+const keyCursor = (pagination, doc, direction) => encodeCursor({
+  sortBy: pagination.sortBy,
+  sortOrder: pagination.sortOrder,
+  value: doc.get ? doc.get(pagination.sortBy) : doc[pagination.sortBy],
+  id: doc._id,
+  direction
+});
+
+const buildMeta = (pagination, { hasNextPage, hasPrevPage, nextCursor, prevCursor, totalCount }) => {
+  const meta = {
+    limit: pagination.limit,
+    sortBy: pagination.sortBy,
+    sortOrder: pagination.sortOrder,
+    hasNextPage,
+    hasPrevPage,
+    nextCursor: hasNextPage ? nextCursor : null,
+    prevCursor: hasPrevPage ? prevCursor : null
+  };
+  if (totalCount !== undefined) meta.totalCount = totalCount;
+  return meta;
+};
+
+// Run a keyset-paginated find. `decorate` can add populate/select to the query.
+const paginateFind = async (Model, filter, pagination, decorate = query => query) => {
+  const { sortBy, sortOrder, cursor, limit, includeTotal } = pagination;
+  if (cursor && cursor.direction === undefined) throw new PaginationError('Invalid cursor');
+
+  const order = sortOrder === 'desc' ? -1 : 1;
+  const backwards = Boolean(cursor) && cursor.direction === 'prev';
+  const direction = backwards ? -order : order;
+
+  const conditions = cursor
+    ? { $and: [filter, afterCondition(sortBy, direction, cursor.value, cursor.id)] }
+    : filter;
+
+  const sort = sortBy === '_id' ? { _id: direction } : { [sortBy]: direction, _id: direction };
+  let docs = await decorate(Model.find(conditions).sort(sort).limit(limit + 1));
+
+  const hasMore = docs.length > limit;
+  docs = docs.slice(0, limit);
+  if (backwards) docs.reverse();
+
+  const totalCount = includeTotal ? await Model.countDocuments(filter) : undefined;
+  const first = docs[0];
+  const last = docs[docs.length - 1];
+
+  return {
+    docs,
+    pagination: buildMeta(pagination, {
+      hasNextPage: backwards ? true : hasMore,
+      hasPrevPage: backwards ? hasMore : Boolean(cursor),
+      nextCursor: last && keyCursor(pagination, last, 'next'),
+      prevCursor: first && keyCursor(pagination, first, 'prev'),
+      totalCount
+    })
+  };
+};
+
+// Offset for results that cannot be keyset-paginated (e.g. relevance ranking).
+// The offset still travels in an opaque cursor.
+const offsetOf = (pagination) => {
+  if (!pagination.cursor) return 0;
+  const offset = pagination.cursor.offset;
+  if (!Number.isInteger(offset) || offset < 0) throw new PaginationError('Invalid cursor');
+  return offset;
+};
+
+const offsetMeta = (pagination, offset, pageSize, totalCount) => {
+  const offsetCursor = (value) => encodeCursor({
+    sortBy: pagination.sortBy,
+    sortOrder: pagination.sortOrder,
+    offset: value
+  });
+
+  return buildMeta(pagination, {
+    hasNextPage: offset + pageSize < totalCount,
+    hasPrevPage: offset > 0,
+    nextCursor: offsetCursor(offset + pagination.limit),
+    prevCursor: offsetCursor(Math.max(offset - pagination.limit, 0)),
+    totalCount
+  });
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  PaginationError,
+  parsePagination,
+  paginateFind,
+  offsetOf,
+  offsetMeta
+};
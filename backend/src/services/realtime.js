@@ -0,0 +1,174 @@
+const User = require('../models/User');
+const { TICKET_EVENTS, ticketEvents } = require('./ticketEvents');
+const { canViewTicket, canViewInternalComments } = require('./ticketAccess');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How often an open stream reloads its user, so deactivation, revoked
+// tokens and role or team changes reach streams that are already open
+const USER_RECHECK_INTERVAL_MS = 60 * 1000;
+
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Connected Server-Sent Events clients by user id: Set of { user, tokenVersion, res, close }
+const clients = new Map();
+let nextEventId = 1;
+
+const ticketSummary = (ticket) => ({
+  _id: ticket._id,
+  ticketNumber: ticket.ticketNumber,
+  title: ticket.title,
+  status: ticket.status,
+  priority: ticket.priority,
+  category: ticket.category,
+  createdBy: ticket.createdBy && ticket.createdBy._id ? ticket.createdBy._id : ticket.createdBy,
+  assignedTo: ticket.assignedTo && ticket.assignedTo._id ? ticket.assignedTo._id : ticket.assignedTo,
+  updatedAt: ticket.updatedAt
+});
+
+const write = (res, event, data) => {
+  res.write(`id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Send an event to every client allowed to see it. `buildPayload` returns the
+// data for a given user, or null to skip that user.
+const broadcast = (event, ticket, buildPayload) => {
+  clients.forEach(userClients => userClients.forEach(client => {
+    if (!canViewTicket(client.user, ticket)) return;
+    const payload = buildPayload(client.user);
+    if (payload) write(client.res, event, payload);
+  }));
+};
+
+const onCreated = ({ ticket, actorId }) => {
+  broadcast(TICKET_EVENTS.CREATED, ticket, () => ({
+    ticket: ticketSummary(ticket),
+    actorId
+  }));
+};
+
+const onUpdated = ({ ticket, actorId, changes }) => {
+  broadcast(TICKET_EVENTS.UPDATED, ticket, () => ({
+    ticket: ticketSummary(ticket),
+    actorId,
+    changes
+  }));
+};
+
+const onAssigned = ({ ticket, actorId, from, to }) => {
+  broadcast(TICKET_EVENTS.ASSIGNED, ticket, () => ({
+    ticket: ticketSummary(ticket),
+    actorId,
+    from,
+    to
+  }));
+};
+
+const onCommented = ({ ticket, actorId, comment }) => {
+  broadcast(TICKET_EVENTS.COMMENTED, ticket, (user) => {
+    if (comment.isInternal && !canViewInternalComments(user)) return null;
+    return {
+      ticket: ticketSummary(ticket),
+      actorId,
+      comment: {
+        _id: comment._id,
+        user: comment.user,
+        message: comment.message,
+        isInternal: comment.isInternal,
+        createdAt: comment.createdAt
+      }
+    };
+  });
+};
+
+// Subscribe the realtime channel to ticket events
+const registerRealtimeHandlers = () => {
+  ticketEvents.on(TICKET_EVENTS.CREATED, onCreated);
+  ticketEvents.on(TICKET_EVENTS.UPDATED, onUpdated);
+  ticketEvents.on(TICKET_EVENTS.ASSIGNED, onAssigned);
+  ticketEvents.on(TICKET_EVENTS.COMMENTED, onCommented);
+};
+
+// End every stream of a user, telling the client why. Called when the
+// user's sessions are revoked.
+const closeUserStreams = (userId, reason = 'revoked') => {
+  const userClients = clients.get(String(userId));
+  if (!userClients) return 0;
+
+  const count = userClients.size;
+  [...userClients].forEach(client => client.close(reason));
+  return count;
+};
+
+// Reload the stream's user; false when the stream must end
+const recheckClient = async (client) => {
+  const user = await User.findById(client.user._id).select('-password');
+  if (!user || !user.isActive || (user.tokenVersion || 0) !== client.tokenVersion) return false;
+  client.user = user;
+  return true;
+};
+
+// Keep an authenticated response open as an event stream until the access
+// token it was opened with expires (`expiresAt`) or the session is revoked
+const addClient = (user, req, res, { expiresAt } = {}) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const userId = String(user._id);
+  const client = { user, tokenVersion: user.tokenVersion || 0, res };
+  if (!clients.has(userId)) clients.set(userId, new Set());
+  clients.get(userId).add(client);
+  write(res, 'connected', { userId: user._id });
+
+  // Comment lines keep proxies from closing idle connections
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const recheck = setInterval(() => {
+    recheckClient(client)
+      .then(valid => { if (!valid) client.close('revoked'); })
+      .catch(error => console.error('Event stream recheck error:', error));
+  }, USER_RECHECK_INTERVAL_MS);
+
+  const expiry = expiresAt ?
+    setTimeout(() => client.close('token-expired'), Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMEOUT_MS)) :
+    null;
+
+  let closed = false;
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearInterval(recheck);
+    clearTimeout(expiry);
+
+    const userClients = clients.get(userId);
+    userClients.delete(client);
+    if (userClients.size === 0) clients.delete(userId);
+  };
+
+  // The client is told why before the stream ends, so it can reconnect with
+  // a fresh token or stop
+  client.close = (reason) => {
+    if (closed) return;
+    write(res, 'close', { reason });
+    cleanup();
+    res.end();
+  };
+
+  req.on('close', cleanup);
+};
+
+const getClientCount = () => [...clients.values()].reduce((count, userClients) => count + userClients.size, 0);
+
+module.exports = {
+  registerRealtimeHandlers,
+  addClient,
+  closeUserStreams,
+  getClientCount
+};
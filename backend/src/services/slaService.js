@@ -0,0 +1,295 @@
+const SlaPolicy = require('../models/SlaPolicy');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Upper bound on calendar walking so a misconfigured calendar cannot spin forever
+const MAX_CALENDAR_DAYS = 366 * 5;
+
+const PAUSED_STATUS = 'Waiting for Response';
+const FINISHED_STATUSES = ['Resolved', 'Closed'];
+
+// Local date key of a working day, compared against holidays
+const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+// Holidays are calendar dates stored as UTC midnight, so their key is read in
+// UTC; reading it in local time would move them a day west of UTC
+const toHolidayKey = (date) => date.toISOString().slice(0, 10);
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(day);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+// Business window [start, end) for the given day, or null when the day is not worked
+const getBusinessWindow = (day, policy) => {
+  const { businessHours, holidays = [] } = policy;
+  if (!businessHours.days.includes(day.getDay())) return null;
+
+  const dayKey = toDateKey(day);
+  if (holidays.some(holiday => toHolidayKey(new Date(holiday.date)) === dayKey)) return null;
+
+  return {
+    start: atTime(day, businessHours.start),
+    end: atTime(day, businessHours.end)
+  };
+};
+
+const usesBusinessHours = (policy) => Boolean(policy && policy.businessHours && policy.businessHours.enabled);
+
+// Add working minutes to a date according to the policy calendar
+const addBusinessMinutes = (from, minutes, policy) => {
+  const start = new Date(from);
+  if (!usesBusinessHours(policy)) {
+    return new Date(start.getTime() + minutes * MINUTE);
+  }
+
+  let remaining = minutes * MINUTE;
+  let cursor = start;
+  let day = startOfDay(start);
+
+  for (let i = 0; i < MAX_CALENDAR_DAYS; i++) {
+    const window = getBusinessWindow(day, policy);
+    if (window) {
+      if (cursor < window.start) cursor = window.start;
+      if (cursor < window.end) {
+        const available = window.end - cursor;
+        if (remaining <= available) {
+          return new Date(cursor.getTime() + remaining);
+        }
+        remaining -= available;
+      }
+    }
+    // Step past midnight with an hour of slack so DST shifts cannot skip or repeat a day
+    day = startOfDay(new Date(day.getTime() + DAY + MINUTE * 60));
+    cursor = day;
+  }
+
+  throw new Error('SLA calendar has no business time within the supported range');
+};
+
+// Count working minutes between two dates according to the policy calendar
+const businessMinutesBetween = (from, to, policy) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  if (end <= start) return 0;
+
+  if (!usesBusinessHours(policy)) {
+    return Math.round((end - start) / MINUTE);
+  }
+
+  let total = 0;
+  let day = startOfDay(start);
+
+  for (let i = 0; i < MAX_CALENDAR_DAYS && day < end; i++) {
+    const window = getBusinessWindow(day, policy);
+    if (window) {
+      const overlapStart = Math.max(window.start.getTime(), start.getTime());
+      const overlapEnd = Math.min(window.end.getTime(), end.getTime());
+      if (overlapEnd > overlapStart) total += overlapEnd - overlapStart;
+    }
+    day = startOfDay(new Date(day.getTime() + DAY + MINUTE * 60));
+  }
+
+  return Math.round(total / MINUTE);
+};
+
+// Pick the most specific active policy for a priority/category pair
+const findPolicyForTicket = async ({ priority, category }) => {
+  const policies = await SlaPolicy.find({
+    isActive: true,
+    $and: [
+      { $or: [{ priorities: { $size: 0 } }, { priorities: priority }] },
+      { $or: [{ categories: { $size: 0 } }, { categories: category }] }
+    ]
+  }).sort({ createdAt: 1 });
+
+  let best = null;
+  let bestScore = -1;
+  policies.forEach(policy => {
+    // A category match is more specific than a priority match
+    const score = (policy.categories.length ? 2 : 0) + (policy.priorities.length ? 1 : 0);
+    if (score > bestScore) {
+      best = policy;
+      bestScore = score;
+    }
+  });
+
+  return best;
+};
+
+// Stamp first-response and resolution deadlines on a ticket
+const applyPolicy = async (ticket) => {
+  const policy = await findPolicyForTicket(ticket);
+  if (!policy) {
+    // Drop the deadlines but keep what already happened (first response,
+    // breaches, paused time); SLA compliance reports read those
+    if (ticket.sla) {
+      ticket.set('sla.policy', null);
+      ticket.set('sla.firstResponseDueAt', null);
+      ticket.set('sla.resolutionDueAt', null);
+    }
+    return null;
+  }
+
+  const startedAt = ticket.createdAt || new Date();
+  const pausedMinutes = (ticket.sla && ticket.sla.totalPausedMinutes) || 0;
+
+  ticket.set('sla.policy', policy._id);
+  ticket.set('sla.firstResponseDueAt',
+    addBusinessMinutes(startedAt, policy.firstResponseMinutes + pausedMinutes, policy));
+  ticket.set('sla.resolutionDueAt',
+    addBusinessMinutes(startedAt, policy.resolutionMinutes + pausedMinutes, policy));
+  ticket.estimatedResolutionTime = ticket.sla.resolutionDueAt;
+
+  return policy;
+};
+
+// Stop the SLA clock while waiting on the requester
+const pause = (ticket, now = new Date()) => {
+  if (!ticket.sla || !ticket.sla.policy || ticket.sla.pausedAt) return;
+  ticket.set('sla.pausedAt', now);
+};
+
+// Restart the SLA clock and push the deadlines out by the paused working time
+const resume = async (ticket, now = new Date()) => {
+  if (!ticket.sla || !ticket.sla.pausedAt) return;
+
+  const policy = await SlaPolicy.findById(ticket.sla.policy);
+  const pausedMinutes = businessMinutesBetween(ticket.sla.pausedAt, now, policy);
+
+  if (pausedMinutes > 0) {
+    if (!ticket.sla.firstRespondedAt && ticket.sla.firstResponseDueAt) {
+      ticket.set('sla.firstResponseDueAt', addBusinessMinutes(ticket.sla.firstResponseDueAt, pausedMinutes, policy));
+    }
+    if (ticket.sla.resolutionDueAt) {
+      ticket.set('sla.resolutionDueAt', addBusinessMinutes(ticket.sla.resolutionDueAt, pausedMinutes, policy));
+      ticket.estimatedResolutionTime = ticket.sla.resolutionDueAt;
+    }
+  }
+
+  ticket.set('sla.totalPausedMinutes', (ticket.sla.totalPausedMinutes || 0) + pausedMinutes);
+  ticket.set('sla.pausedAt', null);
+};
+
+// Record the first public response from support staff
+const recordFirstResponse = (ticket, respondedAt = new Date()) => {
+  if (!ticket.sla || !ticket.sla.policy || ticket.sla.firstRespondedAt) return;
+  ticket.set('sla.firstRespondedAt', respondedAt);
+};
+
+// Set breach flags; once breached a ticket stays breached
+const evaluateBreaches = (ticket, now = new Date()) => {
+  const sla = ticket.sla;
+  if (!sla || !sla.policy) return;
+
+  const clockRunning = !sla.pausedAt && !FINISHED_STATUSES.includes(ticket.status);
+
+  if (!sla.firstResponseBreached && sla.firstResponseDueAt) {
+    const respondedAt = sla.firstRespondedAt || (clockRunning ? now : null);
+    if (respondedAt && respondedAt > sla.firstResponseDueAt) {
+      ticket.set('sla.firstResponseBreached', true);
+    }
+  }
+
+  if (!sla.resolutionBreached && sla.resolutionDueAt) {
+    const resolvedAt = ticket.resolvedAt || (clockRunning ? now : null);
+    if (resolvedAt && resolvedAt > sla.resolutionDueAt) {
+      ticket.set('sla.resolutionBreached', true);
+    }
+  }
+
+  if (ticket.sla.firstResponseBreached || ticket.sla.resolutionBreached) {
+    ticket.set('sla.breached', true);
+  }
+};
+
+// Keep SLA state in step with a ticket that is about to be saved
+const handleTicketSave = async (ticket) => {
+  const now = new Date();
+  const isActive = !FINISHED_STATUSES.includes(ticket.status);
+
+  if (isActive && (ticket.isNew || ticket.isModified('priority') || ticket.isModified('category'))) {
+    await applyPolicy(ticket);
+  }
+
+  if (ticket.isModified('status')) {
+    if (ticket.status === PAUSED_STATUS) {
+      pause(ticket, now);
+    } else {
+      await resume(ticket, now);
+    }
+  }
+
+  evaluateBreaches(ticket, now);
+};
+
+// Flag overdue tickets that nobody has touched since their deadline passed
+const markOverdueTickets = async (now = new Date()) => {
+  const Ticket = require('../models/Ticket');
+  const running = {
+    status: { $nin: FINISHED_STATUSES },
+    'sla.policy': { $ne: null },
+    'sla.pausedAt': null
+  };
+
+  const firstResponse = await Ticket.updateMany({
+    ...running,
+    'sla.firstResponseBreached': { $ne: true },
+    'sla.firstRespondedAt': null,
+    'sla.firstResponseDueAt': { $lt: now }
+  }, {
+    $set: { 'sla.firstResponseBreached': true, 'sla.breached': true }
+  });
+
+  const resolution = await Ticket.updateMany({
+    ...running,
+    'sla.resolutionBreached': { $ne: true },
+    'sla.resolutionDueAt': { $lt: now }
+  }, {
+    $set: { 'sla.resolutionBreached': true, 'sla.breached': true }
+  });
+
+  return {
+    firstResponseBreaches: firstResponse.modifiedCount,
+    resolutionBreaches: resolution.modifiedCount
+  };
+};
+
+// Periodically sweep for tickets whose deadlines have passed
+const startSlaMonitor = (intervalMs = parseInt(process.env.SLA_CHECK_INTERVAL_MS) || 60 * 1000) => {
+  const timer = setInterval(() => {
+    markOverdueTickets().catch(error => console.error('SLA monitor error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  PAUSED_STATUS,
+  FINISHED_STATUSES,
+  addBusinessMinutes,
+  businessMinutesBetween,
+  findPolicyForTicket,
+  applyPolicy,
+  pause,
+  resume,
+  recordFirstResponse,
+  evaluateBreaches,
+  handleTicketSave,
+  markOverdueTickets,
+  startSlaMonitor
+};
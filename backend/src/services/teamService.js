@@ -0,0 +1,27 @@
+const Team = require('../models/Team');
+
+// Active team whose routing rules cover a category, if any
+const findTeamForCategory = (category) => {
+  return Team.findOne({ categories: category, isActive: true });
+};
+
+// Route a ticket to the team responsible for its category
+const routeTicket = async (ticket) => {
+  const team = await findTeamForCategory(ticket.category);
+  ticket.team = team ? team._id : null;
+  return team;
+};
+
+// Active teams (other than `excludeId`) that already route any of the categories
+const findRoutingConflicts = (categories, excludeId) => {
+  if (!categories || categories.length === 0) return [];
+  const filter = { isActive: true, categories: { $in: categories } };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return Team.find(filter).select('name categories');
+};
+
+module.exports = {
+  findTeamForCategory,
+  routeTicket,
+  findRoutingConflicts
+};
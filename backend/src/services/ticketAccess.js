@@ -0,0 +1,63 @@
+const { hasPermission } = require('../config/permissions');
+
+// Shared visibility rules for tickets
+
+const idOf = (value) => {
+  if (!value) return null;
+  return value._id ? value._id.toString() : value.toString();
+};
+
+const teamIdsOf = (user) => (user.teams || []).map(idOf);
+
+// Is the ticket in the queue of one of the user's teams (with ticket:view-team)?
+const isTeamTicket = (user, ticket) => {
+  const teamId = idOf(ticket.team);
+  return Boolean(teamId) && hasPermission(user, 'ticket:view-team') && teamIdsOf(user).includes(teamId);
+};
+
+// Work out what a user may do with a ticket
+const getTicketAccess = (user, ticket) => {
+  const userId = user._id.toString();
+  const isOwner = idOf(ticket.createdBy) === userId;
+  const isAssigned = idOf(ticket.assignedTo) === userId;
+  const canView = isOwner || isAssigned || hasPermission(user, 'ticket:view-all') || isTeamTicket(user, ticket);
+  const canManage = canView && hasPermission(user, 'ticket:update');
+
+  return {
+    isOwner,
+    isAssigned,
+    canManage,
+    canView,
+    // Requesters and assignees may edit their own tickets in a limited way
+    canModify: canManage || isOwner || isAssigned,
+    canComment: canView && hasPermission(user, 'ticket:comment')
+  };
+};
+
+// Staff with ticket:view-all see every ticket, agents see their teams'
+// queues, and everyone sees tickets they created or are assigned to
+const canViewTicket = (user, ticket) => getTicketAccess(user, ticket).canView;
+
+// Mongo filter restricting a ticket query to what the user can see
+const buildVisibilityFilter = (user) => {
+  if (hasPermission(user, 'ticket:view-all')) return {};
+
+  const visible = [
+    { createdBy: user._id },
+    { assignedTo: user._id }
+  ];
+  if (hasPermission(user, 'ticket:view-team') && user.teams && user.teams.length > 0) {
+    visible.push({ team: { $in: user.teams } });
+  }
+
+  return { $or: visible };
+};
+
+const canViewInternalComments = (user) => hasPermission(user, 'ticket:view-internal');
+
+module.exports = {
+  getTicketAccess,
+  canViewTicket,
+  buildVisibilityFilter,
+  canViewInternalComments
+};
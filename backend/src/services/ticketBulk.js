@@ -0,0 +1,191 @@
+const User = require('../models/User');
+const ticketService = require('./ticketService');
+const auditService = require('./auditService');
+const ticketWorkflow = require('./ticketWorkflow');
+const { getTicketAccess } = require('./ticketAccess');
+const { TICKET_EVENTS, ticketEvents, emitChanges } = require('./ticketEvents');
+const { hasPermission, rolesWithPermission } = require('../config/permissions');
+
+// Most tickets one bulk request may touch
+const MAX_BULK_TICKETS = parseInt(process.env.BULK_ACTION_LIMIT) || 500;
+
+// Raised when a bulk request cannot be run at all (as opposed to failing
+// for individual tickets, which is reported per ticket)
+class BulkActionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BulkActionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const ACTION_KEYS = ['status', 'resolution', 'assignedTo', 'priority', 'addTags', 'removeTags', 'comment'];
+
+const toTags = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(tag => String(tag).trim().toLowerCase())
+  .filter(Boolean);
+
+// Normalise the requested actions and run the checks that do not depend on
+// the individual ticket. Throws BulkActionError for unusable requests.
+const prepareActions = async (input, user) => {
+  const actions = {};
+  ACTION_KEYS.forEach(key => {
+    if (input[key] !== undefined) actions[key] = input[key];
+  });
+
+  if (actions.resolution !== undefined && actions.status === undefined) {
+    throw new BulkActionError('resolution can only be given together with status');
+  }
+
+  if (actions.addTags !== undefined) actions.addTags = toTags(actions.addTags);
+  if (actions.removeTags !== undefined) actions.removeTags = toTags(actions.removeTags);
+
+  if (actions.comment !== undefined) {
+    const message = actions.comment && typeof actions.comment.message === 'string' ? actions.comment.message.trim() : '';
+    if (!message) throw new BulkActionError('comment.message is required');
+    actions.comment = {
+      message,
+      // Internal comments silently become public without ticket:internal-comment, as on single tickets
+      isInternal: Boolean(actions.comment.isInternal) && hasPermission(user, 'ticket:internal-comment')
+    };
+  }
+
+  if (Object.keys(actions).length === 0) {
+    throw new BulkActionError(`At least one action is required: ${ACTION_KEYS.filter(key => key !== 'resolution').join(', ')}`);
+  }
+
+  // Same rules as PUT /:id/assign
+  if (actions.assignedTo !== undefined) {
+    if (!hasPermission(user, 'ticket:assign')) {
+      throw new BulkActionError('Assigning tickets requires the ticket:assign permission', 403);
+    }
+    if (actions.assignedTo) {
+      const assignee = await User.findById(actions.assignedTo);
+      if (!assignee) throw new BulkActionError('Assignee not found');
+      if (!assignee.isActive || assignee.isServiceAccount || !rolesWithPermission('ticket:update').includes(assignee.role)) {
+        throw new BulkActionError('Tickets can only be assigned to active support staff');
+      }
+    }
+    actions.assignedTo = actions.assignedTo || null;
+  }
+
+  return actions;
+};
+
+// Apply every action (as returned by prepareActions) to one ticket, or none
+// of them: the ticket is only saved when all actions are allowed. Returns
+// the ticket's report entry; failures carry the matching HTTP status.
+// Also used by macros, which pass their own history action and note.
+const applyToTicket = async (ticket, actions, user, { auditAction = 'bulk-updated', note = 'Bulk action' } = {}) => {
+  const access = getTicketAccess(user, ticket);
+  const entry = { ticketId: ticket._id, ticketNumber: ticket.ticketNumber };
+  const fail = (message, statusCode = 403) => ({ ...entry, result: 'failed', error: message, statusCode });
+
+  // Tickets the user cannot see are reported exactly like missing ones, so
+  // the report does not reveal which ids exist or what they are numbered
+  if (!access.canView) return { ticketId: ticket._id, result: 'failed', error: 'Ticket not found', statusCode: 404 };
+
+  const before = auditService.snapshot(ticket);
+
+  if (actions.assignedTo !== undefined) {
+    ticket.assignedTo = actions.assignedTo;
+    if (actions.assignedTo && ticket.status === 'Open') ticket.status = 'In Progress';
+  }
+
+  if (actions.priority !== undefined && actions.priority !== ticket.priority) {
+    if (!access.canModify) return fail('You are not allowed to change the priority of this ticket');
+    ticket.priority = actions.priority;
+  }
+
+  if (actions.addTags || actions.removeTags) {
+    if (!access.canManage) return fail('You are not allowed to change the tags of this ticket');
+    const removed = new Set(actions.removeTags || []);
+    const tags = [...ticket.tags, ...(actions.addTags || [])].filter(tag => !removed.has(tag));
+    ticket.tags = [...new Set(tags)];
+  }
+
+  // Assignment may already have moved the ticket to the requested status
+  if (actions.status !== undefined && actions.status !== ticket.status) {
+    if (!access.canModify) return fail('Access denied');
+    try {
+      ticketWorkflow.transitionTo(ticket, actions.status, {
+        canManage: access.canManage,
+        isOwner: access.isOwner,
+        isAssigned: access.isAssigned,
+        resolution: actions.resolution
+      });
+    } catch (error) {
+      if (error instanceof ticketWorkflow.WorkflowError) return fail(error.message, error.statusCode);
+      throw error;
+    }
+  }
+
+  let comment = null;
+  if (actions.comment) {
+    if (!access.canComment) return fail('You are not allowed to comment on this ticket');
+    comment = ticketService.pushComment(ticket, { userId: user._id, ...actions.comment });
+  }
+
+  const changes = auditService.diffSnapshots(before, auditService.snapshot(ticket));
+  if (changes.length === 0 && !comment) {
+    return { ...entry, result: 'unchanged', changes: [] };
+  }
+
+  await ticket.save();
+
+  // One history entry covers everything done to this ticket.
+  // It is only internal when an internal comment is all it records.
+  const commentChange = comment && { field: 'comments', oldValue: null, newValue: comment._id.toString() };
+  await auditService.recordEvent(ticket, user._id, auditAction, commentChange ? [...changes, commentChange] : changes, {
+    isInternal: Boolean(comment && comment.isInternal && changes.length === 0),
+    note
+  });
+
+  emitChanges(ticket, changes, user._id);
+  if (comment) ticketEvents.emit(TICKET_EVENTS.COMMENTED, { ticket, actorId: user._id, comment });
+
+  return {
+    ...entry,
+    result: 'updated',
+    changes: [...changes.map(change => change.field), ...(comment ? ['comments'] : [])]
+  };
+};
+
+// Run the actions over each ticket in turn. A failure on one ticket never
+// stops the others; `missingIds` are reported as not found.
+const applyBulkActions = async (tickets, actions, user, { missingIds = [] } = {}) => {
+  const results = [];
+
+  for (const ticket of tickets) {
+    try {
+      results.push(await applyToTicket(ticket, actions, user));
+    } catch (error) {
+      console.error(`Bulk action error on ticket ${ticket._id}:`, error);
+      results.push({
+        ticketId: ticket._id,
+        ticketNumber: ticket.ticketNumber,
+        result: 'failed',
+        error: error.name === 'ValidationError' ? error.message : 'Failed to update ticket',
+        statusCode: error.name === 'ValidationError' ? 400 : 500
+      });
+    }
+  }
+
+  missingIds.forEach(id => results.push({ ticketId: id, result: 'failed', error: 'Ticket not found', statusCode: 404 }));
+
+  const summary = results.reduce((counts, entry) => {
+    counts[entry.result] += 1;
+    return counts;
+  }, { total: results.length, updated: 0, unchanged: 0, failed: 0 });
+
+  return { summary, results };
+};
+
+module.exports = {
+  MAX_BULK_TICKETS,
+  BulkActionError,
+  ACTION_KEYS,
+  prepareActions,
+  applyToTicket,
+  applyBulkActions
+};
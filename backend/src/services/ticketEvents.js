@@ -0,0 +1,47 @@
+const { EventEmitter } = require('events');
+
+// Ticket lifecycle events published by controllers and consumed by subscribers
+// such as notifications. Payloads always carry { ticket, actorId }.
+const TICKET_EVENTS = {
+  CREATED: 'ticket.created',
+  UPDATED: 'ticket.updated',
+  ASSIGNED: 'ticket.assigned',
+  COMMENTED: 'ticket.commented',
+  STATUS_CHANGED: 'ticket.statusChanged'
+};
+
+const ticketEvents = new EventEmitter();
+ticketEvents.setMaxListeners(50);
+
+// Publish the events implied by a list of history changes
+const emitChanges = (ticket, changes, actorId) => {
+  if (!changes || changes.length === 0) return;
+
+  ticketEvents.emit(TICKET_EVENTS.UPDATED, { ticket, actorId, changes });
+
+  const statusChange = changes.find(change => change.field === 'status');
+  if (statusChange) {
+    ticketEvents.emit(TICKET_EVENTS.STATUS_CHANGED, {
+      ticket,
+      actorId,
+      from: statusChange.oldValue,
+      to: statusChange.newValue
+    });
+  }
+
+  const assignment = changes.find(change => change.field === 'assignedTo');
+  if (assignment && assignment.newValue) {
+    ticketEvents.emit(TICKET_EVENTS.ASSIGNED, {
+      ticket,
+      actorId,
+      from: assignment.oldValue,
+      to: assignment.newValue
+    });
+  }
+};
+
+module.exports = {
+  TICKET_EVENTS,
+  ticketEvents,
+  emitChanges
+};
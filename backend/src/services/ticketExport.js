@@ -0,0 +1,262 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const Ticket = require('../models/Ticket');
+const ticketSearch = require('./ticketSearch');
+
+const BATCH_SIZE = 200;
+
+// Raised for unusable export parameters
+class ExportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ExportError';
+    this.statusCode = statusCode;
+  }
+}
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+const personName = (person) => (person ? person.fullName || person.username : null);
+
+// Exportable ticket columns. `value` receives the ticket (with createdBy,
+// assignedTo and team populated) and the export context.
+const COLUMNS = {
+  ticketNumber: { header: 'Ticket Number', value: ticket => ticket.ticketNumber },
+  title: { header: 'Title', value: ticket => ticket.title },
+  description: { header: 'Description', value: ticket => ticket.description },
+  category: { header: 'Category', value: ticket => ticket.category },
+  priority: { header: 'Priority', value: ticket => ticket.priority },
+  status: { header: 'Status', value: ticket => ticket.status },
+  impact: { header: 'Impact', value: ticket => ticket.impact },
+  urgency: { header: 'Urgency', value: ticket => ticket.urgency },
+  tags: { header: 'Tags', value: ticket => (ticket.tags || []).join('; ') },
+  createdBy: { header: 'Created By', value: ticket => personName(ticket.createdBy) },
+  createdByEmail: { header: 'Created By Email', value: ticket => ticket.createdBy && ticket.createdBy.email },
+  department: { header: 'Department', value: ticket => ticket.createdBy && ticket.createdBy.department },
+  assignedTo: { header: 'Assigned To', value: ticket => personName(ticket.assignedTo) },
+  assignedToEmail: { header: 'Assigned To Email', value: ticket => ticket.assignedTo && ticket.assignedTo.email },
+  team: { header: 'Team', value: ticket => ticket.team && ticket.team.name },
+  resolution: { header: 'Resolution', value: ticket => ticket.resolution },
+  createdAt: { header: 'Created At', value: ticket => ticket.createdAt },
+  updatedAt: { header: 'Updated At', value: ticket => ticket.updatedAt },
+  resolvedAt: { header: 'Resolved At', value: ticket => ticket.resolvedAt },
+  closedAt: { header: 'Closed At', value: ticket => ticket.closedAt },
+  ageInDays: { header: 'Age (days)', value: ticket => ticket.ageInDays },
+  resolutionTimeInHours: { header: 'Resolution Time (hours)', value: ticket => ticket.resolutionTimeInHours },
+  reopenCount: { header: 'Reopen Count', value: ticket => ticket.reopenCount },
+  slaBreached: { header: 'SLA Breached', value: ticket => Boolean(ticket.sla && ticket.sla.breached) },
+  firstResponseDueAt: { header: 'First Response Due', value: ticket => ticket.sla && ticket.sla.firstResponseDueAt },
+  resolutionDueAt: { header: 'Resolution Due', value: ticket => ticket.sla && ticket.sla.resolutionDueAt },
+  // Only counts comments the exporting user is allowed to read
+  commentCount: {
+    header: 'Comments',
+    value: (ticket, context) => ticket.comments.filter(comment => context.includeInternal || !comment.isInternal).length
+  }
+};
+
+const DEFAULT_COLUMNS = [
+  'ticketNumber',
+  'title',
+  'category',
+  'priority',
+  'status',
+  'createdBy',
+  'assignedTo',
+  'createdAt',
+  'resolvedAt',
+  'ageInDays',
+  'resolutionTimeInHours'
+];
+
+const parseFormat = (format = 'csv') => {
+  if (!FORMATS[format]) {
+    throw new ExportError(`Format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return format;
+};
+
+// Comma-separated column keys, in the order they should appear
+const parseColumns = (value) => {
+  if (!value) return DEFAULT_COLUMNS;
+  const columns = (Array.isArray(value) ? value : String(value).split(','))
+    .map(column => column.trim())
+    .filter(Boolean);
+
+  const unknown = columns.filter(column => !COLUMNS[column]);
+  if (unknown.length > 0) {
+    throw new ExportError(`Unknown columns: ${unknown.join(', ')}. Available: ${Object.keys(COLUMNS).join(', ')}`);
+  }
+  return columns.length > 0 ? columns : DEFAULT_COLUMNS;
+};
+
+// ---------------------------------------------------------------------------
+// Writers
+
+// CSV cells starting with these characters are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// XLSX strings are stored as text cells, so they never run as formulas
+const xlsxCell = (value) => (value === undefined ? null : value);
+
+// Wait until the stream takes more data. A response whose client went away
+// emits 'close' and never 'drain', so either one ends the wait.
+const waitForDrain = async (stream) => {
+  if (stream.destroyed) return;
+
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(stream, 'drain', { signal: controller.signal }),
+      once(stream, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    // Removes the listener of whichever event did not fire
+    controller.abort();
+  }
+};
+
+// Write rows to the stream as they come, waiting whenever it is full
+const createCsvWriter = (stream) => {
+  // BOM so Excel opens UTF-8 correctly
+  stream.write('\uFEFF');
+  return {
+    async writeRow(values) {
+      if (!stream.write(`${values.map(csvCell).join(',')}\r\n`)) {
+        await waitForDrain(stream);
+      }
+    },
+    async end() {
+      stream.end();
+    }
+  };
+};
+
+const createXlsxWriter = (stream, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet(sheetName);
+  return {
+    async writeRow(values) {
+      sheet.addRow(values.map(xlsxCell)).commit();
+      if (stream.writableNeedDrain) await waitForDrain(stream);
+    },
+    async end() {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+// Stream a spreadsheet of `rows` (an async iterable of value arrays) to an
+// HTTP response. Errors after the first byte can only abort the response.
+// When the client disconnects the export stops, and leaving the loop closes
+// `rows` (and the database cursor behind it).
+const sendSpreadsheet = async (res, { format, filename, sheetName, headers, rows }) => {
+  res.setHeader('Content-Type', FORMATS[format].contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${FORMATS[format].extension}"`);
+
+  const writer = format === 'xlsx' ? createXlsxWriter(res, sheetName) : createCsvWriter(res);
+  try {
+    await writer.writeRow(headers);
+    for await (const row of rows) {
+      if (res.destroyed) return;
+      await writer.writeRow(row);
+    }
+    if (res.destroyed) return;
+    await writer.end();
+  } catch (error) {
+    res.destroy(error);
+    throw error;
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Ticket sources
+
+const populateTickets = (query) => query
+  .populate('createdBy', 'username fullName email department')
+  .populate('assignedTo', 'username fullName email department')
+  .populate('team', 'name');
+
+// Every ticket matching the filter, in sort order, one batch in memory at a time
+async function* findTickets(filter, { sortBy = 'createdAt', sortOrder = 'desc' }) {
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  const cursor = populateTickets(Ticket.find(filter))
+    .sort({ [sortBy]: direction, _id: direction })
+    .batchSize(BATCH_SIZE)
+    .cursor();
+
+  for await (const ticket of cursor) {
+    yield ticket;
+  }
+}
+
+// Every ticket matching a text search, in ranking order
+async function* searchTickets(filter, text, options) {
+  const results = ticketSearch.streamSearchResults(filter, text, options);
+
+  let batch = [];
+  const flush = async function* () {
+    const ids = batch.map(result => result._id.toString());
+    const tickets = await populateTickets(Ticket.find({ _id: { $in: ids } }));
+    tickets.sort((a, b) => ids.indexOf(a._id.toString()) - ids.indexOf(b._id.toString()));
+    batch = [];
+    yield* tickets;
+  };
+
+  for await (const result of results) {
+    batch.push(result);
+    if (batch.length >= BATCH_SIZE) yield* flush();
+  }
+  if (batch.length > 0) yield* flush();
+}
+
+// Stream tickets as a CSV or XLSX download
+const exportTickets = (res, { filter, text, scopes, sortBy, sortOrder, columns, format, includeInternal }) => {
+  const tickets = text
+    ? searchTickets(filter, text, { scopes, sortBy, sortOrder })
+    : findTickets(filter, { sortBy, sortOrder });
+
+  const context = { includeInternal };
+  async function* rows() {
+    for await (const ticket of tickets) {
+      yield columns.map(column => COLUMNS[column].value(ticket, context));
+    }
+  }
+
+  return sendSpreadsheet(res, {
+    format,
+    filename: `tickets-${new Date().toISOString().slice(0, 10)}`,
+    sheetName: 'Tickets',
+    headers: columns.map(column => COLUMNS[column].header),
+    rows: rows()
+  });
+};
+
+module.exports = {
+  ExportError,
+  FORMATS,
+  COLUMNS,
+  DEFAULT_COLUMNS,
+  parseFormat,
+  parseColumns,
+  sendSpreadsheet,
+  exportTickets
+};
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const {
+  TICKET_CATEGORIES,
+  TICKET_PRIORITIES,
+  TICKET_STATUSES
+} = require('../config/ticketOptions');
+
+// Raised when a filter value cannot be turned into a query
+class FilterError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'FilterError';
+    this.statusCode = statusCode;
+  }
+}
+
+const LEVELS = ['Low', 'Medium', 'High'];
+
+// Filters accepted by GET /api/tickets and stored in saved views.
+// List values may be arrays or comma-separated strings.
+//   status, priority, category, impact, urgency   one or more values
+//   assignedTo     user ids, "me" or "unassigned"
+//   createdBy      user ids or "me"
+//   team           team ids or "mine"
+//   tags           tag names; tagMode "any" (default) or "all"
+//   department     department name or "mine" (matches the requester's department)
+//   createdFrom, createdTo, resolvedFrom, resolvedTo   ISO dates, inclusive
+//   slaBreached    true or false
+const FILTER_KEYS = [
+  'status',
+  'priority',
+  'category',
+  'impact',
+  'urgency',
+  'assignedTo',
+  'createdBy',
+  'team',
+  'tags',
+  'tagMode',
+  'department',
+  'createdFrom',
+  'createdTo',
+  'resolvedFrom',
+  'resolvedTo',
+  'slaBreached'
+];
+
+const OPTION_FILTERS = {
+  status: TICKET_STATUSES,
+  priority: TICKET_PRIORITIES,
+  category: TICKET_CATEGORIES,
+  impact: LEVELS,
+  urgency: LEVELS
+};
+
+const DATE_RANGES = {
+  createdAt: ['createdFrom', 'createdTo'],
+  resolvedAt: ['resolvedFrom', 'resolvedTo']
+};
+
+const toList = (value) => {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+};
+
+const isSet = (value) => value !== undefined && value !== null && value !== '' &&
+  !(Array.isArray(value) && value.length === 0);
+
+// Keep only the recognised filter keys from a request query or view body
+const pickFilters = (source = {}) => {
+  const filters = {};
+  FILTER_KEYS.forEach(key => {
+    if (isSet(source[key])) filters[key] = source[key];
+  });
+  return filters;
+};
+
+const toObjectId = (key, value) => {
+  if (!mongoose.isValidObjectId(value)) {
+    throw new FilterError(`Invalid ${key}: ${value}`);
+  }
+  return new mongoose.Types.ObjectId(String(value));
+};
+
+const toDate = (key, value, endOfDay) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new FilterError(`Invalid ${key}: ${value}`);
+  }
+  // A bare date as upper bound covers that whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Translate filter values into Mongo conditions. "me", "mine" and
+// "unassigned" are resolved against the requesting user, so a shared view
+// shows each user their own tickets.
+const buildTicketFilter = async (filters, user) => {
+  const clauses = [];
+
+  Object.entries(OPTION_FILTERS).forEach(([key, options]) => {
+    if (!isSet(filters[key])) return;
+    const values = toList(filters[key]);
+    const unknown = values.filter(value => !options.includes(value));
+    if (unknown.length > 0) {
+      throw new FilterError(`Invalid ${key}: ${unknown.join(', ')}`);
+    }
+    clauses.push({ [key]: { $in: values } });
+  });
+
+  if (isSet(filters.assignedTo)) {
+    const values = toList(filters.assignedTo).map(value => {
+      if (value === 'unassigned') return null;
+      if (value === 'me') return user._id;
+      return toObjectId('assignedTo', value);
+    });
+    clauses.push({ assignedTo: { $in: values } });
+  }
+
+  if (isSet(filters.createdBy)) {
+    const values = toList(filters.createdBy).map(value => (value === 'me' ? user._id : toObjectId('createdBy', value)));
+    clauses.push({ createdBy: { $in: values } });
+  }
+
+  if (isSet(filters.team)) {
+    const values = toList(filters.team).flatMap(value => (value === 'mine' ? (user.teams || []) : [toObjectId('team', value)]));
+    clauses.push({ team: { $in: values } });
+  }
+
+  if (isSet(filters.tags)) {
+    // Tags are stored lowercase
+    const tags = toList(filters.tags).map(tag => tag.toLowerCase());
+    clauses.push({ tags: filters.tagMode === 'all' ? { $all: tags } : { $in: tags } });
+  }
+
+  if (isSet(filters.department)) {
+    const department = filters.department === 'mine' ? user.department : filters.department;
+    // Users without a department have nothing to match
+    const requesters = department ? await User.find({ department }).distinct('_id') : [];
+    clauses.push({ createdBy: { $in: requesters } });
+  }
+
+  Object.entries(DATE_RANGES).forEach(([field, [fromKey, toKey]]) => {
+    const range = {};
+    if (isSet(filters[fromKey])) range.$gte = toDate(fromKey, filters[fromKey], false);
+    if (isSet(filters[toKey])) range.$lte = toDate(toKey, filters[toKey], true);
+    if (Object.keys(range).length > 0) clauses.push({ [field]: range });
+  });
+
+  if (isSet(filters.slaBreached)) {
+    clauses.push({ 'sla.breached': String(filters.slaBreached) === 'true' });
+  }
+
+  return clauses.length > 0 ? { $and: clauses } : {};
+};
+
+module.exports = {
+  FilterError,
+  FILTER_KEYS,
+  pickFilters,
+  buildTicketFilter
+};
@@ -0,0 +1,460 @@
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const auditService = require('./auditService');
+
+// Raised when an import file cannot be read at all (row problems go in the report)
+class ImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+const FINISHED_STATUSES = ['Resolved', 'Closed'];
+
+// ---------------------------------------------------------------------------
+// Parsing
+
+// RFC 4180 CSV: quoted fields, doubled quotes, embedded newlines
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new ImportError('CSV ends inside a quoted field');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// CSV with a header row, as one object per data row
+const parseCsv = (text) => {
+  const [headers, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!headers) return [];
+  return rows.map(cells => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header.trim()] = cells[index] !== undefined ? cells[index] : '';
+    });
+    return record;
+  });
+};
+
+// A JSON array of tickets, or { tickets: [...] }
+const parseJson = (text) => {
+  let data;
+  try {
+    data = typeof text === 'string' ? JSON.parse(text) : text;
+  } catch (error) {
+    throw new ImportError(`Invalid JSON: ${error.message}`);
+  }
+  const records = Array.isArray(data) ? data : data && data.tickets;
+  if (!Array.isArray(records)) {
+    throw new ImportError('JSON must be an array of tickets or an object with a "tickets" array');
+  }
+  return records;
+};
+
+const parseRecords = (content, format) => {
+  if (format === 'csv') return parseCsv(String(content));
+  if (format === 'json') return parseJson(content);
+  throw new ImportError('Format must be csv or json');
+};
+
+// ---------------------------------------------------------------------------
+// Column mapping
+
+// Source column names (lowercased, spaces/underscores removed) for each field
+const COLUMN_ALIASES = {
+  externalId: ['externalid', 'legacyid', 'id', 'sourceid'],
+  ticketNumber: ['ticketnumber', 'number', 'ticketno'],
+  title: ['title', 'subject', 'summary'],
+  description: ['description', 'body', 'details'],
+  category: ['category'],
+  priority: ['priority'],
+  status: ['status', 'state'],
+  impact: ['impact'],
+  urgency: ['urgency'],
+  tags: ['tags', 'labels'],
+  team: ['team', 'queue', 'group'],
+  createdBy: ['createdby', 'requester', 'reporter', 'requesteremail'],
+  assignedTo: ['assignedto', 'assignee', 'agent', 'assigneeemail'],
+  resolution: ['resolution', 'solution'],
+  createdAt: ['createdat', 'created', 'opened', 'openedat'],
+  updatedAt: ['updatedat', 'updated', 'modified'],
+  resolvedAt: ['resolvedat', 'resolved'],
+  closedAt: ['closedat', 'closed'],
+  comments: ['comments', 'notes']
+};
+
+const columnKey = (name) => String(name).toLowerCase().replace(/[\s_-]/g, '');
+
+const mapRecord = (record) => {
+  const byKey = {};
+  Object.entries(record).forEach(([name, value]) => {
+    byKey[columnKey(name)] = value;
+  });
+
+  const mapped = {};
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const alias = aliases.find(key => byKey[key] !== undefined && byKey[key] !== null && byKey[key] !== '');
+    if (alias) mapped[field] = byKey[alias];
+  });
+  return mapped;
+};
+
+const text = (value) => (value === undefined || value === null ? undefined : String(value).trim());
+
+// Match enum values regardless of case ("in progress" -> "In Progress")
+const matchOption = (value, options) => {
+  if (value === undefined) return undefined;
+  const normalized = String(value).trim().toLowerCase();
+  return options.find(option => option.toLowerCase() === normalized) || String(value).trim();
+};
+
+const parseDate = (value, field, errors) => {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`${field}: "${value}" is not a valid date`);
+    return undefined;
+  }
+  return date;
+};
+
+const parseTags = (value) => {
+  if (value === undefined) return [];
+  const tags = Array.isArray(value) ? value : String(value).split(/[;,]/);
+  return tags.map(tag => String(tag).trim()).filter(Boolean);
+};
+
+// Comments are an array of { author, message, createdAt, isInternal }; in CSV
+// the column holds that array as JSON
+const parseComments = (value, errors) => {
+  if (value === undefined) return [];
+  let comments = value;
+  if (typeof value === 'string') {
+    try {
+      comments = JSON.parse(value);
+    } catch (error) {
+      errors.push('comments: must be a JSON array');
+      return [];
+    }
+  }
+  if (!Array.isArray(comments)) {
+    errors.push('comments: must be an array');
+    return [];
+  }
+  return comments;
+};
+
+// ---------------------------------------------------------------------------
+// Lookups, cached for the duration of one import
+
+const createResolver = () => {
+  const users = new Map();
+  const teams = new Map();
+
+  return {
+    // Users are matched by email or username
+    async user(identifier) {
+      const key = String(identifier).trim().toLowerCase();
+      if (!users.has(key)) {
+        const user = await User.findOne({
+          $or: [{ email: key }, { username: String(identifier).trim() }]
+        }).select('_id');
+        users.set(key, user ? user._id : null);
+      }
+      return users.get(key);
+    },
+    async team(name) {
+      const key = String(name).trim().toLowerCase();
+      if (!teams.has(key)) {
+        const team = await Team.findOne({ name: String(name).trim() }).select('_id');
+        teams.set(key, team ? team._id : null);
+      }
+      return teams.get(key);
+    }
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Import
+
+// Build (but do not save) the ticket for one record, collecting every problem
+const buildTicket = async (fields, resolve, errors) => {
+  const statusOptions = Ticket.schema.path('status').enumValues;
+  const priorityOptions = Ticket.schema.path('priority').enumValues;
+  const categoryOptions = Ticket.schema.path('category').enumValues;
+  const levelOptions = Ticket.schema.path('impact').enumValues;
+
+  const createdAt = parseDate(fields.createdAt, 'createdAt', errors) || new Date();
+  const updatedAt = parseDate(fields.updatedAt, 'updatedAt', errors);
+  let resolvedAt = parseDate(fields.resolvedAt, 'resolvedAt', errors);
+  let closedAt = parseDate(fields.closedAt, 'closedAt', errors);
+  const status = matchOption(fields.status, statusOptions) || 'Open';
+
+  // Finished tickets keep a historical finish date rather than "now"
+  if (FINISHED_STATUSES.includes(status)) {
+    resolvedAt = resolvedAt || closedAt || updatedAt || createdAt;
+    if (status === 'Closed') closedAt = closedAt || updatedAt || resolvedAt;
+  }
+
+  let createdBy = null;
+  if (fields.createdBy === undefined) {
+    errors.push('createdBy: requester is required');
+  } else {
+    createdBy = await resolve.user(fields.createdBy);
+    if (!createdBy) errors.push(`createdBy: no user with email or username "${fields.createdBy}"`);
+  }
+
+  let assignedTo = null;
+  if (fields.assignedTo !== undefined) {
+    assignedTo = await resolve.user(fields.assignedTo);
+    if (!assignedTo) errors.push(`assignedTo: no user with email or username "${fields.assignedTo}"`);
+  }
+
+  let team = null;
+  if (fields.team !== undefined) {
+    team = await resolve.team(fields.team);
+    if (!team) errors.push(`team: no team named "${fields.team}"`);
+  }
+
+  const comments = [];
+  for (const [index, comment] of parseComments(fields.comments, errors).entries()) {
+    const author = comment.author || comment.user || comment.email || comment.username;
+    const userId = author ? await resolve.user(author) : null;
+    if (!userId) {
+      errors.push(`comments[${index}]: no user with email or username "${author || ''}"`);
+      continue;
+    }
+    comments.push({
+      user: userId,
+      message: text(comment.message || comment.body),
+      isInternal: comment.isInternal === true || comment.isInternal === 'true',
+      createdAt: parseDate(comment.createdAt, `comments[${index}].createdAt`, errors) || createdAt
+    });
+  }
+
+  const lastActivity = [createdAt, resolvedAt, closedAt, ...comments.map(comment => comment.createdAt)]
+    .filter(Boolean)
+    .reduce((latest, date) => (date > latest ? date : latest));
+
+  const ticket = new Ticket({
+    ticketNumber: text(fields.ticketNumber),
+    externalId: text(fields.externalId),
+    title: text(fields.title),
+    description: text(fields.description),
+    category: matchOption(fields.category, categoryOptions),
+    priority: matchOption(fields.priority, priorityOptions) || 'Medium',
+    status,
+    impact: matchOption(fields.impact, levelOptions) || 'Low',
+    urgency: matchOption(fields.urgency, levelOptions) || 'Low',
+    tags: parseTags(fields.tags),
+    resolution: text(fields.resolution),
+    createdBy,
+    assignedTo,
+    team,
+    comments,
+    resolvedAt,
+    closedAt,
+    source: 'import',
+    createdAt,
+    updatedAt: updatedAt || lastActivity
+  });
+
+  // ticketNumber is assigned on import when the source has none
+  const validationError = ticket.validateSync({ pathsToSkip: ticket.ticketNumber ? [] : ['ticketNumber'] });
+  if (validationError) {
+    Object.values(validationError.errors)
+      // Missing references are already reported with the source value
+      .filter(error => !['createdBy', 'assignedTo', 'team'].includes(error.path))
+      .forEach(error => errors.push(`${error.path}: ${error.message}`));
+  }
+
+  return ticket;
+};
+
+// Numbers for records without one, dated by when the ticket was originally
+// created. Numbers already in the database or given elsewhere in the file
+// are skipped, so the sequence of the current day is never touched.
+const createNumberer = (reservedNumbers) => {
+  const sequences = new Map();
+
+  return async (date) => {
+    const prefix = Ticket.numberPrefix(date);
+    let sequence = sequences.has(prefix) ? sequences.get(prefix) : await Ticket.lastSequence(prefix);
+    let ticketNumber;
+    do {
+      sequence += 1;
+      ticketNumber = `${prefix}${String(sequence).padStart(4, '0')}`;
+    } while (reservedNumbers.has(ticketNumber));
+
+    sequences.set(prefix, sequence);
+    return ticketNumber;
+  };
+};
+
+// Existing ticket for a record: by external id, else by ticket number
+const findExisting = (ticket) => {
+  if (ticket.externalId) return Ticket.findOne({ externalId: ticket.externalId }).select('_id ticketNumber');
+  if (ticket.ticketNumber) return Ticket.findOne({ ticketNumber: ticket.ticketNumber }).select('_id ticketNumber');
+  return null;
+};
+
+// Copy an import over an existing ticket, keeping its identity
+const IMPORTED_FIELDS = [
+  'title', 'description', 'category', 'priority', 'status', 'impact', 'urgency', 'tags',
+  'resolution', 'createdBy', 'assignedTo', 'team', 'comments', 'resolvedAt', 'closedAt',
+  'createdAt', 'updatedAt'
+];
+
+// Import ticket records.
+//   dryRun      validate and report without writing anything
+//   onExisting  "skip" (default) leaves previously imported tickets alone,
+//               "update" overwrites them with the record
+//   actorId     recorded as the actor in each ticket's history
+// Records are matched to earlier imports by externalId, then ticketNumber,
+// so re-running the same file is safe. Records without a ticket number are
+// numbered by their original creation date. Imports send no notifications.
+const importTickets = async (records, { dryRun = false, onExisting = 'skip', actorId = null, sourceName = 'import' } = {}) => {
+  if (!['skip', 'update'].includes(onExisting)) {
+    throw new ImportError('onExisting must be skip or update');
+  }
+
+  const resolve = createResolver();
+  const seenKeys = new Map();
+  const report = [];
+
+  const reservedNumbers = new Set(records
+    .map(record => (record && typeof record === 'object' ? text(mapRecord(record).ticketNumber) : undefined))
+    .filter(Boolean));
+  const nextTicketNumber = createNumberer(reservedNumbers);
+
+  for (const [index, record] of records.entries()) {
+    const row = index + 1;
+    const errors = [];
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      report.push({ row, status: 'error', errors: ['Record must be an object'] });
+      continue;
+    }
+
+    const fields = mapRecord(record);
+    const ticket = await buildTicket(fields, resolve, errors);
+
+    // The same key twice in one file would import the second row over the
+    // first, or fail on the unique ticket number
+    const keys = [
+      ticket.externalId && `externalId:${ticket.externalId}`,
+      ticket.ticketNumber && `ticketNumber:${ticket.ticketNumber}`
+    ].filter(Boolean);
+    const duplicateKey = keys.find(key => seenKeys.has(key));
+    if (duplicateKey) {
+      errors.push(`Duplicate of row ${seenKeys.get(duplicateKey)}`);
+    } else {
+      keys.forEach(key => seenKeys.set(key, row));
+    }
+
+    const entry = {
+      row,
+      externalId: ticket.externalId,
+      ticketNumber: ticket.ticketNumber
+    };
+
+    if (errors.length > 0) {
+      report.push({ ...entry, status: 'error', errors });
+      continue;
+    }
+
+    try {
+      const existing = await findExisting(ticket);
+
+      if (existing && onExisting !== 'update') {
+        report.push({ ...entry, ticketNumber: existing.ticketNumber, status: 'skipped', ticketId: existing._id });
+        continue;
+      }
+
+      if (!existing) {
+        // A number matched by externalId elsewhere may still belong to another ticket
+        if (ticket.ticketNumber && await Ticket.exists({ ticketNumber: ticket.ticketNumber })) {
+          report.push({ ...entry, status: 'error', errors: [`ticketNumber: ${ticket.ticketNumber} is already used by another ticket`] });
+          continue;
+        }
+        if (!ticket.ticketNumber) {
+          ticket.ticketNumber = await nextTicketNumber(ticket.createdAt);
+          entry.ticketNumber = ticket.ticketNumber;
+        }
+      }
+
+      if (dryRun) {
+        report.push({ ...entry, status: existing ? 'would-update' : 'would-create' });
+        continue;
+      }
+
+      if (existing) {
+        const target = await Ticket.findById(existing._id);
+        const before = auditService.snapshot(target);
+        IMPORTED_FIELDS.forEach(field => target.set(field, ticket.get(field)));
+        await target.save({ timestamps: false });
+        await auditService.recordChanges(target, before, actorId, 'updated', { note: `Re-imported from ${sourceName}` });
+        report.push({ ...entry, ticketNumber: target.ticketNumber, status: 'updated', ticketId: target._id });
+      } else {
+        await ticket.save({ timestamps: false });
+        await auditService.recordCreation(ticket, actorId, { note: `Imported from ${sourceName}` });
+        report.push({ ...entry, ticketNumber: ticket.ticketNumber, status: 'created', ticketId: ticket._id });
+      }
+    } catch (error) {
+      report.push({ ...entry, status: 'error', errors: [error.message] });
+    }
+  }
+
+  const summary = report.reduce((counts, entry) => {
+    counts[entry.status] = (counts[entry.status] || 0) + 1;
+    return counts;
+  }, { total: records.length });
+
+  return { dryRun, summary, rows: report };
+};
+
+module.exports = {
+  ImportError,
+  COLUMN_ALIASES,
+  parseCsv,
+  parseRecords,
+  importTickets
+};
@@ -0,0 +1,323 @@
+const Ticket = require('../models/Ticket');
+const { buildTicketFilter, pickFilters } = require('./ticketFilters');
+
+// Time-series reports for dashboards. Everything is aggregated in MongoDB;
+// $median needs MongoDB 7.0 or later. Buckets are UTC and weeks start on Monday.
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 400;
+const INTERVALS = ['day', 'week', 'month'];
+
+// Raised for unusable report parameters
+class ReportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReportError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Date-range keys of the ticket filters; reports take their own range instead
+const RANGE_FILTER_KEYS = ['createdFrom', 'createdTo', 'resolvedFrom', 'resolvedTo'];
+
+const parseDate = (key, value, endOfDay) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ReportError(`Invalid ${key}: ${value}`);
+  }
+  // A bare date as upper bound covers that whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Start of the UTC bucket containing `date`
+const bucketStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+const nextBucket = (start, interval) => {
+  const next = new Date(start);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+// Every bucket start between from and to, so empty buckets are reported too
+const listBuckets = (from, to, interval) => {
+  const buckets = [];
+  for (let start = bucketStart(from, interval); start <= to; start = nextBucket(start, interval)) {
+    buckets.push(start);
+  }
+  return buckets;
+};
+
+// Read `from`, `to` and `interval` (day, week or month). Defaults to the
+// last 30 days by day.
+const parseReportRange = ({ from, to, interval = 'day' }) => {
+  if (!INTERVALS.includes(interval)) {
+    throw new ReportError(`Interval must be one of: ${INTERVALS.join(', ')}`);
+  }
+
+  const end = to ? parseDate('to', to, true) : new Date();
+  const start = from ? parseDate('from', from, false) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY);
+  if (start > end) {
+    throw new ReportError('from must be before to');
+  }
+
+  const buckets = listBuckets(start, end, interval);
+  if (buckets.length > MAX_BUCKETS) {
+    throw new ReportError(`The range spans ${buckets.length} ${interval}s; use a larger interval or a shorter range (at most ${MAX_BUCKETS} buckets)`);
+  }
+
+  return { from: start, to: end, interval, buckets };
+};
+
+// Ticket filters (team, category, priority, ...) narrowing every report
+const buildScopeFilter = async (params, user) => {
+  const filters = pickFilters(params);
+  RANGE_FILTER_KEYS.forEach(key => delete filters[key]);
+  return buildTicketFilter(filters, user);
+};
+
+// ---------------------------------------------------------------------------
+// Pipeline pieces
+
+const truncate = (field, interval) => ({
+  $dateTrunc: { date: field, unit: interval, startOfWeek: 'monday', timezone: 'UTC' }
+});
+
+const hoursBetween = (start, end) => ({
+  $cond: [{ $and: [start, end] }, { $divide: [{ $subtract: [end, start] }, 60 * 60 * 1000] }, null]
+});
+
+// Per-ticket measurements used by the metric groups below. The first
+// response is the SLA timestamp, or else the earliest public comment by
+// someone other than the requester.
+const measureStage = {
+  $addFields: {
+    firstResponseAt: {
+      $ifNull: ['$sla.firstRespondedAt', {
+        $min: {
+          $map: {
+            input: {
+              $filter: {
+                input: '$comments',
+                as: 'comment',
+                cond: {
+                  $and: [
+                    { $ne: ['$$comment.isInternal', true] },
+                    { $ne: ['$$comment.user', '$createdBy'] }
+                  ]
+                }
+              }
+            },
+            as: 'comment',
+            in: '$$comment.createdAt'
+          }
+        }
+      }]
+    }
+  }
+};
+
+const durationStage = {
+  $addFields: {
+    firstResponseHours: hoursBetween('$createdAt', '$firstResponseAt'),
+    resolutionHours: hoursBetween('$createdAt', '$resolvedAt'),
+    // Resolved at some point, even if reopened since
+    wasResolved: { $or: [{ $ne: [{ $ifNull: ['$resolvedAt', null] }, null] }, { $gt: ['$reopenCount', 0] }] },
+    reopened: { $gt: ['$reopenCount', 0] },
+    hasSla: { $ne: [{ $ifNull: ['$sla.policy', null] }, null] }
+  }
+};
+
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+// Accumulators shared by every breakdown. SLA targets only count once their
+// outcome is known: met (the event happened in time) or breached.
+const metricGroup = {
+  tickets: { $sum: 1 },
+  responded: countIf({ $ne: ['$firstResponseHours', null] }),
+  meanFirstResponseHours: { $avg: '$firstResponseHours' },
+  medianFirstResponseHours: { $median: { input: '$firstResponseHours', method: 'approximate' } },
+  resolved: countIf({ $ne: ['$resolutionHours', null] }),
+  meanResolutionHours: { $avg: '$resolutionHours' },
+  medianResolutionHours: { $median: { input: '$resolutionHours', method: 'approximate' } },
+  everResolved: countIf('$wasResolved'),
+  reopened: countIf('$reopened'),
+  firstResponseSlaTracked: countIf({
+    $and: ['$hasSla', { $or: [{ $ne: ['$firstResponseAt', null] }, '$sla.firstResponseBreached'] }]
+  }),
+  firstResponseSlaMet: countIf({
+    $and: ['$hasSla', { $ne: ['$firstResponseAt', null] }, { $ne: ['$sla.firstResponseBreached', true] }]
+  }),
+  resolutionSlaTracked: countIf({
+    $and: ['$hasSla', { $or: [{ $ne: [{ $ifNull: ['$resolvedAt', null] }, null] }, '$sla.resolutionBreached'] }]
+  }),
+  resolutionSlaMet: countIf({
+    $and: ['$hasSla', { $ne: [{ $ifNull: ['$resolvedAt', null] }, null] }, { $ne: ['$sla.resolutionBreached', true] }]
+  })
+};
+
+const round = (value, digits = 2) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+const ratio = (part, whole) => (whole > 0 ? round(part / whole, 4) : null);
+
+// Turn a metric group into the report shape
+const formatMetrics = (group = {}) => ({
+  tickets: group.tickets || 0,
+  firstResponse: {
+    responded: group.responded || 0,
+    meanHours: round(group.meanFirstResponseHours),
+    medianHours: round(group.medianFirstResponseHours)
+  },
+  resolution: {
+    resolved: group.resolved || 0,
+    meanHours: round(group.meanResolutionHours),
+    medianHours: round(group.medianResolutionHours)
+  },
+  reopenRate: ratio(group.reopened, group.everResolved),
+  slaCompliance: {
+    firstResponse: ratio(group.firstResponseSlaMet, group.firstResponseSlaTracked),
+    resolution: ratio(group.resolutionSlaMet, group.resolutionSlaTracked),
+    firstResponseTracked: group.firstResponseSlaTracked || 0,
+    resolutionTracked: group.resolutionSlaTracked || 0
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Reports
+
+// Created, resolved and backlog per bucket. The backlog at the end of a
+// bucket is every ticket created by then and not yet resolved or closed,
+// based on the tickets' current timestamps.
+const getVolumeReport = async (scope, { from, to, interval, buckets }) => {
+  const finishedAt = { $min: [{ $ifNull: ['$resolvedAt', null] }, { $ifNull: ['$closedAt', null] }] };
+
+  const [result] = await Ticket.aggregate([
+    { $match: scope },
+    { $addFields: { finishedAt } },
+    {
+      $facet: {
+        created: [
+          { $match: { createdAt: { $gte: from, $lte: to } } },
+          { $group: { _id: truncate('$createdAt', interval), count: { $sum: 1 } } }
+        ],
+        resolved: [
+          { $match: { resolvedAt: { $gte: from, $lte: to } } },
+          { $group: { _id: truncate('$resolvedAt', interval), count: { $sum: 1 } } }
+        ],
+        finished: [
+          { $match: { finishedAt: { $gte: from, $lte: to } } },
+          { $group: { _id: truncate('$finishedAt', interval), count: { $sum: 1 } } }
+        ],
+        openingBacklog: [
+          { $match: { createdAt: { $lt: from }, $or: [{ finishedAt: null }, { finishedAt: { $gte: from } }] } },
+          { $count: 'count' }
+        ]
+      }
+    }
+  ]);
+
+  const byBucket = (entries) => new Map(entries.map(entry => [entry._id.getTime(), entry.count]));
+  const created = byBucket(result.created);
+  const resolved = byBucket(result.resolved);
+  const finished = byBucket(result.finished);
+
+  let backlog = result.openingBacklog.length > 0 ? result.openingBacklog[0].count : 0;
+  return buckets.map(bucket => {
+    const key = bucket.getTime();
+    backlog += (created.get(key) || 0) - (finished.get(key) || 0);
+    return {
+      bucket,
+      created: created.get(key) || 0,
+      resolved: resolved.get(key) || 0,
+      backlog
+    };
+  });
+};
+
+// Response, resolution, reopen and SLA metrics for tickets created in the
+// range: overall, per bucket, per category and per assigned agent
+const getPerformanceReport = async (scope, { from, to, interval, buckets }) => {
+  const [result] = await Ticket.aggregate([
+    { $match: { $and: [scope, { createdAt: { $gte: from, $lte: to } }] } },
+    measureStage,
+    durationStage,
+    {
+      $facet: {
+        overall: [{ $group: { _id: null, ...metricGroup } }],
+        trend: [{ $group: { _id: truncate('$createdAt', interval), ...metricGroup } }],
+        byCategory: [
+          { $group: { _id: '$category', ...metricGroup } },
+          { $sort: { tickets: -1, _id: 1 } }
+        ],
+        byAgent: [
+          { $match: { assignedTo: { $ne: null } } },
+          { $group: { _id: '$assignedTo', ...metricGroup } },
+          // Only the display fields ever leave the users collection
+          {
+            $lookup: {
+              from: 'users',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'agent',
+              pipeline: [{ $project: { username: 1, fullName: 1 } }]
+            }
+          },
+          { $set: { agent: { $first: '$agent' } } },
+          { $sort: { tickets: -1, _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const trend = new Map(result.trend.map(group => [group._id.getTime(), group]));
+
+  return {
+    overall: formatMetrics(result.overall[0]),
+    trend: buckets.map(bucket => ({ bucket, ...formatMetrics(trend.get(bucket.getTime())) })),
+    byCategory: result.byCategory.map(group => ({ category: group._id, ...formatMetrics(group) })),
+    byAgent: result.byAgent.map(group => ({
+      agent: group.agent || { _id: group._id },
+      ...formatMetrics(group)
+    }))
+  };
+};
+
+// Full dashboard report for the request parameters
+const getReport = async (params, user) => {
+  const range = parseReportRange(params);
+  const scope = await buildScopeFilter(params, user);
+
+  const [volume, performance] = await Promise.all([
+    getVolumeReport(scope, range),
+    getPerformanceReport(scope, range)
+  ]);
+
+  return {
+    range: { from: range.from, to: range.to, interval: range.interval },
+    volume,
+    ...performance
+  };
+};
+
+module.exports = {
+  ReportError,
+  INTERVALS,
+  parseReportRange,
+  getVolumeReport,
+  getPerformanceReport,
+  getReport
+};
@@ -0,0 +1,324 @@
+const mongoose = require('mongoose');
+const TicketSearchEntry = require('../models/TicketSearchEntry');
+const { TICKET_CATEGORIES, TICKET_PRIORITIES, TICKET_STATUSES } = require('../config/ticketOptions');
+
+// Ticket fields copied into the search entries; saving a change to any of
+// them re-indexes the ticket
+const INDEXED_FIELDS = ['ticketNumber', 'title', 'description', 'resolution', 'tags', 'comments'];
+
+const SNIPPET_RADIUS = 60;
+const MAX_HIGHLIGHTS = 3;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// The Ticket model requires this service, so it is looked up lazily
+const TicketModel = () => mongoose.model('Ticket');
+
+// ---------------------------------------------------------------------------
+// Indexing
+
+// Write the public and internal search entries for a ticket
+const indexTicket = async (ticket) => {
+  const comments = ticket.comments || [];
+  const publicComments = comments.filter(comment => !comment.isInternal).map(comment => comment.message);
+  const internalComments = comments.filter(comment => comment.isInternal).map(comment => comment.message);
+
+  const operations = [{
+    updateOne: {
+      filter: { ticket: ticket._id, scope: 'public' },
+      update: {
+        $set: {
+          ticketNumber: ticket.ticketNumber,
+          title: ticket.title,
+          description: ticket.description,
+          resolution: ticket.resolution || '',
+          tags: ticket.tags || [],
+          comments: publicComments
+        }
+      },
+      upsert: true
+    }
+  }];
+
+  if (internalComments.length > 0) {
+    operations.push({
+      updateOne: {
+        filter: { ticket: ticket._id, scope: 'internal' },
+        update: { $set: { comments: internalComments } },
+        upsert: true
+      }
+    });
+  } else {
+    operations.push({ deleteOne: { filter: { ticket: ticket._id, scope: 'internal' } } });
+  }
+
+  await TicketSearchEntry.bulkWrite(operations, { ordered: false });
+};
+
+const removeTicket = (ticketId) => TicketSearchEntry.deleteMany({ ticket: ticketId });
+
+// Rebuild every entry, e.g. after upgrading or restoring a backup
+const reindexAll = async (onProgress) => {
+  await TicketSearchEntry.syncIndexes();
+
+  let count = 0;
+  const cursor = TicketModel().find().select(INDEXED_FIELDS.join(' ')).cursor();
+  for (let ticket = await cursor.next(); ticket; ticket = await cursor.next()) {
+    await indexTicket(ticket);
+    count++;
+    if (onProgress && count % 500 === 0) onProgress(count);
+  }
+  return count;
+};
+
+// ---------------------------------------------------------------------------
+// Query syntax
+//
+//   printer "paper jam" -toner        free text, phrases and exclusions
+//   status:open status:in-progress    field filters; repeating a field ORs the values
+//   -status:closed                    excluded values
+//
+// Filters: status, priority, category, tag, team, assignee (me, none or a
+// username), requester (me or a username) and sla (breached or ok).
+
+const normalizeOption = (value) => value.toLowerCase().replace(/[-_]/g, ' ');
+
+const optionResolver = (field, options) => async (value) => {
+  const match = options.find(option => normalizeOption(option) === normalizeOption(value));
+  return match ? { field, value: match } : null;
+};
+
+const userResolver = (field, allowNone) => async (value, user) => {
+  const normalized = value.toLowerCase();
+  if (normalized === 'me') return { field, value: user._id };
+  if (allowNone && normalized === 'none') return { field, value: null };
+
+  const User = mongoose.model('User');
+  const found = await User.findOne({ username: value }).select('_id');
+  return found ? { field, value: found._id } : null;
+};
+
+const FILTERS = {
+  status: optionResolver('status', TICKET_STATUSES),
+  priority: optionResolver('priority', TICKET_PRIORITIES),
+  category: optionResolver('category', TICKET_CATEGORIES),
+  tag: async (value) => ({ field: 'tags', value: new RegExp(`^${escapeRegex(value)}$`, 'i') }),
+  team: async (value) => {
+    const Team = mongoose.model('Team');
+    const found = await Team.findOne({ name: new RegExp(`^${escapeRegex(value)}$`, 'i') }).select('_id');
+    return found ? { field: 'team', value: found._id } : null;
+  },
+  assignee: userResolver('assignedTo', true),
+  requester: userResolver('createdBy', false),
+  sla: async (value) => {
+    const normalized = value.toLowerCase();
+    if (normalized === 'breached') return { field: 'sla.breached', value: true };
+    if (normalized === 'ok') return { field: 'sla.breached', value: false };
+    return null;
+  }
+};
+
+const TOKEN_PATTERN = /(-?)(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+
+// Split a query into a Mongo filter, the free text for the text index and
+// the terms to highlight. Unknown filter values are reported, not guessed.
+const parseQuery = async (query, user) => {
+  const included = {};
+  const excluded = {};
+  const textParts = [];
+  const terms = [];
+  const warnings = [];
+
+  for (const match of query.matchAll(TOKEN_PATTERN)) {
+    const [raw, negation, key, phrase, word] = match;
+    const value = phrase !== undefined ? phrase : word;
+    const resolve = key && FILTERS[key.toLowerCase()];
+
+    if (resolve) {
+      const resolved = await resolve(value, user);
+      if (!resolved) {
+        warnings.push(`Unknown value for ${key.toLowerCase()}: ${value}`);
+        // An unknown value cannot match anything unless it was excluded
+        if (!negation) included.$none = true;
+        continue;
+      }
+      const bucket = negation ? excluded : included;
+      bucket[resolved.field] = bucket[resolved.field] || [];
+      bucket[resolved.field].push(resolved.value);
+      continue;
+    }
+
+    textParts.push(raw);
+    if (!negation && phrase !== undefined) {
+      if (phrase.trim()) terms.push(phrase.trim());
+    } else if (!negation) {
+      terms.push(...raw.split(/[^\p{L}\p{N}-]+/u).filter(Boolean));
+    }
+  }
+
+  const clauses = [];
+  if (included.$none) {
+    clauses.push({ _id: null });
+    delete included.$none;
+  }
+  Object.entries(included).forEach(([field, values]) => clauses.push({ [field]: { $in: values } }));
+  Object.entries(excluded).forEach(([field, values]) => clauses.push({ [field]: { $nin: values } }));
+
+  return {
+    filter: clauses.length > 0 ? { $and: clauses } : {},
+    text: textParts.join(' '),
+    terms,
+    warnings
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Searching
+
+// Pipeline stages yielding { _id: ticketId, score, ticket } for visible
+// tickets matching `text`, plus the sort for the requested order
+const matchingTicketStages = (filter, text, { scopes, sortBy, sortOrder }) => {
+  const ticketFilter = TicketModel().find(filter).cast();
+  const sortByRelevance = !sortBy || sortBy === 'relevance';
+  const direction = sortOrder === 'desc' ? -1 : 1;
+
+  const projection = { createdAt: 1 };
+  if (!sortByRelevance) projection[sortBy] = 1;
+
+  const sort = sortByRelevance
+    ? { score: -1, 'ticket.createdAt': -1 }
+    : { [`ticket.${sortBy}`]: direction, score: -1 };
+
+  const stages = [
+    { $match: { $text: { $search: text }, scope: { $in: scopes } } },
+    { $group: { _id: '$ticket', score: { $sum: { $meta: 'textScore' } } } },
+    {
+      $lookup: {
+        from: TicketModel().collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'ticket',
+        pipeline: [{ $match: ticketFilter }, { $project: projection }]
+      }
+    },
+    { $unwind: '$ticket' }
+  ];
+
+  return { stages, sort };
+};
+
+// Rank tickets matching `text` within `filter` (already restricted to what the
+// user may see). `sortBy` must already be whitelisted by the caller. Only entries in `scopes` are searched, so internal comments
+// never match for users who cannot read them.
+const searchTickets = async (filter, text, { scopes = ['public'], sortBy = 'relevance', sortOrder = 'desc', skip = 0, limit = 10 }) => {
+  const { stages, sort } = matchingTicketStages(filter, text, { scopes, sortBy, sortOrder });
+
+  const [result] = await TicketSearchEntry.aggregate([
+    ...stages,
+    {
+      $facet: {
+        results: [{ $sort: sort }, { $skip: skip }, { $limit: limit }, { $project: { score: 1 } }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    results: result.results.map(entry => ({ ticketId: entry._id, score: entry.score })),
+    total: result.total.length > 0 ? result.total[0].count : 0
+  };
+};
+
+// Same ranking as searchTickets, as a cursor over every match ({ _id, score })
+// for consumers that stream all results (e.g. exports)
+const streamSearchResults = (filter, text, { scopes = ['public'], sortBy = 'relevance', sortOrder = 'desc' }) => {
+  const { stages, sort } = matchingTicketStages(filter, text, { scopes, sortBy, sortOrder });
+
+  return TicketSearchEntry.aggregate([
+    ...stages,
+    { $sort: sort },
+    { $project: { score: 1 } }
+  ]).allowDiskUse(true).cursor({ batchSize: 200 });
+};
+
+// ---------------------------------------------------------------------------
+// Highlighting
+
+// Rough stemming so "printers" still highlights "printer"
+const stem = (term) => {
+  const lower = term.toLowerCase();
+  if (lower.includes(' ') || lower.length <= 4) return lower;
+  return lower.replace(/(ing|ed|es|s)$/, '');
+};
+
+const snippetFor = (text, pattern) => {
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  const window = text.slice(start, end);
+
+  let snippet = '';
+  let cursor = 0;
+  pattern.lastIndex = 0;
+  for (let match = pattern.exec(window); match; match = pattern.exec(window)) {
+    snippet += escapeHtml(window.slice(cursor, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = match.index + match[0].length;
+  }
+  snippet += escapeHtml(window.slice(cursor));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+};
+
+// HTML-escaped snippets with <mark> around matched terms, taken only from
+// fields the user is allowed to read
+const buildHighlights = (ticket, terms, { includeInternal = false } = {}) => {
+  if (!terms || terms.length === 0) return [];
+
+  const alternatives = [...new Set(terms.map(stem))].filter(Boolean).map(escapeRegex);
+  if (alternatives.length === 0) return [];
+  const pattern = new RegExp(alternatives.join('|'), 'gi');
+
+  const sources = [
+    { field: 'title', text: ticket.title },
+    { field: 'tags', text: (ticket.tags || []).join(', ') },
+    { field: 'resolution', text: ticket.resolution },
+    { field: 'description', text: ticket.description },
+    ...(ticket.comments || [])
+      .filter(comment => includeInternal || !comment.isInternal)
+      .map(comment => ({ field: 'comments', commentId: comment._id, text: comment.message }))
+  ];
+
+  const highlights = [];
+  for (const source of sources) {
+    if (highlights.length >= MAX_HIGHLIGHTS) break;
+    if (!source.text) continue;
+
+    const snippet = snippetFor(source.text, pattern);
+    if (snippet) {
+      const highlight = { field: source.field, snippet };
+      if (source.commentId) highlight.commentId = source.commentId;
+      highlights.push(highlight);
+    }
+  }
+  return highlights;
+};
+
+module.exports = {
+  INDEXED_FIELDS,
+  indexTicket,
+  removeTicket,
+  reindexAll,
+  parseQuery,
+  searchTickets,
+  streamSearchResults,
+  buildHighlights
+};
@@ -0,0 +1,121 @@
+const Ticket = require('../models/Ticket');
+const slaService = require('./slaService');
+const auditService = require('./auditService');
+const teamService = require('./teamService');
+const assignmentEngine = require('./assignmentEngine');
+const { TICKET_EVENTS, ticketEvents, emitChanges } = require('./ticketEvents');
+
+// Create a ticket, log it and announce it. Shared by the API and the
+// other intake channels so every ticket goes through the same path.
+const createTicket = async ({
+  title,
+  description,
+  category,
+  priority,
+  impact,
+  urgency,
+  tags,
+  attachments = [],
+  createdBy,
+  ...extra
+}) => {
+  const ticket = new Ticket({
+    title,
+    description,
+    category,
+    priority: priority || 'Medium',
+    impact: impact || 'Low',
+    urgency: urgency || 'Low',
+    createdBy,
+    attachments,
+    tags: Array.isArray(tags) ? tags : (tags ? tags.split(',').map(tag => tag.trim()) : []),
+    ...extra
+  });
+
+  // Category routing rules pick the team unless one was given
+  if (!ticket.team) {
+    await teamService.routeTicket(ticket);
+  }
+
+  await ticket.save();
+  await auditService.recordCreation(ticket, createdBy);
+  ticketEvents.emit(TICKET_EVENTS.CREATED, { ticket, actorId: createdBy });
+
+  // Hand the ticket to an agent when its team (or the default) auto-assigns.
+  // A failure here must not fail the ticket itself.
+  if (!ticket.assignedTo) {
+    try {
+      ticket.$locals.assignmentReport = await autoAssignTicket(ticket, { requireEnabled: true });
+    } catch (error) {
+      console.error('Auto-assignment error:', error);
+    }
+  }
+
+  return ticket;
+};
+
+// Assign (or unassign) a loaded ticket, log it and announce it.
+// Permission and assignee checks are the caller's responsibility.
+const assignTicket = async (ticket, assigneeId, actorId, options = {}) => {
+  const before = auditService.snapshot(ticket);
+  ticket.assignedTo = assigneeId || null;
+  if (assigneeId && ticket.status === 'Open') {
+    ticket.status = 'In Progress';
+  }
+
+  await ticket.save();
+  const entry = await auditService.recordChanges(ticket, before, actorId, 'assigned', { note: options.note });
+  if (entry) emitChanges(ticket, entry.changes, actorId);
+
+  return entry;
+};
+
+// Let the assignment engine pick an agent and assign the ticket to them.
+// Returns the engine's report; nothing is changed on a dry run.
+const autoAssignTicket = async (ticket, { actorId = null, dryRun = false, ...options } = {}) => {
+  const report = await assignmentEngine.chooseAssignee(ticket, options);
+
+  if (report.assignee && !dryRun) {
+    await assignTicket(ticket, report.assignee._id, actorId, { note: `Auto-assigned: ${report.reason}` });
+    await assignmentEngine.markAssigned(report.assignee._id);
+  }
+
+  return { ...report, dryRun };
+};
+
+// Push a comment onto a loaded ticket without saving it. Returns the new
+// comment subdocument.
+const pushComment = (ticket, { userId, message, isInternal = false }) => {
+  ticket.comments.push({
+    user: userId,
+    message,
+    isInternal
+  });
+
+  // A public reply from anyone but the requester counts as the first response
+  if (!isInternal && ticket.createdBy.toString() !== userId.toString()) {
+    slaService.recordFirstResponse(ticket);
+  }
+
+  return ticket.comments[ticket.comments.length - 1];
+};
+
+// Append a comment to a loaded ticket, log it and announce it.
+// Permission checks are the caller's responsibility.
+const addComment = async (ticket, { userId, message, isInternal = false }) => {
+  const comment = pushComment(ticket, { userId, message, isInternal });
+  await ticket.save();
+
+  await auditService.recordComment(ticket, comment, userId);
+  ticketEvents.emit(TICKET_EVENTS.COMMENTED, { ticket, actorId: userId, comment });
+
+  return comment;
+};
+
+module.exports = {
+  createTicket,
+  pushComment,
+  addComment,
+  assignTicket,
+  autoAssignTicket
+};
@@ -0,0 +1,63 @@
+const Ticket = require('../models/Ticket');
+const csatService = require('./csatService');
+
+// Overview counts, priority and category distributions and satisfaction scores
+const getTicketStats = async () => {
+  const stats = await Ticket.aggregate([
+    {
+      $group: {
+        _id: null,
+        totalTickets: { $sum: 1 },
+        openTickets: {
+          $sum: { $cond: [{ $eq: ['$status', 'Open'] }, 1, 0] }
+        },
+        inProgressTickets: {
+          $sum: { $cond: [{ $eq: ['$status', 'In Progress'] }, 1, 0] }
+        },
+        resolvedTickets: {
+          $sum: { $cond: [{ $eq: ['$status', 'Resolved'] }, 1, 0] }
+        },
+        closedTickets: {
+          $sum: { $cond: [{ $eq: ['$status', 'Closed'] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  const priorityStats = await Ticket.aggregate([
+    {
+      $group: {
+        _id: '$priority',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const categoryStats = await Ticket.aggregate([
+    {
+      $group: {
+        _id: '$category',
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const csat = await csatService.getCsatStats();
+
+  return {
+    overview: stats[0] || {
+      totalTickets: 0,
+      openTickets: 0,
+      inProgressTickets: 0,
+      resolvedTickets: 0,
+      closedTickets: 0
+    },
+    priorityDistribution: priorityStats,
+    categoryDistribution: categoryStats,
+    csat
+  };
+};
+
+module.exports = {
+  getTicketStats
+};
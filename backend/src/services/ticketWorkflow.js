@@ -0,0 +1,190 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+const REOPEN_WINDOW_DAYS = parseInt(process.env.TICKET_REOPEN_WINDOW_DAYS) || 7;
+
+// Raised when a requested status change is not allowed by the workflow
+class WorkflowError extends Error {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Transition graph. `requester: true` lets the ticket owner perform the
+// action; everything else is reserved for support staff and the assignee.
+// `requiresResolution` transitions need resolution text on the ticket or request.
+const TRANSITIONS = [
+  {
+    action: 'start',
+    from: ['Open', 'Waiting for Response'],
+    to: 'In Progress'
+  },
+  {
+    action: 'release',
+    from: ['In Progress'],
+    to: 'Open'
+  },
+  {
+    action: 'wait',
+    from: ['Open', 'In Progress'],
+    to: 'Waiting for Response'
+  },
+  {
+    action: 'resolve',
+    from: ['Open', 'In Progress', 'Waiting for Response'],
+    to: 'Resolved',
+    requiresResolution: true
+  },
+  {
+    action: 'close',
+    from: ['Resolved'],
+    to: 'Closed',
+    requester: true
+  },
+  {
+    action: 'close',
+    from: ['Open', 'In Progress', 'Waiting for Response'],
+    to: 'Closed',
+    guards: [
+      (ticket, context) => context.canManage || 'Only support staff can close a ticket that has not been resolved'
+    ]
+  },
+  {
+    action: 'reopen',
+    from: ['Resolved', 'Closed'],
+    to: 'Open',
+    requester: true,
+    guards: [
+      (ticket, context) => {
+        if (ticket.status !== 'Closed' || !ticket.closedAt) return true;
+        const closedForMs = context.now - ticket.closedAt;
+        return closedForMs <= REOPEN_WINDOW_DAYS * DAY ||
+          `Closed tickets can only be reopened within ${REOPEN_WINDOW_DAYS} days`;
+      }
+    ]
+  }
+];
+
+const ACTIONS = [...new Set(TRANSITIONS.map(transition => transition.action))];
+
+const findTransition = (from, matcher) => TRANSITIONS.find(transition =>
+  transition.from.includes(from) && matcher(transition)
+);
+
+const hasResolution = (ticket, context) => {
+  const resolution = context.resolution !== undefined ? context.resolution : ticket.resolution;
+  return Boolean(resolution && resolution.trim());
+};
+
+// Check who may perform a transition and run its guards. Returns an error
+// description, or null when the transition is allowed. Input requirements are
+// skipped when only listing what the user could do.
+const checkTransition = (ticket, transition, context, { checkInput = true } = {}) => {
+  if (!context.canManage && !context.isAssigned && !(transition.requester && context.isOwner)) {
+    return { statusCode: 403, message: `You are not allowed to ${transition.action} this ticket` };
+  }
+
+  if (checkInput && transition.requiresResolution && !hasResolution(ticket, context)) {
+    return { statusCode: 409, message: 'A resolution is required before a ticket can be resolved' };
+  }
+
+  for (const guard of transition.guards || []) {
+    const result = guard(ticket, context);
+    if (result !== true) {
+      return { statusCode: 409, message: result };
+    }
+  }
+
+  return null;
+};
+
+// Statuses reachable from the ticket's current status
+const getAllowedStatuses = (status) => [...new Set(
+  TRANSITIONS.filter(transition => transition.from.includes(status)).map(transition => transition.to)
+)];
+
+// Actions the given user can perform on the ticket right now
+const getAvailableActions = (ticket, context) => {
+  const fullContext = { now: new Date(), ...context };
+  return TRANSITIONS
+    .filter(transition => transition.from.includes(ticket.status))
+    .filter(transition => !checkTransition(ticket, transition, fullContext, { checkInput: false }))
+    .map(transition => ({
+      action: transition.action,
+      to: transition.to,
+      requiresResolution: Boolean(transition.requiresResolution)
+    }))
+    .filter((item, index, list) => list.findIndex(other => other.action === item.action) === index);
+};
+
+// Apply side effects of entering a status
+const applyEffects = (ticket, from, to, context) => {
+  if (context.resolution !== undefined) {
+    ticket.resolution = context.resolution;
+  }
+
+  if (to === 'Open' && (from === 'Resolved' || from === 'Closed')) {
+    ticket.resolvedAt = undefined;
+    ticket.closedAt = undefined;
+    ticket.reopenCount = (ticket.reopenCount || 0) + 1;
+    ticket.reopenedAt = context.now;
+  }
+
+  ticket.status = to;
+};
+
+// Move a ticket to a new status, enforcing the transition graph and guards.
+// `context` carries { canManage, isOwner, isAssigned, resolution }.
+const transitionTo = (ticket, to, context = {}) => {
+  const from = ticket.status;
+  const fullContext = { now: new Date(), ...context };
+
+  if (from === to) {
+    throw new WorkflowError(`Ticket is already ${to}`);
+  }
+
+  const candidates = TRANSITIONS.filter(transition => transition.from.includes(from) && transition.to === to);
+  if (candidates.length === 0) {
+    throw new WorkflowError(`Cannot move ticket from ${from} to ${to}`, 409, {
+      allowedStatuses: getAllowedStatuses(from)
+    });
+  }
+
+  // Several transitions may share an edge; any one that passes is enough
+  let failure = null;
+  for (const transition of candidates) {
+    failure = checkTransition(ticket, transition, fullContext);
+    if (!failure) {
+      applyEffects(ticket, from, to, fullContext);
+      return transition;
+    }
+  }
+
+  throw new WorkflowError(failure.message, failure.statusCode, {
+    allowedStatuses: getAllowedStatuses(from)
+  });
+};
+
+// Perform a named action (start, wait, resolve, close, reopen, ...)
+const performAction = (ticket, action, context = {}) => {
+  const transition = findTransition(ticket.status, candidate => candidate.action === action);
+  if (!transition) {
+    throw new WorkflowError(`Cannot ${action} a ticket that is ${ticket.status}`, 409, {
+      allowedStatuses: getAllowedStatuses(ticket.status)
+    });
+  }
+  return transitionTo(ticket, transition.to, context);
+};
+
+module.exports = {
+  WorkflowError,
+  REOPEN_WINDOW_DAYS,
+  TRANSITIONS,
+  ACTIONS,
+  getAllowedStatuses,
+  getAvailableActions,
+  transitionTo,
+  performAction
+};
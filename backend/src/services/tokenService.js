@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const UserToken = require('../models/UserToken');
+const { closeUserStreams } = require('./realtime');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Lifetime of emailed single-use tokens, in minutes
+const USER_TOKEN_TTL_MINUTES = {
+  'password-reset': parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60,
+  'email-verification': parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_MINUTES) || 24 * 60
+};
+
+// Minimum delay between two emailed tokens of the same type for one user
+const USER_TOKEN_COOLDOWN_MS = 60 * 1000;
+
+// Raised when a refresh token cannot be used
+class TokenError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'TokenError';
+    this.statusCode = statusCode;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT; `tv` ties it to the user's current token version so
+// bumping the version invalidates every outstanding access token
+const generateAccessToken = (user) => {
+  return jwt.sign({ userId: user._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+const createRefreshToken = async (user, { ip, userAgent } = {}, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY),
+    createdByIp: ip,
+    userAgent
+  });
+  return { token, record };
+};
+
+// Issue an access token and a fresh refresh token family for a login
+const issueSession = async (user, meta) => {
+  const { token } = await createRefreshToken(user, meta);
+  return {
+    accessToken: generateAccessToken(user),
+    refreshToken: token
+  };
+};
+
+// Exchange a refresh token for a new pair, revoking the one presented.
+// Presenting an already-rotated token is treated as theft and ends the family.
+const rotateRefreshToken = async (token, meta = {}) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Consume the token atomically so two concurrent refreshes with the same
+  // token cannot both succeed; the loser takes the reuse path below
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, revokedReason: 'rotated' } },
+    { new: true }
+  );
+
+  if (!record) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (!existing) {
+      throw new TokenError('Invalid refresh token');
+    }
+
+    if (existing.revokedAt) {
+      await RefreshToken.updateMany(
+        { family: existing.family, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'reuse-detected' }
+      );
+      throw new TokenError('Refresh token has been revoked');
+    }
+
+    throw new TokenError('Refresh token expired');
+  }
+
+  const user = await User.findById(record.user);
+  if (!user || !user.isActive) {
+    await RefreshToken.updateOne({ _id: record._id }, { revokedReason: 'account-inactive' });
+    throw new TokenError('Account is deactivated');
+  }
+
+  const { token: newToken, record: newRecord } = await createRefreshToken(user, meta, record.family);
+  await RefreshToken.updateOne({ _id: record._id }, { replacedBy: newRecord._id });
+
+  return {
+    user,
+    accessToken: generateAccessToken(user),
+    refreshToken: newToken
+  };
+};
+
+// Revoke a single refresh token (logout from one device)
+const revokeRefreshToken = async (token, reason = 'logout') => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!record) return null;
+
+  // Revoke the whole family so an in-flight rotation cannot keep the session alive
+  await RefreshToken.updateMany(
+    { family: record.family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return record;
+};
+
+// End every session of a user: revoke refresh tokens, invalidate access
+// tokens and close open event streams
+const revokeAllSessions = async (userId, reason = 'logout-all') => {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } }, { new: true });
+  closeUserStreams(userId, reason);
+  return user;
+};
+
+// Issue a single-use emailed token, voiding earlier unused ones of the same type.
+// Returns null when one was issued too recently.
+const createUserToken = async (user, type) => {
+  const latest = await UserToken.findOne({ user: user._id, type }).sort({ createdAt: -1 });
+  if (latest && Date.now() - latest.createdAt < USER_TOKEN_COOLDOWN_MS) {
+    return null;
+  }
+
+  await UserToken.updateMany(
+    { user: user._id, type, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresInMinutes = USER_TOKEN_TTL_MINUTES[type];
+  await UserToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+  });
+
+  return { token, expiresInMinutes };
+};
+
+// Mark an emailed token as used and return its user. The update is atomic so
+// a token cannot be redeemed twice by concurrent requests.
+const consumeUserToken = async (token, type) => {
+  const record = await UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!record) {
+    throw new TokenError('Invalid or expired token', 400);
+  }
+
+  const user = await User.findById(record.user);
+  if (!user || !user.isActive) {
+    throw new TokenError('Invalid or expired token', 400);
+  }
+
+  return user;
+};
+
+// Client details recorded with each refresh token
+const requestMeta = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+module.exports = {
+  TokenError,
+  generateAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  createUserToken,
+  consumeUserToken,
+  requestMeta
+};
@@ -0,0 +1,36 @@
+const { hasPermission } = require('../config/permissions');
+
+const isTeamMember = (user, teamId) => Boolean(teamId) &&
+  (user.teams || []).some(id => id.toString() === teamId.toString());
+
+const ownerIdOf = (view) => (view.owner && view.owner._id ? view.owner._id : view.owner).toString();
+
+// Owners use their personal views; team views are shared with the whole team
+const canUseView = (user, view) => {
+  if (ownerIdOf(view) === user._id.toString()) return true;
+  return view.scope === 'team' && isTeamMember(user, view.team && view.team._id ? view.team._id : view.team);
+};
+
+// Only the owner changes a view, except team managers may tidy team views
+const canEditView = (user, view) => {
+  if (ownerIdOf(view) === user._id.toString()) return true;
+  return view.scope === 'team' && hasPermission(user, 'team:manage');
+};
+
+// Sharing a view with a team requires belonging to it (or managing teams)
+const canShareWithTeam = (user, teamId) => isTeamMember(user, teamId) || hasPermission(user, 'team:manage');
+
+// Mongo filter for the views a user can use
+const buildViewVisibilityFilter = (user) => ({
+  $or: [
+    { owner: user._id },
+    { scope: 'team', team: { $in: user.teams || [] } }
+  ]
+});
+
+module.exports = {
+  canUseView,
+  canEditView,
+  canShareWithTeam,
+  buildViewVisibilityFilter
+};
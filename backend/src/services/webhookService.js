@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { TICKET_EVENTS, ticketEvents } = require('./ticketEvents');
+
+// Attempts per delivery before it is marked failed (about 4 hours of retries by default)
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 10;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 2 * 60 * 60 * 1000;
+
+// A claimed delivery is tried again after this long if its sender never
+// reports back (e.g. the server restarted mid-request)
+const CLAIM_TIMEOUT_MS = TIMEOUT_MS + 60 * 1000;
+
+const RESPONSE_BODY_LIMIT = 1000;
+
+// Raised when a webhook or delivery request cannot be carried out
+class WebhookError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WebhookError';
+    this.statusCode = statusCode;
+  }
+}
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// The signature covers the timestamp too, so receivers can reject replayed
+// requests by checking X-ServiceDesk-Timestamp is recent
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Wait before the next attempt after `attemptCount` failures: 30s, 1m, 2m,
+// 4m, ... up to 2h, plus up to 10% jitter so retries do not arrive in bursts
+const retryDelay = (attemptCount) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attemptCount - 1), RETRY_MAX_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+};
+
+const idOf = (value) => (value && value._id ? value._id : value) || null;
+
+const ticketSummary = (ticket) => ({
+  _id: ticket._id,
+  ticketNumber: ticket.ticketNumber,
+  title: ticket.title,
+  status: ticket.status,
+  priority: ticket.priority,
+  category: ticket.category,
+  tags: ticket.tags,
+  team: idOf(ticket.team),
+  createdBy: idOf(ticket.createdBy),
+  assignedTo: idOf(ticket.assignedTo),
+  createdAt: ticket.createdAt,
+  updatedAt: ticket.updatedAt
+});
+
+// ---------------------------------------------------------------------------
+// Delivery queue
+
+let processing = false;
+let requested = false;
+
+const claimNextDelivery = (now = new Date()) => WebhookDelivery.findOneAndUpdate(
+  { status: 'pending', nextAttemptAt: { $lte: now } },
+  { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_TIMEOUT_MS) }, $inc: { attemptCount: 1 } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+// POST the payload once. Resolves to the attempt record; never throws for
+// delivery problems.
+const sendRequest = async (webhook, delivery) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { at: new Date() };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ServiceDesk-Webhooks',
+        'X-ServiceDesk-Event': delivery.event,
+        'X-ServiceDesk-Delivery': delivery._id.toString(),
+        'X-ServiceDesk-Timestamp': String(timestamp),
+        'X-ServiceDesk-Signature': signPayload(webhook.secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    attempt.responseStatus = response.status;
+    attempt.responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS} ms` : error.message;
+  }
+
+  attempt.durationMs = Date.now() - attempt.at.getTime();
+  return attempt;
+};
+
+// Make one attempt at a claimed delivery and schedule the retry if it fails
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook || !webhook.isActive) {
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      $set: { status: 'failed' },
+      $push: { attempts: { at: new Date(), error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' } }
+    });
+    return;
+  }
+
+  const attempt = await sendRequest(webhook, delivery);
+  const succeeded = attempt.responseStatus >= 200 && attempt.responseStatus < 300;
+
+  let outcome;
+  if (succeeded) {
+    outcome = { status: 'succeeded', deliveredAt: attempt.at };
+  } else if (delivery.attemptCount >= MAX_ATTEMPTS) {
+    outcome = { status: 'failed' };
+  } else {
+    outcome = { nextAttemptAt: new Date(Date.now() + retryDelay(delivery.attemptCount)) };
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: outcome, $push: { attempts: attempt } });
+  await Webhook.updateOne({ _id: webhook._id }, {
+    $set: { lastDeliveryAt: attempt.at, lastDeliveryStatus: succeeded ? 'succeeded' : 'failed' }
+  });
+};
+
+// Send every due delivery, one at a time. A call made while a run is in
+// progress makes that run look for new work once more before it stops.
+const processQueue = async () => {
+  if (processing) {
+    requested = true;
+    return 0;
+  }
+
+  processing = true;
+  let attempted = 0;
+  try {
+    do {
+      requested = false;
+      let delivery;
+      while ((delivery = await claimNextDelivery())) {
+        await attemptDelivery(delivery);
+        attempted += 1;
+      }
+    } while (requested);
+  } finally {
+    processing = false;
+  }
+  return attempted;
+};
+
+const kickQueue = () => {
+  setImmediate(() => {
+    processQueue().catch(error => console.error('Webhook delivery error:', error));
+  });
+};
+
+// Queue an event for every active webhook subscribed to it. Internal events
+// only go to webhooks that opted in to them.
+const enqueue = async (event, ticket, data, { isInternal = false } = {}) => {
+  const filter = { isActive: true, events: event };
+  if (isInternal) filter.includeInternal = true;
+
+  const webhooks = await Webhook.find(filter).select('_id');
+  if (webhooks.length === 0) return [];
+
+  // Every webhook gets the same body, so receivers can de-duplicate on `id`
+  const payload = JSON.stringify({
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    data: { ticket: ticketSummary(ticket), ...data }
+  });
+
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+    webhook: webhook._id,
+    event,
+    payload
+  })));
+  kickQueue();
+  return deliveries;
+};
+
+// Send a finished delivery again with the same body, as a new delivery
+const redeliver = async (delivery) => {
+  if (delivery.status === 'pending') {
+    throw new WebhookError('The delivery is still pending; it will be retried automatically', 409);
+  }
+
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id
+  });
+  kickQueue();
+  return copy;
+};
+
+// ---------------------------------------------------------------------------
+// Ticket event subscribers
+
+const onCreated = ({ ticket, actorId }) => enqueue('ticket.created', ticket, { actorId });
+
+const onUpdated = ({ ticket, actorId, changes }) => enqueue('ticket.updated', ticket, { actorId, changes });
+
+const onAssigned = ({ ticket, actorId, from, to }) => enqueue('ticket.assigned', ticket, { actorId, from, to });
+
+const onCommented = ({ ticket, actorId, comment }) => enqueue('ticket.commented', ticket, {
+  actorId,
+  comment: {
+    _id: comment._id,
+    user: idOf(comment.user),
+    message: comment.message,
+    isInternal: comment.isInternal,
+    createdAt: comment.createdAt
+  }
+}, { isInternal: comment.isInternal });
+
+const onStatusChanged = ({ ticket, actorId, from, to }) => {
+  if (to !== 'Resolved') return Promise.resolve([]);
+  return enqueue('ticket.resolved', ticket, { actorId, from, resolution: ticket.resolution || null });
+};
+
+// Run a handler in the background so request handling never waits on webhooks
+const background = (handler) => (payload) => {
+  handler(payload).catch(error => console.error('Webhook enqueue error:', error));
+};
+
+// Subscribe webhook deliveries to ticket events
+const registerWebhookHandlers = () => {
+  ticketEvents.on(TICKET_EVENTS.CREATED, background(onCreated));
+  ticketEvents.on(TICKET_EVENTS.UPDATED, background(onUpdated));
+  ticketEvents.on(TICKET_EVENTS.ASSIGNED, background(onAssigned));
+  ticketEvents.on(TICKET_EVENTS.COMMENTED, background(onCommented));
+  ticketEvents.on(TICKET_EVENTS.STATUS_CHANGED, background(onStatusChanged));
+};
+
+// Periodically send deliveries whose retry time has come
+const startWebhookWorker = (intervalMs = parseInt(process.env.WEBHOOK_QUEUE_INTERVAL_MS) || 15 * 1000) => {
+  const timer = setInterval(() => {
+    processQueue().catch(error => console.error('Webhook delivery error:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  WebhookError,
+  generateSecret,
+  signPayload,
+  retryDelay,
+  enqueue,
+  redeliver,
+  processQueue,
+  registerWebhookHandlers,
+  startWebhookWorker
+};